@@ -0,0 +1,373 @@
+/**
+ * Annotation Editor Component
+ * Offline authoring for data/annotations.json: annotations on a mini timeline,
+ * a bilingual form, validation and a sorted, diff-friendly export. Work in
+ * progress is kept as a draft in localStorage; nothing leaves the browser.
+ */
+
+const ANNOTATION_DRAFT_KEY = 'annotationEditorDraft';
+
+class AnnotationEditor {
+    /**
+     * @param {string} containerId - Element holding the editor markup of annotations.html
+     */
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.original = [];
+        this.annotations = [];
+        this.seriesDates = new Set();
+        this.seriesRange = null;
+        this.selected = null;
+        this.problems = [];
+
+        this.init();
+    }
+
+    async init() {
+        if (!this.container) {
+            console.error('❌ Annotation editor container not found');
+            return;
+        }
+
+        this.form = this.container.querySelector('#annotation-form');
+        this.timeline = this.container.querySelector('#annotation-timeline');
+        this.list = this.container.querySelector('#annotation-list');
+        this.problemList = this.container.querySelector('#annotation-problems');
+        this.status = this.container.querySelector('#annotation-status');
+
+        try {
+            await this.loadData();
+            this.bindEvents();
+            this.render();
+
+            window.addEventListener('languageChanged', () => this.render());
+            console.log(`✅ AnnotationEditor initialized with ${this.annotations.length} annotations`);
+        } catch (error) {
+            console.error('❌ Failed to initialize AnnotationEditor:', error);
+        }
+    }
+
+    async loadData() {
+        const [annotations, daily] = await Promise.all([
+            window.dataStore.load('annotations'),
+            window.dataStore.load('casualties_daily')
+        ]);
+
+        this.original = annotations.map(normalizeAnnotation);
+        this.seriesDates = new Set(daily.map(record => record.report_date));
+
+        const dates = [...this.seriesDates].sort();
+        this.seriesRange = { start: dates[0], end: dates[dates.length - 1] };
+        this.form.elements.date.min = this.seriesRange.start;
+        this.form.elements.date.max = this.seriesRange.end;
+
+        const draft = this.loadDraft();
+        this.annotations = sortAnnotations(draft || this.original);
+        if (draft) this.setStatus('draft_restored');
+    }
+
+    /**
+     * Draft saved by a previous session, if any
+     * @returns {Object[]|null}
+     */
+    loadDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(ANNOTATION_DRAFT_KEY));
+            return Array.isArray(draft) ? draft.map(normalizeAnnotation) : null;
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable annotation draft:', error);
+            return null;
+        }
+    }
+
+    saveDraft() {
+        localStorage.setItem(ANNOTATION_DRAFT_KEY, JSON.stringify(this.annotations));
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveForm();
+        });
+
+        this.container.querySelector('#annotation-new').addEventListener('click', () => this.select(null));
+        this.container.querySelector('#annotation-delete').addEventListener('click', () => this.deleteSelected());
+        this.container.querySelector('#annotation-export').addEventListener('click', () => this.exportFile());
+        this.container.querySelector('#annotation-reset').addEventListener('click', () => this.reset());
+        this.container.querySelector('#annotation-import').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importFile(file);
+        });
+
+        // Ticks, list entries and problems all select an annotation
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-annotation-date]');
+            if (!target) return;
+
+            const annotation = this.annotations.find(item => item.date === target.dataset.annotationDate);
+            if (annotation) this.select(annotation);
+        });
+    }
+
+    /**
+     * Load an annotation into the form, or clear it for a new one
+     * @param {Object|null} annotation
+     */
+    select(annotation) {
+        this.selected = annotation;
+
+        const fields = this.form.elements;
+        fields.date.value = annotation ? annotation.date : '';
+        fields.category.value = annotation ? annotation.category || '' : '';
+        fields.en.value = annotation ? annotation.en : '';
+        fields.ar.value = annotation ? annotation.ar : '';
+        fields.sources.value = annotation ? (annotation.sources || []).join('\n') : '';
+
+        this.container.querySelector('#annotation-delete').disabled = !annotation;
+        this.render();
+        fields.date.focus();
+    }
+
+    saveForm() {
+        const fields = this.form.elements;
+        const annotation = normalizeAnnotation({
+            date: fields.date.value,
+            category: fields.category.value,
+            en: fields.en.value,
+            ar: fields.ar.value,
+            sources: fields.sources.value.split('\n')
+        });
+
+        const others = this.annotations.filter(item => item !== this.selected);
+        this.annotations = sortAnnotations([...others, annotation]);
+        this.selected = annotation;
+        this.saveDraft();
+
+        this.container.querySelector('#annotation-delete').disabled = false;
+        this.setStatus('saved');
+        this.render();
+    }
+
+    deleteSelected() {
+        if (!this.selected) return;
+
+        this.annotations = this.annotations.filter(item => item !== this.selected);
+        this.saveDraft();
+        this.setStatus('deleted');
+        this.select(null);
+    }
+
+    /**
+     * Replace the working copy with the contents of a JSON file
+     * @param {File} file
+     */
+    async importFile(file) {
+        try {
+            const imported = JSON.parse(await file.text());
+            if (!Array.isArray(imported)) throw new Error('Expected an array of annotations');
+
+            this.annotations = sortAnnotations(imported.map(normalizeAnnotation));
+            this.saveDraft();
+            this.setStatus('imported');
+            this.select(null);
+            console.log(`📥 Imported ${this.annotations.length} annotations from ${file.name}`);
+        } catch (error) {
+            console.error('❌ Failed to import annotations:', error);
+            this.setStatus('import_failed');
+        }
+    }
+
+    /**
+     * Download the working copy as annotations.json
+     */
+    exportFile() {
+        const blob = new Blob([serializeAnnotations(this.annotations)], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'annotations.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        console.log(`📥 Exported ${this.annotations.length} annotations`);
+    }
+
+    /**
+     * Discard the draft and go back to the published annotations
+     */
+    reset() {
+        const isArabic = window.currentLanguage === 'ar';
+        if (!window.confirm(isArabic ? 'تجاهل كل التغييرات غير المصدّرة؟' : 'Discard all unexported changes?')) return;
+
+        localStorage.removeItem(ANNOTATION_DRAFT_KEY);
+        this.annotations = sortAnnotations(this.original);
+        this.setStatus('reset');
+        this.select(null);
+    }
+
+    setStatus(key) {
+        this.statusKey = key;
+        this.renderStatus(window.currentLanguage || 'en');
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Worst problem severity of an annotation, if any
+     * @returns {'error'|'warning'|null}
+     */
+    severityOf(annotation) {
+        const index = this.annotations.indexOf(annotation);
+        const own = this.problems.filter(problem => problem.index === index);
+        if (own.some(problem => problem.severity === 'error')) return 'error';
+        return own.length ? 'warning' : null;
+    }
+
+    render() {
+        const language = window.currentLanguage || 'en';
+
+        this.problems = validateAnnotations(this.annotations, this.seriesDates);
+        this.renderCategories(language);
+        this.renderTimeline(language);
+        this.renderList(language);
+        this.renderProblems(language);
+        this.renderStatus(language);
+
+        const hasErrors = this.problems.some(problem => problem.severity === 'error');
+        this.container.querySelector('#annotation-export').disabled = hasErrors;
+    }
+
+    /**
+     * Category choices, relabelled in the current language
+     */
+    renderCategories(language) {
+        const select = this.form.elements.category;
+        const value = select.value;
+
+        select.innerHTML = `<option value="">${language === 'ar' ? 'بدون فئة' : 'No category'}</option>` +
+            Object.entries(ANNOTATION_CATEGORIES)
+                .map(([key, category]) => `<option value="${key}">${category.icon} ${category[language]}</option>`)
+                .join('');
+        select.value = value;
+    }
+
+    /**
+     * One tick per annotation across the span of the casualty series
+     */
+    renderTimeline(language) {
+        const start = new Date(`${this.seriesRange.start}T00:00:00Z`).getTime();
+        const span = Math.max(1, new Date(`${this.seriesRange.end}T00:00:00Z`).getTime() - start);
+
+        const ticks = this.annotations.map(annotation => {
+            const time = new Date(`${annotation.date}T00:00:00Z`).getTime();
+            if (isNaN(time)) return '';
+
+            const position = Math.min(100, Math.max(0, (time - start) / span * 100));
+            const severity = this.severityOf(annotation);
+            const classes = [
+                'annotation-tick',
+                severity ? `annotation-tick-${severity}` : '',
+                annotation === this.selected ? 'selected' : ''
+            ].filter(Boolean).join(' ');
+
+            return `<button type="button" class="${classes}" style="inset-inline-start: ${position.toFixed(2)}%;"
+                data-annotation-date="${this.escape(annotation.date)}"
+                title="${this.escape(`${annotation.date} — ${annotation[language] || annotation.en}`)}"></button>`;
+        }).join('');
+
+        this.timeline.innerHTML = `
+            <div class="annotation-track">${ticks}</div>
+            <div class="annotation-track-labels">
+                <span>${this.seriesRange.start}</span>
+                <span>${this.seriesRange.end}</span>
+            </div>
+        `;
+    }
+
+    renderList(language) {
+        const isArabic = language === 'ar';
+        const count = this.annotations.length.toLocaleString(isArabic ? 'ar-EG' : 'en-US');
+        this.container.querySelector('#annotation-count').textContent = isArabic ? `${count} تعليقاً` : `${count} annotations`;
+
+        this.list.innerHTML = this.annotations.map(annotation => {
+            const severity = this.severityOf(annotation);
+            const category = ANNOTATION_CATEGORIES[annotation.category];
+
+            return `
+                <li>
+                    <button type="button" class="annotation-item ${annotation === this.selected ? 'selected' : ''} ${severity ? `annotation-item-${severity}` : ''}"
+                        data-annotation-date="${this.escape(annotation.date)}">
+                        <span class="annotation-item-date">${this.escape(annotation.date)}</span>
+                        ${category ? `<span class="annotation-item-category">${category.icon} ${category[language]}</span>` : ''}
+                        <span class="annotation-item-text" dir="${isArabic ? 'rtl' : 'ltr'}">${this.escape(annotation[language] || '—')}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    renderProblems(language) {
+        const isArabic = language === 'ar';
+
+        if (this.problems.length === 0) {
+            this.problemList.innerHTML = `<p class="annotation-valid">${isArabic ? 'لا توجد مشكلات؛ الملف جاهز للتصدير.' : 'No problems; the file is ready to export.'}</p>`;
+            return;
+        }
+
+        const errors = this.problems.filter(problem => problem.severity === 'error').length;
+        const summary = isArabic
+            ? `${errors.toLocaleString('ar-EG')} أخطاء و${(this.problems.length - errors).toLocaleString('ar-EG')} تحذيرات. يجب إصلاح الأخطاء قبل التصدير.`
+            : `${errors} errors and ${this.problems.length - errors} warnings. Errors must be fixed before export.`;
+
+        this.problemList.innerHTML = `
+            <p class="annotation-problems-summary">${summary}</p>
+            <ul>
+                ${this.problems.map(problem => `
+                    <li class="annotation-problem annotation-problem-${problem.severity}">
+                        <button type="button" class="annotation-problem-link" data-annotation-date="${this.escape(problem.date || '')}">
+                            ${this.escape(problem.date || '—')}
+                        </button>
+                        ${ANNOTATION_MESSAGES[problem.code][language]}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Last action and the change count against the published file
+     */
+    renderStatus(language) {
+        const isArabic = language === 'ar';
+        const messages = {
+            draft_restored: { en: 'Restored your unexported draft.', ar: 'تمت استعادة المسودة غير المصدّرة.' },
+            saved: { en: 'Annotation saved to the draft.', ar: 'تم حفظ التعليق في المسودة.' },
+            deleted: { en: 'Annotation deleted from the draft.', ar: 'تم حذف التعليق من المسودة.' },
+            imported: { en: 'File imported.', ar: 'تم استيراد الملف.' },
+            import_failed: { en: 'The file is not a valid annotations.json.', ar: 'الملف ليس ملف annotations.json صالحاً.' },
+            reset: { en: 'Draft discarded.', ar: 'تم تجاهل المسودة.' }
+        };
+
+        const { added, changed, removed } = diffAnnotations(this.original, this.annotations);
+        const format = (value) => value.toLocaleString(isArabic ? 'ar-EG' : 'en-US');
+        const diff = isArabic
+            ? `مقارنة بالملف المنشور: ${format(added)} مضافة، ${format(changed)} معدّلة، ${format(removed)} محذوفة.`
+            : `Against the published file: ${added} added, ${changed} changed, ${removed} removed.`;
+
+        const message = messages[this.statusKey];
+        this.status.textContent = message ? `${message[language]} ${diff}` : diff;
+    }
+}
+
+// Export for use in other modules
+window.AnnotationEditor = AnnotationEditor;
@@ -38,8 +38,7 @@ class HeroCounters {
 
     async loadData() {
         try {
-            const response = await fetch('/data/summary.json');
-            this.data = await response.json();
+            this.data = await window.dataStore.load('summary');
         } catch (error) {
             console.error('Failed to load summary data:', error);
             throw error;
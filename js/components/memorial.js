@@ -1,15 +1,57 @@
 /**
  * Memorial Wall Component
- * Handles the film credits roll, paginated list, and filtering
+ * Handles the film credits roll, virtualized list, family groups, filtering and name search.
+ * Loading, filtering and sorting run in js/workers/memorialWorker.js.
+ * View state lives in the query string so any view, or a single name, can be shared.
  */
 
+// Age presets expressed as whole-year ranges (null = unbounded)
+const AGE_PRESETS = {
+    all: [null, null],
+    children: [0, 17],
+    adults: [18, 59],
+    elders: [60, null]
+};
+
 class MemorialWall {
     constructor() {
-        this.memorialData = [];
-        this.filteredData = [];
-        this.currentFilter = 'all';
-        this.currentPage = 0;
-        this.pageSize = 500;
+        // Records live in the worker; the wall only caches the chunks it has scrolled past
+        this.worker = null;
+        this.pendingRequests = new Map();
+        this.requestCounter = 0;
+        
+        this.grid = null;
+        this.chunks = new Map();
+        this.pendingChunks = new Set();
+        this.chunkSize = 200;
+        this.resultVersion = 0;
+        
+        // 'names' lists people; 'families' lists reconstructed family groups
+        this.viewMode = 'names';
+        
+        this.filteredTotal = 0;
+        this.grandTotal = 0;
+        // Combinable facets; null or '' means unrestricted
+        this.facets = {
+            sex: '',
+            ageMin: null,
+            ageMax: null,
+            birthYearMin: null,
+            birthYearMax: null,
+            initial: ''
+        };
+        this.bounds = null;
+        this.facetCounts = null;
+        this.facetTimeout = null;
+        this.currentSort = 'default';
+        this.searchTerm = '';
+        this.searchTimeout = null;
+        
+        // Deep-link state
+        this.selectedPersonId = null;
+        this.initialPosition = 0;
+        this.openProfileOnLoad = false;
+        this.urlTimeout = null;
         
         this.initializeElements();
         this.bindEvents();
@@ -23,9 +65,14 @@ class MemorialWall {
                 this.onLanguageChanged(event.detail.language);
             });
             
+            this.readUrlState();
             await this.loadMemorialData();
             await this.initializeMemorialContext();
-            this.render();
+            this.createGrid();
+            this.createProfile();
+            this.renderLetterOptions(window.currentLanguage || 'en');
+            await this.updateResults();
+            await this.restorePosition();
             this.hideLoading();
         } catch (error) {
             console.error('Failed to initialize memorial wall:', error);
@@ -35,17 +82,17 @@ class MemorialWall {
 
     async loadMemorialData() {
         try {
-            console.log('🔄 Loading memorial data...');
-            const response = await fetch('./data/killed-in-gaza.min.json');
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            console.log('🔄 Loading memorial data in worker...');
+            this.startWorker();
             
-            this.memorialData = await response.json();
-            this.filteredData = [...this.memorialData];
+            // The worker resolves relative URLs against its own script, so pass an absolute one
+            const url = window.dataStore.resolve('killed-in-gaza.min.json');
+            const result = await this.sendToWorker({ type: 'load', url });
+            this.grandTotal = result.grandTotal;
+            this.bounds = result.bounds;
+            this.configureRangeSliders();
             
-            console.log(`✅ Loaded ${this.memorialData.length} memorial records`);
+            console.log(`✅ Loaded ${this.grandTotal} memorial records`);
             
         } catch (error) {
             console.error('❌ Error loading memorial data:', error);
@@ -54,6 +101,324 @@ class MemorialWall {
         }
     }
 
+    /**
+     * Start the data worker and route its responses to pending requests
+     */
+    startWorker() {
+        this.worker = new Worker('./js/workers/memorialWorker.js');
+        
+        this.worker.addEventListener('message', (event) => {
+            const message = event.data;
+            const pending = this.pendingRequests.get(message.id);
+            if (!pending) return;
+            
+            this.pendingRequests.delete(message.id);
+            if (message.type === 'error') {
+                pending.reject(new Error(message.message));
+            } else {
+                pending.resolve(message);
+            }
+        });
+        
+        this.worker.addEventListener('error', (event) => {
+            console.error('❌ Memorial worker error:', event.message);
+        });
+    }
+
+    /**
+     * Post a message to the worker and wait for its matching response
+     */
+    sendToWorker(message) {
+        const id = ++this.requestCounter;
+        
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+
+    /**
+     * Current filter/search/sort, as sent with every worker request
+     */
+    getQueryState() {
+        return {
+            filter: this.facets,
+            search: this.searchTerm,
+            sort: this.currentSort,
+            language: window.currentLanguage || 'en'
+        };
+    }
+
+    /**
+     * Ask the worker for one chunk of names, or of family groups, for the current filter/search/sort
+     */
+    query(chunk) {
+        return this.sendToWorker({
+            type: this.viewMode === 'families' ? 'families' : 'query',
+            ...this.getQueryState(),
+            page: chunk,
+            pageSize: this.chunkSize
+        });
+    }
+
+    /**
+     * Create the virtualized grid inside the list element
+     */
+    createGrid() {
+        const families = this.viewMode === 'families';
+        
+        if (this.grid) this.grid.destroy();
+        
+        this.grid = new VirtualGrid(this.memorialList, {
+            itemHeight: families ? 280 : 150,
+            minItemWidth: families ? 300 : 200,
+            gap: 16,
+            renderItem: (item) => families ? this.createFamilyCard(item) : this.createMemorialItem(item),
+            renderPlaceholder: () => '<div class="memorial-item memorial-item-placeholder" role="listitem" aria-hidden="true"></div>',
+            getItem: (index) => this.getLoadedItem(index),
+            onRangeChange: (first, last) => this.ensureRange(first, last),
+            onScrollPosition: (index) => {
+                this.updatePositionInfo(index);
+                this.scheduleUrlUpdate();
+            }
+        });
+    }
+
+    /**
+     * Create the profile panel opened from each name
+     */
+    createProfile() {
+        const dialog = document.getElementById('memorialProfile');
+        if (!dialog) return;
+        
+        this.profile = new MemorialProfile(dialog, {
+            formatAge: (person, language) => this.formatAge(person, language),
+            formatSex: (person, language) => this.formatSex(person, language),
+            getPermalink: (personId) => this.getPermalink(personId),
+            onClose: () => this.writeUrlState()
+        });
+    }
+
+    /**
+     * Open a person's profile, fetching their record if it has scrolled out of the cache
+     */
+    async openProfile(personId, index = null) {
+        if (!this.profile) return;
+        
+        let person = this.findLoadedPerson(personId);
+        if (!person && index !== null) {
+            const result = await this.query(Math.floor(index / this.chunkSize));
+            person = result.items[index % this.chunkSize] || null;
+        }
+        if (!person) return;
+        
+        this.selectPerson(person.id);
+        this.profile.open(person);
+        this.writeUrlState();
+    }
+
+    findLoadedPerson(personId) {
+        for (const items of this.chunks.values()) {
+            const people = this.viewMode === 'families' ? items.flatMap(group => group.members) : items;
+            const person = people.find(item => String(item.id) === String(personId));
+            if (person) return person;
+        }
+        return null;
+    }
+
+    /**
+     * Switch between the list of names and the family groups
+     */
+    applyView(mode) {
+        if (mode === this.viewMode) return Promise.resolve();
+        
+        this.viewMode = mode;
+        this.syncViewControls();
+        this.createGrid();
+        return this.updateResults();
+    }
+
+    syncViewControls() {
+        const families = this.viewMode === 'families';
+        
+        this.viewButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.viewMode);
+            btn.setAttribute('aria-pressed', btn.dataset.view === this.viewMode);
+        });
+        
+        // Sorting and letters apply to individual names only
+        if (this.familyNote) this.familyNote.hidden = !families;
+        if (this.sortSelect) this.sortSelect.disabled = families;
+        if (this.letterSelect) this.letterSelect.disabled = families;
+    }
+
+    /**
+     * Restore filters, search, sort, position and selected person from the query string:
+     *   ?q=&sex=f&age=5-10&born=2015-2015&initial=ar:م&view=families&sort=name&pos=120&person=ID&profile=1&lang=ar
+     * (lang is handled by LanguageManager)
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const [ageMin, ageMax] = this.parseRange(params.get('age'));
+        const [birthYearMin, birthYearMax] = this.parseRange(params.get('born'));
+        const sex = params.get('sex');
+        
+        this.facets = {
+            sex: sex === 'm' || sex === 'f' ? sex : '',
+            ageMin,
+            ageMax,
+            birthYearMin,
+            birthYearMax,
+            initial: /^(en|ar):.$/u.test(params.get('initial') || '') ? params.get('initial') : ''
+        };
+        
+        this.searchTerm = (params.get('q') || '').trim();
+        if (this.searchInput) this.searchInput.value = this.searchTerm;
+        
+        const sort = params.get('sort');
+        if (sort && this.sortSelect && [...this.sortSelect.options].some(option => option.value === sort)) {
+            this.currentSort = sort;
+            this.sortSelect.value = sort;
+        }
+        
+        this.initialPosition = Math.max(0, (parseInt(params.get('pos'), 10) || 1) - 1);
+        this.selectedPersonId = params.get('person');
+        this.openProfileOnLoad = params.get('profile') === '1';
+        this.viewMode = params.get('view') === 'families' ? 'families' : 'names';
+        this.syncViewControls();
+        
+        this.syncFacetControls();
+    }
+
+    /**
+     * Parse "5-10", "60-" or "-17" into [min, max] with nulls for open ends
+     */
+    parseRange(value) {
+        const match = /^(\d*)-(\d*)$/.exec(value || '');
+        if (!match) return [null, null];
+        
+        const toNumber = (part) => part === '' ? null : parseInt(part, 10);
+        return [toNumber(match[1]), toNumber(match[2])];
+    }
+
+    /**
+     * Serialize the current view into the query string (defaults are omitted)
+     */
+    writeUrlState() {
+        const params = new URLSearchParams();
+        const { facets } = this;
+        const range = (min, max) => (min === null && max === null) ? null : `${min ?? ''}-${max ?? ''}`;
+        const position = this.grid ? this.grid.getFirstVisibleIndex() : 0;
+        
+        if (this.searchTerm) params.set('q', this.searchTerm);
+        if (facets.sex) params.set('sex', facets.sex);
+        if (range(facets.ageMin, facets.ageMax)) params.set('age', range(facets.ageMin, facets.ageMax));
+        if (range(facets.birthYearMin, facets.birthYearMax)) params.set('born', range(facets.birthYearMin, facets.birthYearMax));
+        if (facets.initial) params.set('initial', facets.initial);
+        if (this.viewMode !== 'names') params.set('view', this.viewMode);
+        if (this.currentSort !== 'default') params.set('sort', this.currentSort);
+        if (position > 0) params.set('pos', position + 1);
+        if (this.selectedPersonId) params.set('person', this.selectedPersonId);
+        if (this.profile && this.profile.isOpen) params.set('profile', '1');
+        params.set('lang', window.currentLanguage || 'en');
+        
+        history.replaceState(null, '', `${window.location.pathname}?${params.toString()}${window.location.hash}`);
+    }
+
+    /**
+     * Scrolling fires constantly; only write the URL once it settles
+     */
+    scheduleUrlUpdate() {
+        clearTimeout(this.urlTimeout);
+        this.urlTimeout = setTimeout(() => this.writeUrlState(), 300);
+    }
+
+    /**
+     * After the first query: open the linked person, or the linked position
+     */
+    async restorePosition() {
+        if (this.selectedPersonId) {
+            const index = await this.revealPerson(this.selectedPersonId);
+            if (index !== null && this.openProfileOnLoad) {
+                await this.openProfile(this.selectedPersonId, index);
+            }
+        } else if (this.initialPosition > 0) {
+            this.grid.scrollToIndex(this.initialPosition);
+        }
+    }
+
+    /**
+     * Scroll to and highlight a person. If the current filters hide them,
+     * the filters and search are cleared first.
+     * @returns {Promise<number|null>} - Position in the results, or null when not found
+     */
+    async revealPerson(personId) {
+        try {
+            // Positions are only meaningful in the list of names
+            await this.applyView('names');
+            
+            let result = await this.sendToWorker({ type: 'locate', ...this.getQueryState(), personId });
+            
+            if (result.index < 0 && (this.searchTerm || this.hasActiveFacets())) {
+                this.searchTerm = '';
+                if (this.searchInput) this.searchInput.value = '';
+                await this.clearFacets();
+                result = await this.sendToWorker({ type: 'locate', ...this.getQueryState(), personId });
+            }
+            
+            if (result.index < 0) {
+                console.warn(`⚠️ Person ${personId} not found on the memorial wall`);
+                this.selectedPersonId = null;
+                return null;
+            }
+            
+            this.selectPerson(personId);
+            this.grid.scrollToIndex(result.index);
+            return result.index;
+        } catch (error) {
+            console.error('❌ Error locating person:', error);
+            return null;
+        }
+    }
+
+    hasActiveFacets() {
+        return Object.values(this.facets).some(value => value !== null && value !== '');
+    }
+
+    /**
+     * Highlight a person and put them in the URL
+     */
+    selectPerson(personId) {
+        this.selectedPersonId = personId == null ? null : String(personId);
+        this.grid.refresh();
+        this.writeUrlState();
+    }
+
+    /**
+     * Link that opens the wall on one person, in the current language
+     */
+    getPermalink(personId) {
+        const params = new URLSearchParams({ person: personId, lang: window.currentLanguage || 'en' });
+        return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+    }
+
+    /**
+     * Permalink clicked: select the person and copy the link when possible
+     */
+    async sharePermalink(link) {
+        const personId = link.closest('.memorial-item').dataset.id;
+        this.selectPerson(personId);
+        
+        try {
+            await navigator.clipboard.writeText(this.getPermalink(personId));
+            link.classList.add('copied');
+            link.title = window.currentLanguage === 'ar' ? 'تم نسخ الرابط' : 'Link copied';
+        } catch (error) {
+            // Clipboard unavailable (e.g. insecure context): the address bar already holds the link
+            console.warn('⚠️ Could not copy permalink:', error);
+        }
+    }
+
     async initializeMemorialContext() {
         try {
             console.log('🔄 Initializing memorial context...');
@@ -69,105 +434,471 @@ class MemorialWall {
     }
 
     initializeElements() {
-        // Filter buttons
-        this.filterButtons = document.querySelectorAll('[data-filter]');
+        // Facets
+        this.sexButtons = document.querySelectorAll('[data-sex]');
+        this.agePresetButtons = document.querySelectorAll('[data-age-preset]');
+        this.ageMinInput = document.getElementById('ageMin');
+        this.ageMaxInput = document.getElementById('ageMax');
+        this.ageRangeValue = document.getElementById('ageRangeValue');
+        this.birthYearMinInput = document.getElementById('birthYearMin');
+        this.birthYearMaxInput = document.getElementById('birthYearMax');
+        this.birthYearRangeValue = document.getElementById('birthYearRangeValue');
+        this.initialSelect = document.getElementById('facetInitial');
+        this.clearFacetsBtn = document.getElementById('clearFacets');
+        
+        // Search
+        this.searchInput = document.getElementById('memorialSearch');
         
         // List elements
         this.memorialList = document.getElementById('memorialList');
-        this.prevPageBtn = document.getElementById('prevPage');
-        this.nextPageBtn = document.getElementById('nextPage');
-        this.pageInfo = document.getElementById('pageInfo');
-        this.currentRange = document.getElementById('currentRange');
-        this.totalRecords = document.getElementById('totalRecords');
+        this.emptyMessage = document.getElementById('memorialEmpty');
+        this.positionInfo = document.getElementById('positionInfo');
+        
+        // View mode
+        this.viewButtons = document.querySelectorAll('[data-view]');
+        this.familyNote = document.getElementById('familyNote');
+        
+        // Sorting and jumping
+        this.sortSelect = document.getElementById('memorialSort');
+        this.letterSelect = document.getElementById('jumpLetter');
+        this.jumpForm = document.getElementById('jumpIndexForm');
+        this.jumpInput = document.getElementById('jumpIndex');
         
         // Loading
         this.loadingOverlay = document.getElementById('loadingOverlay');
     }
 
     bindEvents() {
-        // Filtering
-        this.filterButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.applyFilter(e.target.dataset.filter);
+        // Facets
+        this.sexButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.applyFacets({ sex: btn.dataset.sex }));
+        });
+
+        this.agePresetButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.applyAgePreset(btn.dataset.agePreset));
+        });
+
+        // Range sliders - debounced like the search box
+        [
+            [this.ageMinInput, this.ageMaxInput, 'age'],
+            [this.birthYearMinInput, this.birthYearMaxInput, 'birthYear']
+        ].forEach(([minInput, maxInput, facet]) => {
+            [minInput, maxInput].forEach(input => {
+                input.addEventListener('input', () => this.onRangeInput(facet, input === minInput));
             });
         });
 
-        // Pagination
-        this.prevPageBtn.addEventListener('click', () => this.previousPage());
-        this.nextPageBtn.addEventListener('click', () => this.nextPage());
+        if (this.initialSelect) {
+            this.initialSelect.addEventListener('change', (e) => this.applyFacets({ initial: e.target.value }));
+        }
+
+        if (this.clearFacetsBtn) {
+            this.clearFacetsBtn.addEventListener('click', () => this.clearFacets());
+        }
+
+        // Search - debounced so results update as the user types
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', (e) => {
+                clearTimeout(this.searchTimeout);
+                this.searchTimeout = setTimeout(() => this.applySearch(e.target.value), 150);
+            });
+        }
+
+        // Names or families
+        this.viewButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.applyView(btn.dataset.view));
+        });
+
+        // Sorting
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', (e) => this.applySort(e.target.value));
+        }
+
+        // Jump to the first name starting with a letter
+        if (this.letterSelect) {
+            this.letterSelect.addEventListener('change', (e) => {
+                if (e.target.value) this.jumpToLetter(e.target.value);
+            });
+        }
+
+        // Jump to a position in the list
+        if (this.jumpForm) {
+            this.jumpForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const position = parseInt(this.jumpInput.value, 10);
+                if (!isNaN(position)) this.jumpToIndex(position - 1);
+            });
+        }
+
+        // Per-person permalinks and profiles
+        this.memorialList.addEventListener('click', (e) => {
+            const link = e.target.closest('.memorial-permalink');
+            if (link) {
+                e.preventDefault();
+                this.sharePermalink(link);
+                return;
+            }
+            
+            const nameButton = e.target.closest('.memorial-name');
+            if (nameButton) {
+                this.openProfile(nameButton.closest('[data-id]').dataset.id);
+            }
+        });
 
         // Keyboard navigation
-        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        this.memorialList.addEventListener('keydown', (e) => this.handleKeyboard(e));
     }
 
-    applyFilter(filter) {
-        this.currentFilter = filter;
-        this.currentPage = 0;
+    /**
+     * Merge facet changes, sync the controls and re-query
+     */
+    applyFacets(changes) {
+        Object.assign(this.facets, changes);
+        this.syncFacetControls();
+        return this.updateResults();
+    }
+
+    applyAgePreset(preset) {
+        const [ageMin, ageMax] = AGE_PRESETS[preset] || AGE_PRESETS.all;
+        return this.applyFacets({ ageMin, ageMax });
+    }
+
+    clearFacets() {
+        return this.applyFacets({
+            sex: '',
+            ageMin: null,
+            ageMax: null,
+            birthYearMin: null,
+            birthYearMax: null,
+            initial: ''
+        });
+    }
+
+    /**
+     * Slider moved: keep min <= max, treat the slider ends as "unbounded"
+     * (so records with unknown age or birth date stay in), then re-query
+     */
+    onRangeInput(facet, movedMin) {
+        const minInput = facet === 'age' ? this.ageMinInput : this.birthYearMinInput;
+        const maxInput = facet === 'age' ? this.ageMaxInput : this.birthYearMaxInput;
+        let min = Number(minInput.value);
+        let max = Number(maxInput.value);
+        
+        if (min > max) {
+            if (movedMin) max = min; else min = max;
+            minInput.value = min;
+            maxInput.value = max;
+        }
+        
+        this.facets[`${facet}Min`] = min > Number(minInput.min) ? min : null;
+        this.facets[`${facet}Max`] = max < Number(maxInput.max) ? max : null;
+        this.syncFacetControls();
+        this.renderFacetCounts();
+        
+        clearTimeout(this.facetTimeout);
+        this.facetTimeout = setTimeout(() => this.updateResults(), 150);
+    }
+
+    /**
+     * Set slider limits from the dataset's age and birth-year extremes
+     */
+    configureRangeSliders() {
+        if (!this.bounds) return;
         
-        // Update button states
-        this.filterButtons.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === filter);
+        [
+            [this.ageMinInput, this.ageMaxInput, this.bounds.age],
+            [this.birthYearMinInput, this.birthYearMaxInput, this.bounds.birthYear]
+        ].forEach(([minInput, maxInput, range]) => {
+            [minInput, maxInput].forEach(input => {
+                input.min = range.min;
+                input.max = range.max;
+                input.step = 1;
+            });
         });
+        
+        this.syncFacetControls();
+    }
 
-        // Filter data
-        this.filteredData = this.memorialData.filter(person => {
-            switch (filter) {
-                case 'children':
-                    return person.age < 18;
-                case 'adults':
-                    return person.age >= 18 && person.age < 60;
-                case 'elders':
-                    return person.age >= 60;
-                default:
-                    return true;
-            }
+    /**
+     * Reflect the facet state in the buttons, sliders and range labels
+     */
+    syncFacetControls() {
+        const { facets } = this;
+        
+        this.sexButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.sex === facets.sex);
+        });
+        
+        this.agePresetButtons.forEach(btn => {
+            const [min, max] = AGE_PRESETS[btn.dataset.agePreset];
+            btn.classList.toggle('active', facets.ageMin === min && facets.ageMax === max);
         });
+        
+        if (this.bounds) {
+            this.ageMinInput.value = facets.ageMin ?? this.bounds.age.min;
+            this.ageMaxInput.value = facets.ageMax ?? this.bounds.age.max;
+            this.birthYearMinInput.value = facets.birthYearMin ?? this.bounds.birthYear.min;
+            this.birthYearMaxInput.value = facets.birthYearMax ?? this.bounds.birthYear.max;
+            
+            this.ageRangeValue.textContent = this.formatRange(this.ageMinInput.value, this.ageMaxInput.value, false);
+            this.birthYearRangeValue.textContent = this.formatRange(this.birthYearMinInput.value, this.birthYearMaxInput.value, true);
+        }
+        
+        if (this.initialSelect) {
+            this.initialSelect.value = facets.initial;
+        }
+    }
 
-        // Re-render
-        this.renderPaginatedList();
+    /**
+     * "5–10" with locale digits; years are printed without grouping separators
+     */
+    formatRange(min, max, isYear) {
+        const locale = window.currentLanguage === 'ar' ? 'ar-EG' : 'en-US';
+        const format = (value) => Number(value).toLocaleString(locale, { useGrouping: !isYear });
+        return min === max ? format(min) : `${format(min)}–${format(max)}`;
     }
 
-    renderPaginatedList() {
-        if (!this.memorialList) return;
+    /**
+     * Show live counts next to every facet option. Each count is what the
+     * results would be if that option were picked, given the other facets.
+     */
+    renderFacetCounts() {
+        const counts = this.facetCounts;
+        if (!counts) return;
+        
+        const language = window.currentLanguage || 'en';
+        const locale = language === 'ar' ? 'ar-EG' : 'en-US';
+        const withCount = (btn, count) => {
+            const label = btn.getAttribute(language === 'ar' ? 'data-ar' : 'data-en');
+            btn.textContent = `${label} (${count.toLocaleString(locale)})`;
+            btn.disabled = count === 0 && !btn.classList.contains('active');
+        };
+        
+        this.sexButtons.forEach(btn => {
+            withCount(btn, counts.sex[btn.dataset.sex || 'all'] || 0);
+        });
+        
+        this.agePresetButtons.forEach(btn => {
+            withCount(btn, counts.ageBands[btn.dataset.agePreset] || 0);
+        });
+        
+        this.renderBirthYearCount(counts.birthYears, locale);
+        this.renderInitialOptions(counts.initials, language, locale);
+    }
 
-        const startIndex = this.currentPage * this.pageSize;
-        const endIndex = startIndex + this.pageSize;
-        const pageData = this.filteredData.slice(startIndex, endIndex);
+    /**
+     * Add to the birth-year range label how many results the slider range
+     * gives. An unbounded range also keeps records with no birth date.
+     */
+    renderBirthYearCount(birthYears, locale) {
+        const { birthYearMin, birthYearMax } = this.facets;
+        const min = Number(this.birthYearMinInput.value);
+        const max = Number(this.birthYearMaxInput.value);
+        
+        let count = birthYears.all;
+        if (birthYearMin != null || birthYearMax != null) {
+            count = Object.entries(birthYears.byYear)
+                .filter(([year]) => Number(year) >= min && Number(year) <= max)
+                .reduce((sum, [, yearCount]) => sum + yearCount, 0);
+        }
+        
+        const range = this.formatRange(this.birthYearMinInput.value, this.birthYearMaxInput.value, true);
+        this.birthYearRangeValue.textContent = `${range} (${count.toLocaleString(locale)})`;
+    }
 
-        const html = pageData.map(person => this.createMemorialItem(person)).join('');
-        this.memorialList.innerHTML = html;
+    /**
+     * Fill the initial-letter facet with both alphabets and their counts
+     */
+    renderInitialOptions(initials, language, locale) {
+        if (!this.initialSelect) return;
+        
+        const group = (script, label, letters) => {
+            const options = letters
+                .filter(letter => initials[script][letter] || this.facets.initial === `${script}:${letter}`)
+                .map(letter => {
+                    const count = (initials[script][letter] || 0).toLocaleString(locale);
+                    return `<option value="${script}:${letter}">${letter} (${count})</option>`;
+                })
+                .join('');
+            return `<optgroup label="${label}">${options}</optgroup>`;
+        };
+        
+        const anyLabel = language === 'ar' ? 'أي حرف' : 'Any letter';
+        const arabicLetters = Object.keys(initials.ar).sort((a, b) => a.localeCompare(b, 'ar'));
+        const latinLetters = Object.keys(initials.en).sort();
+        
+        this.initialSelect.innerHTML = `<option value="">${anyLabel}</option>` +
+            group('ar', language === 'ar' ? 'الاسم بالعربية' : 'Arabic name', arabicLetters) +
+            group('en', language === 'ar' ? 'الاسم بالإنجليزية' : 'English name', latinLetters);
+        this.initialSelect.value = this.facets.initial;
+    }
 
-        this.updatePaginationInfo();
+    applySearch(term) {
+        this.searchTerm = term.trim();
+        this.updateResults();
     }
 
-    createMemorialItem(person) {
-        const context = this.getPersonContext(person);
-        const name = window.currentLanguage === 'ar' ? person.name : person.en_name;
+    applySort(sort) {
+        this.currentSort = sort;
+        if (this.sortSelect) this.sortSelect.value = sort;
+        return this.updateResults();
+    }
+
+    /**
+     * Filter, search or sort changed: drop cached chunks and start again from the top.
+     * Responses to superseded queries (e.g. earlier keystrokes) are dropped.
+     */
+    async updateResults() {
+        if (!this.worker || !this.grid) return;
+        
+        const version = ++this.resultVersion;
+        this.chunks.clear();
+        this.pendingChunks.clear();
+        
+        try {
+            const result = await this.query(0);
+            if (version !== this.resultVersion) return;
+            
+            this.chunks.set(0, result.items);
+            this.filteredTotal = result.total;
+            this.grandTotal = result.grandTotal;
+            this.facetCounts = result.counts;
+            this.renderFacetCounts();
+            
+            this.emptyMessage.hidden = this.filteredTotal > 0;
+            this.grid.setTotal(this.filteredTotal);
+            this.writeUrlState();
+        } catch (error) {
+            console.error('❌ Error querying memorial data:', error);
+        }
+    }
+
+    /**
+     * Cached record at a position in the current results, or null if its chunk is not loaded
+     */
+    getLoadedItem(index) {
+        const chunk = this.chunks.get(Math.floor(index / this.chunkSize));
+        return chunk ? chunk[index % this.chunkSize] || null : null;
+    }
+
+    /**
+     * Make sure every chunk covering the rendered range is loaded
+     */
+    ensureRange(firstIndex, lastIndex) {
+        const firstChunk = Math.floor(firstIndex / this.chunkSize);
+        const lastChunk = Math.floor(lastIndex / this.chunkSize);
         
-        // Special handling for newborns (0 days old)
-        let ageDisplay;
+        for (let chunk = firstChunk; chunk <= lastChunk; chunk++) {
+            if (!this.chunks.has(chunk) && !this.pendingChunks.has(chunk)) {
+                this.loadChunk(chunk);
+            }
+        }
+    }
+
+    async loadChunk(chunk) {
+        const version = this.resultVersion;
+        this.pendingChunks.add(chunk);
+        
+        try {
+            const result = await this.query(chunk);
+            if (version !== this.resultVersion) return;
+            
+            this.chunks.set(chunk, result.items);
+            this.pendingChunks.delete(chunk);
+            this.grid.refresh();
+        } catch (error) {
+            console.error('❌ Error loading memorial chunk:', error);
+            if (version === this.resultVersion) this.pendingChunks.delete(chunk);
+        }
+    }
+
+    /**
+     * Scroll to the first name starting with a letter. Switches to alphabetical
+     * order first, since the jump is meaningless in any other order.
+     */
+    async jumpToLetter(letter) {
+        try {
+            if (this.currentSort !== 'name') {
+                await this.applySort('name');
+            }
+            
+            const result = await this.sendToWorker({ type: 'locate', ...this.getQueryState(), letter });
+            if (result.index >= 0) {
+                this.grid.scrollToIndex(result.index);
+            }
+        } catch (error) {
+            console.error('❌ Error locating letter:', error);
+        } finally {
+            this.letterSelect.value = '';
+        }
+    }
+
+    /**
+     * Scroll to a zero-based position in the current results
+     */
+    jumpToIndex(index) {
+        if (!this.grid || !this.filteredTotal) return;
+        this.grid.scrollToIndex(index);
+        this.memorialList.focus();
+    }
+
+    /**
+     * Fill the jump-to-letter menu with the alphabet of the current language
+     */
+    renderLetterOptions(language) {
+        if (!this.letterSelect) return;
+        
+        const letters = language === 'ar'
+            ? 'ا ب ت ث ج ح خ د ذ ر ز س ش ص ض ط ظ ع غ ف ق ك ل م ن ه و ي'.split(' ')
+            : 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+        const label = language === 'ar' ? 'انتقل إلى حرف' : 'Jump to letter';
+        
+        this.letterSelect.innerHTML = `<option value="">${label}</option>` +
+            letters.map(letter => `<option value="${letter}">${letter}</option>`).join('');
+    }
+
+    /**
+     * Age as shown on the wall (newborns and infants in days)
+     */
+    formatAge(person, language = window.currentLanguage) {
+        if (person.age === null || person.age === undefined) {
+            return language === 'ar' ? 'غير معروف' : 'Unknown';
+        }
         if (person.age === 0) {
-            ageDisplay = window.currentLanguage === 'ar' ? 'مولود جديد' : 'Newborn';
-        } else if (person.age < 1) {
+            return language === 'ar' ? 'مولود جديد' : 'Newborn';
+        }
+        if (person.age < 1) {
             const days = Math.floor(person.age * 365);
-            ageDisplay = window.currentLanguage === 'ar' ? `${days} يوم` : `${days} days old`;
-        } else {
-            ageDisplay = window.currentLanguage === 'ar' ? `${person.age} سنة` : `${person.age} years old`;
+            return language === 'ar' ? `${days} يوم` : `${days} days old`;
         }
+        return language === 'ar' ? `${person.age} سنة` : `${person.age} years old`;
+    }
+
+    formatSex(person, language = window.currentLanguage) {
+        return person.sex === 'm'
+            ? (language === 'ar' ? 'ذكر' : 'Male')
+            : (language === 'ar' ? 'أنثى' : 'Female');
+    }
+
+    createMemorialItem(person) {
+        const context = this.getPersonContext(person);
+        const name = window.currentLanguage === 'ar' ? person.name : person.en_name;
+        const ageDisplay = this.formatAge(person);
+        const genderText = this.formatSex(person);
         
         // Arabic labels for the details
         const ageLabel = window.currentLanguage === 'ar' ? 'العمر: ' : 'Age: ';
         const genderLabel = window.currentLanguage === 'ar' ? 'الجنس: ' : 'Gender: ';
         const bornLabel = window.currentLanguage === 'ar' ? 'تاريخ الميلاد: ' : 'Born: ';
         
-        // Gender in Arabic
-        const genderText = person.sex === 'm' 
-            ? (window.currentLanguage === 'ar' ? 'ذكر' : 'Male')
-            : (window.currentLanguage === 'ar' ? 'أنثى' : 'Female');
+        const isSelected = this.selectedPersonId !== null && String(person.id) === this.selectedPersonId;
+        const linkLabel = window.currentLanguage === 'ar' ? 'رابط دائم لهذا الاسم' : 'Permanent link to this name';
         
         return `
-            <div class="memorial-item" data-id="${person.id}">
-                <div class="memorial-name">${name}</div>
+            <div class="memorial-item${isSelected ? ' selected' : ''}" role="listitem" data-id="${person.id}"${isSelected ? ' aria-current="true"' : ''}>
+                <a class="memorial-permalink" href="${this.getPermalink(person.id)}"
+                   aria-label="${linkLabel}" title="${linkLabel}">#</a>
+                <button type="button" class="memorial-name" aria-haspopup="dialog">${name}</button>
                 <div class="memorial-context">${context}</div>
                 <div class="memorial-details">
                     <span>${ageLabel}${ageDisplay}</span>
@@ -178,37 +909,70 @@ class MemorialWall {
         `;
     }
 
-    updatePaginationInfo() {
-        const totalPages = Math.ceil(this.filteredData.length / this.pageSize);
-        const startIndex = this.currentPage * this.pageSize + 1;
-        const endIndex = Math.min((this.currentPage + 1) * this.pageSize, this.filteredData.length);
-
-        this.currentRange.textContent = `${startIndex}-${endIndex}`;
-        this.totalRecords.textContent = this.filteredData.length;
+    /**
+     * One card per family group; "possible" groups are labelled as such
+     */
+    createFamilyCard(group) {
+        const isArabic = window.currentLanguage === 'ar';
+        const locale = isArabic ? 'ar-EG' : 'en-US';
+        const possible = group.confidence !== 'likely';
+        const surname = isArabic ? group.surname : group.enSurname || group.surname;
+        const label = possible
+            ? (isArabic ? 'عائلة محتملة' : 'Possible family')
+            : (isArabic ? 'عائلة' : 'Family');
+        const count = group.members.length.toLocaleString(locale);
+        const countLabel = isArabic ? `${count} أفراد` : `${count} members`;
         
-        // Update page info with proper language
-        const currentLang = window.currentLanguage || 'ar';
-        const pageText = currentLang === 'ar' 
-            ? `الصفحة ${this.currentPage + 1} من ${totalPages}`
-            : `Page ${this.currentPage + 1} of ${totalPages}`;
-        this.pageInfo.textContent = pageText;
-
-        this.prevPageBtn.disabled = this.currentPage === 0;
-        this.nextPageBtn.disabled = this.currentPage >= totalPages - 1;
+        const members = group.members.map(person => `
+            <li data-id="${person.id}">
+                <button type="button" class="memorial-name family-member-name" aria-haspopup="dialog">${isArabic ? person.name : person.en_name}</button>
+                <span class="family-member-age">${this.formatAge(person)}</span>
+            </li>
+        `).join('');
+        
+        return `
+            <div class="memorial-item family-card${possible ? ' possible' : ''}" role="listitem" data-family-id="${group.id}">
+                <div class="family-header">
+                    <span class="family-name">${surname}</span>
+                    <span class="family-badge">${label} · ${countLabel}</span>
+                </div>
+                <ul class="family-members">${members}</ul>
+            </div>
+        `;
     }
 
-    previousPage() {
-        if (this.currentPage > 0) {
-            this.currentPage--;
-            this.renderPaginatedList();
+    /**
+     * Show where the reader is in the list, e.g. "Name 12,340 of 60,199"
+     */
+    updatePositionInfo(index = this.grid ? this.grid.getFirstVisibleIndex() : 0) {
+        if (!this.positionInfo) return;
+        
+        const language = window.currentLanguage || 'en';
+        const locale = language === 'ar' ? 'ar-EG' : 'en-US';
+        const position = (this.filteredTotal ? index + 1 : 0).toLocaleString(locale);
+        const total = this.filteredTotal.toLocaleString(locale);
+        
+        if (this.viewMode === 'families') {
+            this.positionInfo.textContent = language === 'ar'
+                ? `العائلة ${position} من ${total}`
+                : `Family ${position} of ${total}`;
+            return;
         }
-    }
-
-    nextPage() {
-        const totalPages = Math.ceil(this.filteredData.length / this.pageSize);
-        if (this.currentPage < totalPages - 1) {
-            this.currentPage++;
-            this.renderPaginatedList();
+        
+        let text = language === 'ar'
+            ? `الاسم ${position} من ${total}`
+            : `Name ${position} of ${total}`;
+        
+        // When filtered or searched, also show the size of the whole wall
+        if (this.filteredTotal !== this.grandTotal) {
+            const grandTotal = this.grandTotal.toLocaleString(locale);
+            text += language === 'ar' ? ` (من أصل ${grandTotal})` : ` (of ${grandTotal} in total)`;
+        }
+        
+        this.positionInfo.textContent = text;
+        
+        if (this.jumpInput) {
+            this.jumpInput.max = Math.max(1, this.filteredTotal);
         }
     }
 
@@ -241,28 +1005,37 @@ class MemorialWall {
         }
     }
 
+    /**
+     * Keyboard scrolling while the list has focus
+     */
     handleKeyboard(e) {
+        if (!this.grid) return;
+        
+        const current = this.grid.getFirstVisibleIndex();
+        const pageItems = this.grid.columns * Math.max(1, Math.floor(this.memorialList.clientHeight / this.grid.rowHeight));
+        
         switch (e.key) {
-            case 'ArrowLeft':
-                this.previousPage();
+            case 'Home':
+                this.grid.scrollToIndex(0);
                 break;
-            case 'ArrowRight':
-                this.nextPage();
+            case 'End':
+                this.grid.scrollToIndex(this.filteredTotal - 1);
                 break;
             case 'PageUp':
-                this.currentPage = Math.max(0, this.currentPage - 5);
-                this.renderPaginatedList();
+                this.grid.scrollToIndex(current - pageItems);
                 break;
             case 'PageDown':
-                const totalPages = Math.ceil(this.filteredData.length / this.pageSize);
-                this.currentPage = Math.min(totalPages - 1, this.currentPage + 5);
-                this.renderPaginatedList();
+                this.grid.scrollToIndex(current + pageItems);
                 break;
+            default:
+                return;
         }
+        e.preventDefault();
     }
 
     render() {
-        this.renderPaginatedList();
+        if (this.grid) this.grid.refresh();
+        this.updatePositionInfo();
     }
 
     showLoading() {
@@ -286,17 +1059,7 @@ class MemorialWall {
      * Handle language changes from LanguageManager
      */
     onLanguageChanged(language) {
-        // Update filter button text
-        const filterButtons = document.querySelectorAll('[data-filter]');
-        filterButtons.forEach(btn => {
-            const enText = btn.getAttribute('data-en');
-            const arText = btn.getAttribute('data-ar');
-            if (enText && arText) {
-                btn.textContent = language === 'en' ? enText : arText;
-            }
-        });
-        
-        // Update pagination text
+        // Update list control text
         const paginationElements = document.querySelectorAll('[data-en], [data-ar]');
         paginationElements.forEach(el => {
             const enText = el.getAttribute('data-en');
@@ -306,8 +1069,32 @@ class MemorialWall {
             }
         });
         
-        // Re-render the memorial list with new language
-        this.render();
+        // Update search placeholder
+        if (this.searchInput) {
+            this.searchInput.placeholder = language === 'ar'
+                ? this.searchInput.dataset.placeholderAr
+                : this.searchInput.dataset.placeholderEn;
+        }
+        
+        // Facet labels carry counts and locale digits
+        this.syncFacetControls();
+        this.renderFacetCounts();
+        
+        // Update the list's accessible name
+        this.memorialList.setAttribute('aria-label', language === 'ar'
+            ? this.memorialList.dataset.labelAr
+            : this.memorialList.dataset.labelEn);
+        
+        if (this.profile) this.profile.render();
+        if (this.grid) this.writeUrlState();
+        
+        // Alphabetical order depends on the language, so re-query; otherwise just re-render
+        this.renderLetterOptions(language);
+        if (this.currentSort === 'name') {
+            this.updateResults();
+        } else {
+            this.render();
+        }
     }
 }
 
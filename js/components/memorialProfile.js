@@ -0,0 +1,202 @@
+/**
+ * Memorial Profile Component
+ * Modal panel showing everything known about one person: both names,
+ * age, sex, date of birth and the full life context from memorial_context.js.
+ */
+
+class MemorialProfile {
+    /**
+     * @param {HTMLDialogElement} dialog - The profile <dialog> element
+     * @param {Object} options
+     * @param {Function} options.formatAge - (person, language) => age text
+     * @param {Function} options.formatSex - (person, language) => sex text
+     * @param {Function} options.getPermalink - (personId) => absolute URL
+     * @param {Function} [options.onClose] - Called after the panel closes
+     */
+    constructor(dialog, options) {
+        this.dialog = dialog;
+        this.options = options;
+        this.person = null;
+        this.returnFocus = null;
+
+        this.body = dialog.querySelector('.profile-body');
+        this.shareBtn = dialog.querySelector('.profile-share');
+        this.closeBtn = dialog.querySelector('.profile-close');
+        this.status = dialog.querySelector('.profile-status');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.shareBtn.addEventListener('click', () => this.share());
+
+        // Escape is handled by <dialog>; keep our state in sync however it closes
+        this.dialog.addEventListener('close', () => this.handleClosed());
+
+        // Clicking the backdrop closes the panel
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+    }
+
+    get isOpen() {
+        return this.dialog.open;
+    }
+
+    /**
+     * Show a person's profile, remembering what had focus before
+     */
+    open(person) {
+        this.person = person;
+        this.status.textContent = '';
+        this.render();
+
+        if (!this.dialog.open) {
+            this.returnFocus = document.activeElement;
+            this.dialog.showModal();
+        }
+        this.closeBtn.focus();
+    }
+
+    close() {
+        if (this.dialog.open) {
+            this.dialog.close();
+        }
+    }
+
+    handleClosed() {
+        this.person = null;
+
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+
+        if (this.options.onClose) {
+            this.options.onClose();
+        }
+    }
+
+    /**
+     * Re-render in the current language (no-op when closed)
+     */
+    render() {
+        if (!this.person) return;
+
+        const person = this.person;
+        const language = window.currentLanguage || 'en';
+        const isArabic = language === 'ar';
+        const context = window.memorialContext && window.memorialContext.getPersonLifeContext
+            ? window.memorialContext.getPersonLifeContext(person, language)
+            : null;
+
+        const details = [
+            [isArabic ? 'العمر' : 'Age', this.options.formatAge(person, language)],
+            [isArabic ? 'الجنس' : 'Sex', this.options.formatSex(person, language)]
+        ];
+        const formatDate = (value) => new Date(value).toLocaleDateString(isArabic ? 'ar-EG' : 'en-GB', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+        if (person.dob) {
+            details.push([isArabic ? 'تاريخ الميلاد' : 'Born', formatDate(person.dob)]);
+        }
+        if (person.dod) {
+            details.push([isArabic ? 'تاريخ الاستشهاد' : 'Killed', formatDate(person.dod)]);
+        }
+        if (context && context.life_duration) {
+            const days = context.life_duration.days.toLocaleString(isArabic ? 'ar-EG' : 'en-US');
+            details.push([isArabic ? 'أيام الحياة' : 'Days lived', days]);
+        }
+
+        this.body.innerHTML = `
+            <div class="profile-names">
+                <h2 class="profile-name" id="profileTitle" lang="${language}" dir="${isArabic ? 'rtl' : 'ltr'}">${isArabic ? person.name : person.en_name}</h2>
+                <p class="profile-name-alt" lang="${isArabic ? 'en' : 'ar'}" dir="${isArabic ? 'ltr' : 'rtl'}">${isArabic ? person.en_name : person.name}</p>
+            </div>
+            <dl class="profile-details">
+                ${details.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+            </dl>
+            ${this.renderContext(context, isArabic)}
+        `;
+
+        this.shareBtn.textContent = isArabic ? 'مشاركة الرابط' : 'Share link';
+        this.closeBtn.setAttribute('aria-label', isArabic ? 'إغلاق' : 'Close');
+    }
+
+    /**
+     * One section per piece of life context that applies to this person
+     */
+    renderContext(context, isArabic) {
+        if (!context) return '';
+
+        const sections = [];
+        const pick = (item) => isArabic ? item.context_ar : item.context_en;
+
+        if (context.school_context) {
+            sections.push([isArabic ? 'المرحلة الدراسية' : 'School year',
+                isArabic ? context.school_context.grade.ar : context.school_context.grade.en,
+                pick(context.school_context)]);
+        }
+        if (context.life_stage) {
+            sections.push([isArabic ? 'مرحلة الحياة' : 'Stage of life',
+                isArabic ? context.life_stage.stage.ar : context.life_stage.stage.en,
+                pick(context.life_stage)]);
+        }
+        if (context.seasonal) {
+            sections.push([isArabic ? 'فصل الميلاد' : 'Season of birth',
+                isArabic ? context.seasonal.season.ar : context.seasonal.season.en,
+                pick(context.seasonal)]);
+        }
+        if (context.birthday) {
+            sections.push([isArabic ? 'عيد الميلاد' : 'Birthday',
+                context.birthday.next_birthday,
+                context.birthday.context]);
+        }
+
+        if (!sections.length) return '';
+
+        return `
+            <ul class="profile-context">
+                ${sections.map(([heading, label, text]) => `
+                    <li>
+                        <h3>${heading}</h3>
+                        <p><strong>${label}</strong> — ${text}</p>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Share the permalink with the native share sheet, or copy it
+     */
+    async share() {
+        if (!this.person) return;
+
+        const isArabic = window.currentLanguage === 'ar';
+        const url = this.options.getPermalink(this.person.id);
+        const title = isArabic ? this.person.name : this.person.en_name;
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title, url });
+                return;
+            }
+            await navigator.clipboard.writeText(`${title}\n${url}`);
+            this.status.textContent = isArabic ? 'تم نسخ الرابط' : 'Link copied';
+        } catch (error) {
+            // Share sheet dismissed, or clipboard unavailable
+            if (error.name !== 'AbortError') {
+                console.warn('⚠️ Could not share profile link:', error);
+                this.status.textContent = url;
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemorialProfile;
+} else {
+    // Browser environment
+    window.MemorialProfile = MemorialProfile;
+}
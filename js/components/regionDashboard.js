@@ -0,0 +1,325 @@
+/**
+ * Region Dashboard Component
+ * Gaza and the West Bank side by side: aligned headline figures from summary.json
+ * and weekly killed series from the two daily datasets, sharing one time axis.
+ */
+
+// Approximate populations used for per-capita figures; override via options or
+// data-population-gaza / data-population-west-bank on the container
+const DEFAULT_POPULATIONS = {
+    gaza: 2100000,
+    west_bank: 3300000
+};
+
+const PER_CAPITA_BASE = 100000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DASHBOARD_REGIONS = [
+    { key: 'gaza', dataset: 'casualties_daily', label: { en: 'Gaza', ar: 'غزة' } },
+    { key: 'west_bank', dataset: 'west_bank_daily', label: { en: 'West Bank', ar: 'الضفة الغربية' } }
+];
+
+// Rows of the comparison table; `perCapita: false` figures are never normalized
+const DASHBOARD_KPIS = [
+    { key: 'killed', label: { en: 'Killed', ar: 'الشهداء' }, value: (region) => region.killed?.total },
+    { key: 'children', label: { en: 'Children killed', ar: 'الأطفال الشهداء' }, value: (region) => region.killed?.children },
+    { key: 'injured', label: { en: 'Injured', ar: 'الجرحى' }, value: (region) => region.injured?.total },
+    { key: 'settler_attacks', label: { en: 'Settler attacks', ar: 'هجمات المستوطنين' }, value: (region) => region.settler_attacks },
+    { key: 'reports', label: { en: 'Daily reports', ar: 'التقارير اليومية' }, value: (region) => region.reports, perCapita: false }
+];
+
+class RegionDashboard {
+    /**
+     * @param {string} containerId - Element to render into
+     * @param {Object} [options]
+     * @param {Object} [options.populations] - { gaza, west_bank } population figures
+     * @param {Date} [options.startDate] - First day of the time series
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.populations = { ...DEFAULT_POPULATIONS, ...this.readPopulationAttributes(), ...options.populations };
+        this.startDate = options.startDate || new Date('2023-10-07');
+        this.summary = null;
+        this.series = {};
+        this.perCapita = false;
+        this.cursor = null;
+
+        this.init();
+    }
+
+    async init() {
+        if (!this.container) {
+            console.error('❌ Region dashboard container not found');
+            return;
+        }
+
+        try {
+            await this.loadData();
+            this.render();
+
+            window.addEventListener('languageChanged', () => this.render());
+            console.log('✅ RegionDashboard initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize RegionDashboard:', error);
+            this.container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Population overrides declared in the markup
+     */
+    readPopulationAttributes() {
+        const populations = {};
+        if (!this.container) return populations;
+
+        const gaza = Number(this.container.dataset.populationGaza);
+        const westBank = Number(this.container.dataset.populationWestBank);
+        if (gaza > 0) populations.gaza = gaza;
+        if (westBank > 0) populations.west_bank = westBank;
+        return populations;
+    }
+
+    async loadData() {
+        const [summary, ...daily] = await Promise.all([
+            window.dataStore.load('summary'),
+            ...DASHBOARD_REGIONS.map(region => window.dataStore.load(region.dataset))
+        ]);
+
+        this.summary = summary;
+        DASHBOARD_REGIONS.forEach((region, index) => {
+            this.series[region.key] = this.buildWeeklySeries(daily[index], 'killed_cum');
+        });
+    }
+
+    /**
+     * Weekly new deaths from a cumulative field. Each week takes the last
+     * cumulative reported in it, carried forward through weeks without reports.
+     * @returns {number[]} - One value per week since startDate
+     */
+    buildWeeklySeries(records, field) {
+        const start = this.startDate.getTime();
+        const cumulative = [];
+
+        [...records]
+            .sort((a, b) => a.report_date.localeCompare(b.report_date))
+            .forEach(record => {
+                const value = record[field];
+                if (value === undefined || value === null) return;
+
+                const week = Math.floor((new Date(record.report_date).getTime() - start) / WEEK_MS);
+                if (week >= 0) cumulative[week] = value;
+            });
+
+        const weekly = [];
+        let previous = 0;
+        for (let week = 0; week < cumulative.length; week++) {
+            const current = cumulative[week] ?? previous;
+            // Downward revisions show as a quiet week rather than a negative one
+            weekly.push(Math.max(0, current - previous));
+            previous = Math.max(previous, current);
+        }
+        return weekly;
+    }
+
+    /**
+     * Normalize a figure to the current display mode
+     */
+    scale(value, regionKey) {
+        if (!this.perCapita) return value;
+        return value / this.populations[regionKey] * PER_CAPITA_BASE;
+    }
+
+    formatNumber(value, language, fractional = false) {
+        if (value === undefined || value === null) return '—';
+        return value.toLocaleString(language === 'ar' ? 'ar-EG' : 'en-US', {
+            maximumFractionDigits: fractional ? 1 : 0
+        });
+    }
+
+    render() {
+        if (!this.summary) return;
+
+        const language = window.currentLanguage || 'en';
+        const isArabic = language === 'ar';
+        const modeLabel = isArabic ? 'لكل ١٠٠٬٠٠٠ نسمة' : `Per ${PER_CAPITA_BASE.toLocaleString('en-US')} people`;
+
+        this.container.innerHTML = `
+            <section class="region-dashboard" dir="${isArabic ? 'rtl' : 'ltr'}" lang="${language}" aria-labelledby="regionDashboardTitle">
+                <div class="region-dashboard-header">
+                    <h2 class="region-dashboard-title" id="regionDashboardTitle">${isArabic ? 'غزة والضفة الغربية' : 'Gaza and the West Bank'}</h2>
+                    <button type="button" class="source-btn region-per-capita ${this.perCapita ? 'active' : ''}" aria-pressed="${this.perCapita}">${modeLabel}</button>
+                </div>
+                ${this.renderTable(language)}
+                <div class="region-series-group">
+                    ${DASHBOARD_REGIONS.map(region => this.renderSeries(region, language)).join('')}
+                </div>
+                <p class="region-dashboard-note">${this.renderNote(language)}</p>
+            </section>
+        `;
+
+        this.container.querySelector('.region-per-capita').addEventListener('click', () => {
+            this.perCapita = !this.perCapita;
+            this.render();
+            this.container.querySelector('.region-per-capita').focus();
+        });
+
+        this.bindSeriesEvents();
+        this.updateCursor();
+    }
+
+    renderTable(language) {
+        const isArabic = language === 'ar';
+
+        const rows = DASHBOARD_KPIS.map(kpi => {
+            const normalize = this.perCapita && kpi.perCapita !== false;
+            const cells = DASHBOARD_REGIONS.map(region => {
+                const value = kpi.value(this.summary[region.key] || {});
+                const shown = value === undefined ? value : (normalize ? this.scale(value, region.key) : value);
+                return `<td>${this.formatNumber(shown, language, normalize)}</td>`;
+            }).join('');
+
+            return `<tr><th scope="row">${kpi.label[language]}</th>${cells}</tr>`;
+        }).join('');
+
+        return `
+            <table class="region-kpis">
+                <caption class="visually-hidden">${isArabic ? 'مقارنة الأرقام الرئيسية' : 'Headline figures compared'}</caption>
+                <thead>
+                    <tr>
+                        <td></td>
+                        ${DASHBOARD_REGIONS.map(region => `<th scope="col">${region.label[language]}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderSeries(region, language) {
+        const isArabic = language === 'ar';
+
+        return `
+            <div class="region-series" data-region="${region.key}">
+                <h3 class="region-series-title">${region.label[language]} — ${isArabic ? 'الشهداء أسبوعياً' : 'killed per week'}</h3>
+                <svg class="region-series-chart" viewBox="0 0 300 60" preserveAspectRatio="none" tabindex="0" role="img"
+                     aria-label="${region.label[language]}: ${isArabic ? 'استخدم الأسهم للتنقل بين الأسابيع' : 'use the arrow keys to move between weeks'}">
+                    <path class="region-series-line" d="${this.seriesPath(region.key, isArabic)}"></path>
+                    <line class="region-series-cursor" y1="0" y2="60" visibility="hidden"></line>
+                </svg>
+                <p class="region-series-readout" aria-live="polite"></p>
+            </div>
+        `;
+    }
+
+    /**
+     * Largest value plotted for a region. Per capita the regions share one scale
+     * so their lines compare directly.
+     */
+    seriesMax(regionKey) {
+        const keys = this.perCapita ? DASHBOARD_REGIONS.map(region => region.key) : [regionKey];
+        const values = keys.flatMap(key => this.series[key].map(value => this.scale(value, key)));
+        return Math.max(1, ...values);
+    }
+
+    weekCount() {
+        return Math.max(...DASHBOARD_REGIONS.map(region => this.series[region.key].length));
+    }
+
+    /**
+     * x position of a week; time runs right to left in Arabic
+     */
+    weekX(week, isArabic) {
+        const x = week / Math.max(1, this.weekCount() - 1) * 300;
+        return isArabic ? 300 - x : x;
+    }
+
+    seriesPath(regionKey, isArabic) {
+        const max = this.seriesMax(regionKey);
+        return this.series[regionKey]
+            .map((value, week) => {
+                const y = 58 - this.scale(value, regionKey) / max * 56;
+                return `${week === 0 ? 'M' : 'L'}${this.weekX(week, isArabic).toFixed(1)},${y.toFixed(1)}`;
+            })
+            .join(' ');
+    }
+
+    /**
+     * Hovering or arrowing through either chart moves the cursor in both
+     */
+    bindSeriesEvents() {
+        this.container.querySelectorAll('.region-series-chart').forEach(chart => {
+            chart.addEventListener('pointermove', (e) => {
+                const rect = chart.getBoundingClientRect();
+                let ratio = (e.clientX - rect.left) / rect.width;
+                if (window.currentLanguage === 'ar') ratio = 1 - ratio;
+                this.setCursor(Math.round(ratio * (this.weekCount() - 1)));
+            });
+
+            chart.addEventListener('keydown', (e) => {
+                const forward = window.currentLanguage === 'ar' ? 'ArrowLeft' : 'ArrowRight';
+                const backward = window.currentLanguage === 'ar' ? 'ArrowRight' : 'ArrowLeft';
+                const current = this.cursor ?? this.weekCount() - 1;
+
+                if (e.key === forward) this.setCursor(current + 1);
+                else if (e.key === backward) this.setCursor(current - 1);
+                else if (e.key === 'Home') this.setCursor(0);
+                else if (e.key === 'End') this.setCursor(this.weekCount() - 1);
+                else return;
+                e.preventDefault();
+            });
+        });
+    }
+
+    setCursor(week) {
+        this.cursor = Math.max(0, Math.min(this.weekCount() - 1, week));
+        this.updateCursor();
+    }
+
+    updateCursor() {
+        if (this.cursor === null) return;
+
+        const language = window.currentLanguage || 'en';
+        const isArabic = language === 'ar';
+        const weekStart = new Date(this.startDate.getTime() + this.cursor * WEEK_MS);
+        const dateText = weekStart.toLocaleDateString(isArabic ? 'ar-EG' : 'en-GB', { year: 'numeric', month: 'short', day: 'numeric' });
+        const x = this.weekX(this.cursor, isArabic).toFixed(1);
+
+        this.container.querySelectorAll('.region-series').forEach(block => {
+            const regionKey = block.dataset.region;
+            const value = this.series[regionKey][this.cursor];
+
+            const cursor = block.querySelector('.region-series-cursor');
+            cursor.setAttribute('x1', x);
+            cursor.setAttribute('x2', x);
+            cursor.setAttribute('visibility', 'visible');
+
+            const shown = value === undefined ? undefined : this.scale(value, regionKey);
+            block.querySelector('.region-series-readout').textContent = isArabic
+                ? `أسبوع ${dateText}: ${this.formatNumber(shown, language, this.perCapita)}`
+                : `Week of ${dateText}: ${this.formatNumber(shown, language, this.perCapita)}`;
+        });
+    }
+
+    renderNote(language) {
+        const populations = DASHBOARD_REGIONS
+            .map(region => `${region.label[language]} ${this.formatNumber(this.populations[region.key], language)}`)
+            .join(language === 'ar' ? '، ' : ', ');
+        const lastUpdate = this.summary.gaza?.last_update || '';
+
+        return language === 'ar'
+            ? `الأرقام لكل فرد محسوبة على أساس عدد سكان تقريبي: ${populations}. آخر تحديث: ${lastUpdate}.`
+            : `Per-capita figures use approximate populations: ${populations}. Last updated: ${lastUpdate}.`;
+    }
+
+    destroy() {
+        if (this.container) this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegionDashboard;
+} else {
+    // Browser environment
+    window.RegionDashboard = RegionDashboard;
+}
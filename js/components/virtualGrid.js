@@ -0,0 +1,262 @@
+/**
+ * Virtual Grid Component
+ * Windowed grid that keeps only the visible rows in the DOM.
+ * Items have a fixed height; the column count follows the viewport width,
+ * and the grid flows right-to-left automatically under dir="rtl".
+ */
+
+class VirtualGrid {
+    /**
+     * @param {HTMLElement} viewport - Scrollable element that hosts the grid
+     * @param {Object} options
+     * @param {number} options.itemHeight - Fixed item height in px
+     * @param {number} options.minItemWidth - Minimum item width used to derive the column count
+     * @param {number} [options.gap] - Gap between items in px
+     * @param {number} [options.overscan] - Extra rows rendered above and below the viewport
+     * @param {Function} options.renderItem - (item, index) => HTML string
+     * @param {Function} options.renderPlaceholder - (index) => HTML string for items not loaded yet
+     * @param {Function} options.getItem - (index) => item or null when not loaded yet
+     * @param {Function} [options.onRangeChange] - (firstIndex, lastIndex) called when the rendered range changes
+     * @param {Function} [options.onScrollPosition] - (firstVisibleIndex) called after every scroll
+     */
+    constructor(viewport, options) {
+        this.viewport = viewport;
+        this.options = { gap: 16, overscan: 3, ...options };
+        this.total = 0;
+        this.columns = 1;
+        this.renderedRange = null;
+        this.windowFirstIndex = 0;
+        this.frameRequested = false;
+
+        this.createElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Create the sizer (full scroll height) and the window (visible rows)
+     */
+    createElements() {
+        this.viewport.innerHTML = '';
+        this.viewport.classList.add('virtual-grid');
+
+        this.sizer = document.createElement('div');
+        this.sizer.className = 'virtual-grid-sizer';
+
+        this.window = document.createElement('div');
+        this.window.className = 'virtual-grid-window';
+        this.window.setAttribute('role', 'list');
+        this.window.style.gap = `${this.options.gap}px`;
+        this.window.style.gridAutoRows = `${this.options.itemHeight}px`;
+
+        this.sizer.appendChild(this.window);
+        this.viewport.appendChild(this.sizer);
+    }
+
+    bindEvents() {
+        // Kept so destroy() can remove them; the viewport outlives the grid
+        this.handleScroll = () => this.scheduleUpdate();
+        this.handleWindowResize = () => this.handleResize();
+
+        this.viewport.addEventListener('scroll', this.handleScroll, { passive: true });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.handleWindowResize);
+            this.resizeObserver.observe(this.viewport);
+        } else {
+            window.addEventListener('resize', this.handleWindowResize);
+        }
+    }
+
+    get rowHeight() {
+        return this.options.itemHeight + this.options.gap;
+    }
+
+    /**
+     * Recalculate columns and keep the first visible item in view
+     */
+    handleResize() {
+        const firstVisible = this.getFirstVisibleIndex();
+        const columns = this.calculateColumns();
+
+        if (columns !== this.columns) {
+            this.columns = columns;
+            this.window.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+            this.updateSize();
+            this.scrollToIndex(firstVisible);
+        }
+
+        this.update(true);
+    }
+
+    calculateColumns() {
+        const width = this.viewport.clientWidth;
+        const { minItemWidth, gap } = this.options;
+        return Math.max(1, Math.floor((width + gap) / (minItemWidth + gap)));
+    }
+
+    /**
+     * Set the number of items and reset to the top
+     */
+    setTotal(total) {
+        this.total = total;
+        this.columns = this.calculateColumns();
+        this.window.style.gridTemplateColumns = `repeat(${this.columns}, minmax(0, 1fr))`;
+        this.updateSize();
+        this.viewport.scrollTop = 0;
+        this.update(true);
+    }
+
+    updateSize() {
+        const rows = Math.ceil(this.total / this.columns);
+        this.sizer.style.height = `${Math.max(0, rows * this.rowHeight - this.options.gap)}px`;
+    }
+
+    scheduleUpdate() {
+        if (this.frameRequested) return;
+        this.frameRequested = true;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.update(false);
+        });
+    }
+
+    /**
+     * Render the rows intersecting the viewport (plus overscan)
+     * @param {boolean} force - Re-render even if the row range is unchanged
+     */
+    update(force) {
+        const { overscan } = this.options;
+        const scrollTop = this.viewport.scrollTop;
+        const height = this.viewport.clientHeight;
+        const totalRows = Math.ceil(this.total / this.columns);
+
+        const firstRow = Math.max(0, Math.floor(scrollTop / this.rowHeight) - overscan);
+        const lastRow = Math.min(totalRows - 1, Math.ceil((scrollTop + height) / this.rowHeight) + overscan);
+
+        const firstIndex = firstRow * this.columns;
+        const lastIndex = Math.min(this.total - 1, (lastRow + 1) * this.columns - 1);
+
+        const unchanged = this.renderedRange
+            && this.renderedRange.firstIndex === firstIndex
+            && this.renderedRange.lastIndex === lastIndex;
+
+        if (force || !unchanged) {
+            this.renderedRange = { firstIndex, lastIndex };
+            this.renderRange(firstRow, firstIndex, lastIndex);
+
+            if (this.options.onRangeChange && this.total > 0) {
+                this.options.onRangeChange(firstIndex, lastIndex);
+            }
+        }
+
+        if (this.options.onScrollPosition) {
+            this.options.onScrollPosition(this.getFirstVisibleIndex());
+        }
+    }
+
+    renderRange(firstRow, firstIndex, lastIndex) {
+        this.window.style.transform = `translateY(${firstRow * this.rowHeight}px)`;
+
+        const focus = this.getFocusPosition();
+
+        const html = [];
+        for (let index = firstIndex; index <= lastIndex; index++) {
+            const item = this.options.getItem(index);
+            html.push(item
+                ? this.options.renderItem(item, index)
+                : this.options.renderPlaceholder(index));
+        }
+
+        this.window.innerHTML = html.join('');
+        this.windowFirstIndex = firstIndex;
+
+        if (focus) this.restoreFocus(focus);
+    }
+
+    /**
+     * Where keyboard focus is in the window, as an item index and the position
+     * of the focused control among that item's focusable elements
+     * @returns {{index: number, control: number}|null}
+     */
+    getFocusPosition() {
+        const active = document.activeElement;
+        if (!active || !this.window.contains(active)) return null;
+
+        const element = [...this.window.children].find(child => child.contains(active));
+        if (!element) return null;
+
+        return {
+            index: this.windowFirstIndex + [...this.window.children].indexOf(element),
+            control: element === active ? -1 : this.getFocusable(element).indexOf(active)
+        };
+    }
+
+    /**
+     * Focus the same control of the same item after a re-render, if it's
+     * still in the window
+     */
+    restoreFocus({ index, control }) {
+        const element = this.window.children[index - this.windowFirstIndex];
+        if (!element) return;
+
+        const target = control === -1 ? element : this.getFocusable(element)[control];
+        if (target) target.focus({ preventScroll: true });
+    }
+
+    getFocusable(element) {
+        return [...element.querySelectorAll('a[href], button, input, select, textarea, [tabindex]')];
+    }
+
+    /**
+     * Re-render the current range (e.g. after new items arrived or the language changed)
+     */
+    refresh() {
+        this.update(true);
+    }
+
+    /**
+     * Index of the first item in the top visible row
+     */
+    getFirstVisibleIndex() {
+        if (!this.total) return 0;
+        const row = Math.floor((this.viewport.scrollTop + this.rowHeight / 2) / this.rowHeight);
+        return Math.min(this.total - 1, row * this.columns);
+    }
+
+    /**
+     * Scroll so that the row containing `index` is at the top
+     */
+    scrollToIndex(index) {
+        const clamped = Math.min(Math.max(0, index), Math.max(0, this.total - 1));
+        this.viewport.scrollTop = Math.floor(clamped / this.columns) * this.rowHeight;
+        this.update(true);
+    }
+
+    /**
+     * Detach from the viewport so a new grid can take it over
+     */
+    destroy() {
+        this.viewport.removeEventListener('scroll', this.handleScroll);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else {
+            window.removeEventListener('resize', this.handleWindowResize);
+        }
+        if (this.frameRequested) {
+            cancelAnimationFrame(this.frame);
+            this.frameRequested = false;
+        }
+
+        this.viewport.classList.remove('virtual-grid');
+        this.viewport.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VirtualGrid;
+} else {
+    // Browser environment
+    window.VirtualGrid = VirtualGrid;
+}
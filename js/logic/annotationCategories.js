@@ -0,0 +1,78 @@
+/**
+ * Annotation Categories
+ * Categories of the timeline annotations (data/annotations.json), their icons,
+ * and the helpers shared by the heat map, chart, peak cards and editor.
+ */
+
+// Icons are plain symbols so they render the same on canvas and in both fonts
+const ANNOTATION_CATEGORIES = {
+    hospital: { en: 'Hospitals', ar: 'المستشفيات', icon: '✚' },
+    displacement: { en: 'Displacement', ar: 'النزوح', icon: '⇢' },
+    aid: { en: 'Aid', ar: 'المساعدات', icon: '◆' },
+    press: { en: 'Press', ar: 'الصحافة', icon: '✎' },
+    truce: { en: 'Truce', ar: 'الهدنة', icon: '‖' },
+    massacre: { en: 'Massacres', ar: 'المجازر', icon: '✖' },
+    other: { en: 'Other', ar: 'أخرى', icon: '•' }
+};
+
+// Where annotations without a (known) category are filed
+const ANNOTATION_FALLBACK_CATEGORY = 'other';
+
+/**
+ * Category key of an annotation
+ * @param {Object} annotation
+ * @returns {string} - ANNOTATION_FALLBACK_CATEGORY when missing or unknown
+ */
+function getAnnotationCategory(annotation) {
+    return ANNOTATION_CATEGORIES[annotation.category] ? annotation.category : ANNOTATION_FALLBACK_CATEGORY;
+}
+
+/**
+ * Icon of an annotation's category
+ * @param {Object} annotation
+ * @returns {string}
+ */
+function getAnnotationIcon(annotation) {
+    return ANNOTATION_CATEGORIES[getAnnotationCategory(annotation)].icon;
+}
+
+/**
+ * Whether an annotation passes a category filter. An empty filter shows
+ * everything; otherwise only the selected categories are shown, with
+ * uncategorized annotations counting as 'other'.
+ * @param {Object} annotation
+ * @param {Set<string>} categories - Selected category keys
+ * @returns {boolean}
+ */
+function matchesAnnotationFilter(annotation, categories) {
+    return categories.size === 0 || categories.has(getAnnotationCategory(annotation));
+}
+
+/**
+ * Source links of an annotation, labelled by host name
+ * @param {Object} annotation
+ * @returns {Object[]} - { url, label } for each valid http(s) source
+ */
+function getAnnotationSources(annotation) {
+    return (annotation.sources || []).flatMap(source => {
+        try {
+            const url = new URL(source);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return [];
+            return [{ url: url.href, label: url.hostname.replace(/^www\./, '') }];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANNOTATION_CATEGORIES,
+        ANNOTATION_FALLBACK_CATEGORY,
+        getAnnotationCategory,
+        getAnnotationIcon,
+        matchesAnnotationFilter,
+        getAnnotationSources
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * Annotation Validator
+ * Pure helpers behind the annotation editor (annotations.html): normalizing,
+ * validating, sorting and serializing the entries of data/annotations.json.
+ */
+
+/**
+ * @typedef {Object} Annotation
+ * @property {string} date - YYYY-MM-DD, a day in the casualty series
+ * @property {string} [category] - Key of ANNOTATION_CATEGORIES
+ * @property {string} en - English note
+ * @property {string} ar - Arabic note
+ * @property {string[]} [sources] - http(s) URLs backing the note
+ */
+
+// annotationCategories.js is loaded first on the page; under Node it is required
+const annotationCategoryTools = typeof require === 'function'
+    ? require('./annotationCategories.js')
+    : { ANNOTATION_CATEGORIES };
+
+// Key order of serialized entries, so exported files diff cleanly
+const ANNOTATION_FIELDS = ['date', 'category', 'en', 'ar', 'sources'];
+
+const ARABIC_SCRIPT = /[؀-ۿ]/;
+
+const ANNOTATION_MESSAGES = {
+    invalid_date: { en: 'Date must be a real day in YYYY-MM-DD form', ar: 'يجب أن يكون التاريخ يوماً صحيحاً بصيغة YYYY-MM-DD' },
+    date_not_in_series: { en: 'No casualty record for this date', ar: 'لا يوجد سجل ضحايا لهذا التاريخ' },
+    duplicate_date: { en: 'Another annotation has this date; only the first is shown', ar: 'يوجد تعليق آخر بهذا التاريخ؛ يظهر الأول فقط' },
+    missing_en: { en: 'English text is missing', ar: 'النص الإنجليزي مفقود' },
+    missing_ar: { en: 'Arabic text is missing', ar: 'النص العربي مفقود' },
+    ar_not_arabic: { en: 'Arabic text contains no Arabic script', ar: 'النص العربي لا يحتوي على حروف عربية' },
+    unknown_category: { en: 'Unknown category', ar: 'فئة غير معروفة' },
+    invalid_source: { en: 'Sources must be http(s) URLs', ar: 'يجب أن تكون المصادر روابط http(s)' },
+    missing_source: { en: 'No source backs this note yet', ar: 'لا يوجد مصدر يدعم هذا التعليق بعد' }
+};
+
+/**
+ * Trim text fields and drop empty optional ones
+ * @param {Object} annotation
+ * @returns {Annotation} - Fields in ANNOTATION_FIELDS order
+ */
+function normalizeAnnotation(annotation) {
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const normalized = {};
+
+    normalized.date = text(annotation.date);
+    if (text(annotation.category)) normalized.category = text(annotation.category);
+    normalized.en = text(annotation.en);
+    normalized.ar = text(annotation.ar);
+
+    const sources = (Array.isArray(annotation.sources) ? annotation.sources : [])
+        .map(text)
+        .filter(Boolean);
+    if (sources.length) normalized.sources = sources;
+
+    return normalized;
+}
+
+/**
+ * Sort by date, then English text, without mutating the input
+ * @param {Annotation[]} annotations
+ * @returns {Annotation[]}
+ */
+function sortAnnotations(annotations) {
+    return [...annotations].sort((a, b) =>
+        a.date.localeCompare(b.date) || a.en.localeCompare(b.en)
+    );
+}
+
+function isValidDate(dateStr) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(dateStr);
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check every annotation
+ * @param {Annotation[]} annotations
+ * @param {Set<string>} [seriesDates] - Dates of the casualty series; skipped when absent
+ * @returns {Object[]} - Problems as { index, date, field, code, severity: 'error'|'warning' }
+ */
+function validateAnnotations(annotations, seriesDates = null) {
+    const problems = [];
+    const firstIndexByDate = new Map();
+
+    annotations.forEach((annotation, index) => {
+        const add = (field, code, severity = 'error') => {
+            problems.push({ index, date: annotation.date, field, code, severity });
+        };
+
+        if (!isValidDate(annotation.date || '')) {
+            add('date', 'invalid_date');
+        } else {
+            if (seriesDates && !seriesDates.has(annotation.date)) {
+                add('date', 'date_not_in_series', 'warning');
+            }
+            if (firstIndexByDate.has(annotation.date)) {
+                add('date', 'duplicate_date');
+            } else {
+                firstIndexByDate.set(annotation.date, index);
+            }
+        }
+
+        if (!annotation.en || !annotation.en.trim()) add('en', 'missing_en');
+
+        if (!annotation.ar || !annotation.ar.trim()) {
+            add('ar', 'missing_ar');
+        } else if (!ARABIC_SCRIPT.test(annotation.ar)) {
+            add('ar', 'ar_not_arabic', 'warning');
+        }
+
+        if (annotation.category && !annotationCategoryTools.ANNOTATION_CATEGORIES[annotation.category]) {
+            add('category', 'unknown_category');
+        }
+
+        if (!annotation.sources || !annotation.sources.length) {
+            add('sources', 'missing_source', 'warning');
+        } else if (annotation.sources.some(source => !isHttpUrl(source))) {
+            add('sources', 'invalid_source');
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Serialize annotations for data/annotations.json: normalized, sorted, two-space
+ * indented, one key order, trailing newline
+ * @param {Object[]} annotations
+ * @returns {string}
+ */
+function serializeAnnotations(annotations) {
+    return JSON.stringify(sortAnnotations(annotations.map(normalizeAnnotation)), ANNOTATION_FIELDS, 2) + '\n';
+}
+
+/**
+ * Count entries added, changed and removed between two versions, matching
+ * entries by date
+ * @param {Annotation[]} before
+ * @param {Annotation[]} after
+ * @returns {{added: number, changed: number, removed: number}}
+ */
+function diffAnnotations(before, after) {
+    const key = (annotation) => JSON.stringify(normalizeAnnotation(annotation), ANNOTATION_FIELDS);
+    const beforeByDate = new Map(before.map(annotation => [annotation.date, key(annotation)]));
+    const afterByDate = new Map(after.map(annotation => [annotation.date, key(annotation)]));
+
+    let added = 0;
+    let changed = 0;
+    afterByDate.forEach((value, date) => {
+        if (!beforeByDate.has(date)) added += 1;
+        else if (beforeByDate.get(date) !== value) changed += 1;
+    });
+    const removed = [...beforeByDate.keys()].filter(date => !afterByDate.has(date)).length;
+
+    return { added, changed, removed };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANNOTATION_MESSAGES,
+        normalizeAnnotation,
+        sortAnnotations,
+        validateAnnotations,
+        serializeAnnotations,
+        diffAnnotations
+    };
+}
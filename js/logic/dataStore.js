@@ -0,0 +1,452 @@
+/**
+ * Data Store
+ * Single entry point for the site's JSON datasets: resolves paths against the
+ * site root (so pages work under a GitHub Pages subpath), caches responses in
+ * memory and validates every dataset against a declared schema.
+ *
+ * Usage:
+ *   const summary = await window.dataStore.load('summary');
+ */
+
+/**
+ * Schema notation: a field maps to a type name ('string', 'number', 'date',
+ * 'object', 'array'), with a trailing '?' when it may be absent, or to a nested
+ * { type, fields } / { type: 'array', items } schema.
+ */
+const DATASET_SCHEMAS = {
+    summary: {
+        file: 'summary.json',
+        label: { en: 'summary figures', ar: 'الأرقام الإجمالية' },
+        schema: {
+            type: 'object',
+            fields: {
+                gaza: {
+                    type: 'object',
+                    fields: {
+                        last_update: 'date',
+                        killed: { type: 'object', fields: { total: 'number', children: 'number', women: 'number' } },
+                        injured: { type: 'object', fields: { total: 'number' } }
+                    }
+                },
+                west_bank: {
+                    type: 'object',
+                    fields: {
+                        last_update: 'date',
+                        killed: { type: 'object', fields: { total: 'number' } },
+                        injured: { type: 'object', fields: { total: 'number' } }
+                    }
+                },
+                known_killed_in_gaza: { type: 'object', fields: { records: 'number' } }
+            }
+        }
+    },
+    casualties_daily: {
+        file: 'casualties_daily.json',
+        label: { en: 'Gaza daily casualties', ar: 'الضحايا اليومية في غزة' },
+        schema: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    report_date: 'date',
+                    report_source: 'string',
+                    ext_killed: 'number',
+                    ext_killed_cum: 'number',
+                    ext_injured_cum: 'number',
+                    killed: 'number?',
+                    killed_cum: 'number?',
+                    injured: 'number?',
+                    injured_cum: 'number?'
+                }
+            }
+        }
+    },
+    west_bank_daily: {
+        file: 'west_bank_daily.json',
+        label: { en: 'West Bank daily casualties', ar: 'الضحايا اليومية في الضفة الغربية' },
+        schema: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    report_date: 'date',
+                    killed_cum: 'number',
+                    killed_children_cum: 'number',
+                    injured_cum: 'number',
+                    injured_children_cum: 'number',
+                    settler_attacks_cum: 'number',
+                    flash_source: 'string',
+                    verified: 'object?'
+                }
+            }
+        }
+    },
+    annotations: {
+        file: 'annotations.json',
+        label: { en: 'timeline annotations', ar: 'تعليقات الخط الزمني' },
+        schema: {
+            type: 'array',
+            items: { type: 'object', fields: { date: 'date', category: 'string?', en: 'string', ar: 'string', sources: 'array?' } }
+        }
+    },
+    truce_periods: {
+        file: 'truce_periods.json',
+        label: { en: 'truce periods', ar: 'فترات الهدنة' },
+        schema: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    region: 'string',
+                    start: 'date',
+                    end: 'date',
+                    type: 'string',
+                    label: { type: 'object', fields: { en: 'string', ar: 'string' } }
+                }
+            }
+        }
+    },
+    benchmarks: {
+        file: 'benchmarks.json',
+        label: { en: 'comparison benchmarks', ar: 'معايير المقارنة' },
+        schema: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    id: 'string',
+                    label: { type: 'object', fields: { en: 'string', ar: 'string' } },
+                    value: 'number',
+                    unit: 'string',
+                    category: 'string',
+                    context: { type: 'object', fields: { en: 'string', ar: 'string' } },
+                    source: 'string'
+                }
+            }
+        }
+    },
+    press: {
+        file: 'press_killed_in_gaza.json',
+        label: { en: 'journalists killed', ar: 'الصحفيون الشهداء' },
+        schema: {
+            type: 'array',
+            items: { type: 'object', fields: { name: 'string', name_en: 'string', notes: 'string' } }
+        }
+    },
+    press_rules: {
+        file: 'press_rules.json',
+        label: { en: 'journalist context rules', ar: 'قواعد سياق الصحفيين' },
+        schema: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    id: 'string',
+                    requires: 'array?',
+                    when: 'object?',
+                    context: { type: 'object', fields: { en: 'string', ar: 'string' } }
+                }
+            }
+        }
+    },
+    life_context_map: {
+        file: 'life_context_map.json',
+        label: { en: 'life context map', ar: 'خريطة سياق الحياة' },
+        schema: {
+            type: 'object',
+            fields: {
+                school_years: {
+                    type: 'array',
+                    items: { type: 'object', fields: { min: 'number', max: 'number', en: 'string', ar: 'string', context_en: 'string', context_ar: 'string' } }
+                },
+                life_stages: {
+                    type: 'array',
+                    items: { type: 'object', fields: { min: 'number', max: 'number', en: 'string', ar: 'string', context_en: 'string', context_ar: 'string' } }
+                },
+                seasons: {
+                    type: 'array',
+                    items: { type: 'object', fields: { months: 'array', en: 'string', ar: 'string', context_en: 'string', context_ar: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+// Stop collecting after this many problems; the first few explain the failure
+const MAX_REPORTED_PROBLEMS = 5;
+
+const TYPE_NAMES_AR = {
+    string: 'نص',
+    number: 'رقم',
+    date: 'تاريخ (YYYY-MM-DD)',
+    object: 'كائن',
+    array: 'قائمة'
+};
+
+/**
+ * Check a single value against a type name
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && !isNaN(value);
+        case 'date':
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime());
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Validate data against a schema
+ * @param {*} data - Parsed JSON
+ * @param {Object|string} schema - Schema node (see DATASET_SCHEMAS)
+ * @param {string} [path] - Path of `data` within the dataset, for messages
+ * @param {Object[]} [problems] - Accumulator
+ * @returns {Object[]} - Problems as { path, expected, issue: 'missing'|'type' }
+ */
+function validateSchema(data, schema, path = '', problems = []) {
+    if (problems.length >= MAX_REPORTED_PROBLEMS) return problems;
+
+    const node = typeof schema === 'string' ? { type: schema } : schema;
+    const type = node.type.replace(/\?$/, '');
+
+    if (!matchesType(data, type)) {
+        problems.push({ path: path || '(root)', expected: type, issue: 'type' });
+        return problems;
+    }
+
+    if (type === 'object' && node.fields) {
+        Object.entries(node.fields).forEach(([field, fieldSchema]) => {
+            const fieldPath = path ? `${path}.${field}` : field;
+            const fieldType = typeof fieldSchema === 'string' ? fieldSchema : fieldSchema.type;
+            const optional = fieldType.endsWith('?');
+
+            if (data[field] === undefined || data[field] === null) {
+                if (!optional && problems.length < MAX_REPORTED_PROBLEMS) {
+                    problems.push({ path: fieldPath, expected: fieldType.replace(/\?$/, ''), issue: 'missing' });
+                }
+                return;
+            }
+            validateSchema(data[field], fieldSchema, fieldPath, problems);
+        });
+    }
+
+    if (type === 'array' && node.items) {
+        for (let i = 0; i < data.length && problems.length < MAX_REPORTED_PROBLEMS; i++) {
+            validateSchema(data[i], node.items, `${path}[${i}]`, problems);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Base error for dataset failures, carrying both an English and an Arabic message
+ */
+class DataError extends Error {
+    constructor(dataset, messageEn, messageAr) {
+        super(messageEn);
+        this.name = 'DataError';
+        this.dataset = dataset;
+        this.message_en = messageEn;
+        this.message_ar = messageAr;
+    }
+
+    /**
+     * Message in the given language ('en' or 'ar')
+     */
+    getMessage(language = 'en') {
+        return language === 'ar' ? this.message_ar : this.message_en;
+    }
+}
+
+/**
+ * The dataset could not be fetched or parsed
+ */
+class DataLoadError extends DataError {
+    constructor(dataset, cause) {
+        const { label } = DATASET_SCHEMAS[dataset] || { label: { en: dataset, ar: dataset } };
+        super(
+            dataset,
+            `Could not load the ${label.en} (${cause})`,
+            `تعذّر تحميل ${label.ar} (${cause})`
+        );
+        this.name = 'DataLoadError';
+    }
+}
+
+/**
+ * The dataset loaded but does not match its schema
+ */
+class DataValidationError extends DataError {
+    constructor(dataset, problems) {
+        const { label } = DATASET_SCHEMAS[dataset];
+        const describeEn = (p) => p.issue === 'missing'
+            ? `missing field "${p.path}" (expected ${p.expected})`
+            : `field "${p.path}" should be ${p.expected}`;
+        const describeAr = (p) => p.issue === 'missing'
+            ? `الحقل "${p.path}" مفقود (المتوقع ${TYPE_NAMES_AR[p.expected] || p.expected})`
+            : `الحقل "${p.path}" يجب أن يكون ${TYPE_NAMES_AR[p.expected] || p.expected}`;
+
+        super(
+            dataset,
+            `The ${label.en} data is invalid: ${problems.map(describeEn).join('; ')}`,
+            `بيانات ${label.ar} غير صالحة: ${problems.map(describeAr).join('؛ ')}`
+        );
+        this.name = 'DataValidationError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Validate a named dataset
+ * @param {string} dataset - Key of DATASET_SCHEMAS
+ * @param {*} data - Parsed JSON
+ * @throws {DataValidationError} - When the data does not match the schema
+ */
+function validateDataset(dataset, data) {
+    const definition = DATASET_SCHEMAS[dataset];
+    if (!definition) {
+        throw new Error(`Unknown dataset: ${dataset}`);
+    }
+
+    const problems = validateSchema(data, definition.schema);
+    if (problems.length) {
+        throw new DataValidationError(dataset, problems);
+    }
+    return data;
+}
+
+/**
+ * Site root, derived from this script's own URL (js/logic/dataStore.js)
+ */
+function resolveSiteBase() {
+    if (typeof document === 'undefined') return null;
+
+    const script = document.currentScript;
+    if (script && script.src) {
+        return new URL('../../', script.src).href;
+    }
+    return new URL('./', document.baseURI).href;
+}
+
+class DataStore {
+    /**
+     * @param {string} baseUrl - Site root URL (data lives in `${baseUrl}data/`)
+     */
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.cache = new Map();
+        this.reportedErrors = new Set();
+    }
+
+    /**
+     * Absolute URL of a file in data/
+     */
+    resolve(file) {
+        return new URL(`data/${file}`, this.baseUrl).href;
+    }
+
+    /**
+     * Load, validate and cache a dataset. Concurrent callers share one request;
+     * failed loads are not cached, so a later call retries.
+     * @param {string} dataset - Key of DATASET_SCHEMAS
+     * @returns {Promise<*>} - The parsed, validated data
+     */
+    load(dataset) {
+        if (this.cache.has(dataset)) {
+            return this.cache.get(dataset);
+        }
+
+        const promise = this.fetchDataset(dataset).catch(error => {
+            this.cache.delete(dataset);
+            this.reportError(error);
+            throw error;
+        });
+
+        this.cache.set(dataset, promise);
+        return promise;
+    }
+
+    async fetchDataset(dataset) {
+        const definition = DATASET_SCHEMAS[dataset];
+        if (!definition) {
+            throw new Error(`Unknown dataset: ${dataset}`);
+        }
+
+        let data;
+        try {
+            const response = await fetch(this.resolve(definition.file));
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            throw new DataLoadError(dataset, error.message);
+        }
+
+        validateDataset(dataset, data);
+        console.log(`✅ Loaded ${dataset}`);
+        return data;
+    }
+
+    /**
+     * Forget a cached dataset (e.g. to pick up an edited file)
+     */
+    clear(dataset) {
+        this.cache.delete(dataset);
+    }
+
+    /**
+     * Log a dataset error and show it once in a bilingual banner
+     */
+    reportError(error) {
+        console.error('❌ Data error:', error.message);
+
+        if (!(error instanceof DataError) || this.reportedErrors.has(error.dataset)) return;
+        this.reportedErrors.add(error.dataset);
+
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const isArabic = window.currentLanguage === 'ar';
+        const banner = document.createElement('div');
+        banner.className = 'data-error-banner';
+        banner.setAttribute('role', 'alert');
+        banner.innerHTML = `
+            <span class="en" style="display: ${isArabic ? 'none' : 'inline'};"></span>
+            <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};"></span>
+            <button type="button" class="data-error-dismiss" aria-label="Dismiss">&times;</button>
+        `;
+        banner.querySelector('.en').textContent = error.message_en;
+        banner.querySelector('.ar').textContent = error.message_ar;
+        banner.querySelector('.data-error-dismiss').addEventListener('click', () => banner.remove());
+
+        document.body.prepend(banner);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATASET_SCHEMAS,
+        validateSchema,
+        validateDataset,
+        DataStore,
+        DataError,
+        DataLoadError,
+        DataValidationError
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment: one shared store per page
+    // (the service worker only reads DATASET_SCHEMAS)
+    window.DataStore = DataStore;
+    window.DataError = DataError;
+    window.dataStore = new DataStore(resolveSiteBase());
+}
@@ -0,0 +1,110 @@
+/**
+ * Data Table
+ * Pure helpers for the table views offered in place of the timeline chart and
+ * heat map: one row per plotted point, with its annotations and correction
+ * flag, and the column sorting.
+ */
+
+/**
+ * @typedef {Object} DataTableRow
+ * @property {string} date - First day of the point (YYYY-MM-DD)
+ * @property {string} end - Last day the point covers, inclusive
+ * @property {number} value
+ * @property {Object[]} annotations - Annotations dated within date..end
+ * @property {string|null} correction - Provenance method of an adjusted day
+ *   (PROVENANCE_METHODS key), null for days as reported
+ */
+
+const DATA_TABLE_COLUMNS = {
+    date: { en: 'Date', ar: 'التاريخ' },
+    value: { en: 'Value', ar: 'القيمة' },
+    annotation: { en: 'Annotation', ar: 'التعليق' },
+    correction: { en: 'Correction', ar: 'التصحيح' }
+};
+
+/**
+ * Last day covered by a point at a chart granularity
+ * @param {string} dateStr - YYYY-MM-DD the point sits at
+ * @param {string} granularity - 'daily', 'weekly', 'monthly' or 'cumulative'
+ * @returns {string} - YYYY-MM-DD
+ */
+function getPeriodEnd(dateStr, granularity) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+
+    if (granularity === 'weekly') {
+        date.setUTCDate(date.getUTCDate() + 6);
+    } else if (granularity === 'monthly') {
+        date.setUTCMonth(date.getUTCMonth() + 1, 0);
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Table rows for plotted points
+ * @param {Object[]} points - { date, killed, corrected, provenance } as the chart plots them
+ * @param {Object[]} annotations - Annotations to attach, by date
+ * @param {string} [granularity='daily']
+ * @returns {DataTableRow[]}
+ */
+function buildDataTableRows(points, annotations, granularity = 'daily') {
+    return points.map(point => {
+        const end = getPeriodEnd(point.date, granularity);
+
+        return {
+            date: point.date,
+            end,
+            value: point.killed,
+            annotations: annotations.filter(annotation => annotation.date >= point.date && annotation.date <= end),
+            correction: point.corrected && point.provenance ? point.provenance.method : null
+        };
+    });
+}
+
+/**
+ * Sort rows by a column, earliest date first among equals
+ * @param {DataTableRow[]} rows
+ * @param {string} column - Key of DATA_TABLE_COLUMNS
+ * @param {string} direction - 'ascending' or 'descending' (the aria-sort values)
+ * @returns {DataTableRow[]} - A sorted copy
+ */
+function sortDataTableRows(rows, column, direction) {
+    const keys = {
+        date: row => row.date,
+        value: row => row.value,
+        annotation: row => row.annotations.length,
+        correction: row => (row.correction ? 1 : 0)
+    };
+    const key = keys[column] || keys.date;
+    const sign = direction === 'descending' ? -1 : 1;
+
+    return [...rows].sort((a, b) => {
+        const difference = key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+        return difference * sign || a.date.localeCompare(b.date);
+    });
+}
+
+/**
+ * Sort after a column header is pressed: the same column flips direction, a
+ * new one starts with dates oldest first and everything else largest first
+ * @param {Object} sort - { column, direction }
+ * @param {string} column
+ * @returns {Object} - { column, direction }
+ */
+function nextDataTableSort(sort, column) {
+    if (sort.column === column) {
+        return { column, direction: sort.direction === 'ascending' ? 'descending' : 'ascending' };
+    }
+    return { column, direction: column === 'date' ? 'ascending' : 'descending' };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATA_TABLE_COLUMNS,
+        getPeriodEnd,
+        buildDataTableRows,
+        sortDataTableRows,
+        nextDataTableSort
+    };
+}
@@ -0,0 +1,330 @@
+/**
+ * Data Table View Component
+ * Sortable, bilingual table of the points behind the timeline chart or heat
+ * map, for screen-reader and keyboard users. It follows the chart it belongs
+ * to: same metric, region, granularity, annotation filter and date range.
+ */
+
+class DataTableView {
+    /**
+     * @param {string} containerId
+     * @param {Object} options
+     * @param {Function} options.getRows - Returns the DataTableRows to show (dataTable.js)
+     * @param {Function} options.getCaption - Returns { en, ar }
+     * @param {Function} options.getValueLabel - Returns { en, ar } for the value column
+     * @param {Function} [options.getGranularity] - Returns the chart granularity; daily when absent
+     * @param {Function} [options.onRowFocus] - Called with the row that received focus
+     * @param {Function} [options.onRowActivate] - Called with the row on Enter or Space
+     */
+    constructor(containerId, options) {
+        this.container = document.getElementById(containerId);
+        this.options = options;
+        this.rows = [];
+        this.sort = { column: 'date', direction: 'ascending' };
+        this.activeDate = null;
+        this.selectedRange = null;
+        this.isInitialized = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the table view
+     */
+    init() {
+        if (!this.container) {
+            console.error('❌ Data table container not found');
+            return;
+        }
+
+        // Rows are re-rendered often, so listen on the container
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('.data-table-sort');
+            if (button) this.sortBy(button.dataset.column);
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            const row = e.target.closest('tr[data-date]');
+            if (row) this.handleRowKeydown(e, row);
+        });
+
+        this.container.addEventListener('focusin', (e) => {
+            const row = e.target.closest('tr[data-date]');
+            if (row) this.handleRowFocus(row);
+        });
+
+        this.isInitialized = true;
+        console.log('✅ DataTableView initialized');
+    }
+
+    /**
+     * Whether the table is shown
+     */
+    isVisible() {
+        return this.isInitialized && !this.container.hidden;
+    }
+
+    /**
+     * Show or hide the table
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.container.hidden = !visible;
+        if (visible) this.render();
+    }
+
+    /**
+     * Render the table; skipped while it is hidden
+     */
+    render() {
+        if (!this.isVisible()) return;
+
+        const isArabic = document.documentElement.getAttribute('lang') === 'ar';
+        this.rows = sortDataTableRows(this.options.getRows(), this.sort.column, this.sort.direction);
+
+        // The row the keyboard lands on when tabbing into the table
+        const activeRow = this.findRow(this.activeDate) || this.rows[0];
+
+        const headers = Object.keys(DATA_TABLE_COLUMNS).map(column => {
+            const label = column === 'value' ? this.options.getValueLabel() : DATA_TABLE_COLUMNS[column];
+            const sort = this.sort.column === column ? this.sort.direction : 'none';
+            return `
+                <th scope="col" aria-sort="${sort}">
+                    <button type="button" class="data-table-sort" data-column="${column}">
+                        ${this.bilingual(label.en, label.ar, isArabic)}
+                        <span class="data-table-sort-icon" aria-hidden="true">${sort === 'ascending' ? '▲' : sort === 'descending' ? '▼' : ''}</span>
+                    </button>
+                </th>
+            `;
+        }).join('');
+
+        const body = this.rows.map(row => this.renderRow(row, row === activeRow, isArabic)).join('');
+
+        this.container.innerHTML = `
+            <table class="data-table">
+                <caption>${this.renderCaption(isArabic)}</caption>
+                <thead><tr>${headers}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+
+        this.scrollToRow(this.activeDate);
+    }
+
+    /**
+     * Caption: what the table shows, and the selected range if there is one
+     */
+    renderCaption(isArabic) {
+        const caption = this.options.getCaption();
+        let en = `${caption.en} (${this.rows.length.toLocaleString('en-US')} rows)`;
+        let ar = `${caption.ar} (${this.rows.length.toLocaleString('ar-EG')} صفاً)`;
+
+        if (this.selectedRange) {
+            const { start, end } = this.selectedRange;
+            en += `. Rows outside ${this.formatDate(start, 'en-US')} – ${this.formatDate(end, 'en-US')} are dimmed.`;
+            ar += `. الصفوف خارج الفترة ${this.formatDate(start, 'ar-EG')} – ${this.formatDate(end, 'ar-EG')} باهتة.`;
+        }
+
+        return this.bilingual(en, ar, isArabic);
+    }
+
+    /**
+     * One table row; only the active row is in the tab order
+     */
+    renderRow(row, isActive, isArabic) {
+        const outOfRange = this.selectedRange !== null
+            && (row.end < this.selectedRange.start || row.date > this.selectedRange.end);
+
+        // Source links follow the row's roving tabindex, so the table stays one tab stop
+        const annotations = row.annotations.map(annotation => `
+            <div class="data-table-annotation">
+                <span aria-hidden="true">${getAnnotationIcon(annotation)}</span>
+                ${this.bilingual(this.escape(annotation.en), this.escape(annotation.ar), isArabic)}
+                ${getAnnotationSources(annotation).map(source => `
+                    <a class="data-table-source" href="${this.escape(source.url)}" target="_blank" rel="noopener noreferrer"
+                        tabindex="${isActive ? 0 : -1}">${this.escape(source.label)}</a>
+                `).join('')}
+            </div>
+        `).join('');
+
+        const method = row.correction ? PROVENANCE_METHODS[row.correction] : null;
+        const correction = method
+            ? `<span aria-hidden="true">†</span> ${this.bilingual(method.en, method.ar, isArabic)}`
+            : '';
+
+        return `
+            <tr data-date="${row.date}" tabindex="${isActive ? 0 : -1}"
+                class="${isActive ? 'is-active' : ''}${outOfRange ? ' out-of-range' : ''}">
+                <th scope="row">${this.bilingual(this.formatRowDate(row, 'en-US'), this.formatRowDate(row, 'ar-EG'), isArabic)}</th>
+                <td class="data-table-value">${this.bilingual(row.value.toLocaleString('en-US'), row.value.toLocaleString('ar-EG'), isArabic)}</td>
+                <td>${annotations}</td>
+                <td>${correction}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Date cell text: a day, a week or a month depending on the granularity
+     */
+    formatRowDate(row, locale) {
+        const granularity = this.options.getGranularity ? this.options.getGranularity() : 'daily';
+
+        if (granularity === 'monthly') {
+            return new Date(row.date).toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        }
+        if (granularity === 'weekly') {
+            return `${this.formatDate(row.date, locale)} – ${this.formatDate(row.end, locale)}`;
+        }
+        return this.formatDate(row.date, locale);
+    }
+
+    formatDate(dateStr, locale) {
+        return new Date(dateStr).toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    /**
+     * English and Arabic text, showing the current language
+     */
+    bilingual(en, ar, isArabic) {
+        return `<span class="en" style="display: ${isArabic ? 'none' : 'inline'};">${en}</span><span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">${ar}</span>`;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Sort by a column header
+     */
+    sortBy(column) {
+        this.sort = nextDataTableSort(this.sort, column);
+        this.render();
+
+        // Keep focus on the header that was pressed
+        this.container.querySelector(`.data-table-sort[data-column="${column}"]`)?.focus();
+    }
+
+    /**
+     * The row covering a date
+     */
+    findRow(date) {
+        if (!date) return null;
+        return this.rows.find(row => row.date <= date && date <= row.end) || null;
+    }
+
+    /**
+     * Follow a date hovered or focused in the chart, without moving focus
+     * @param {string|null} date - YYYY-MM-DD
+     */
+    setActiveDate(date) {
+        this.activeDate = date;
+        if (!this.isVisible()) return;
+
+        const row = this.findRow(date);
+        if (!row) return;
+
+        this.container.querySelectorAll('tbody tr').forEach(element => {
+            const isActive = element.dataset.date === row.date;
+            element.classList.toggle('is-active', isActive);
+            element.tabIndex = isActive ? 0 : -1;
+            element.querySelectorAll('.data-table-source').forEach(link => {
+                link.tabIndex = isActive ? 0 : -1;
+            });
+        });
+        this.scrollToRow(row.date);
+    }
+
+    /**
+     * Dim the rows outside a date range (dateRange.js), or clear it with null
+     */
+    setSelectedRange(range) {
+        this.selectedRange = range;
+        this.render();
+    }
+
+    /**
+     * Scroll the table's own box so a row is in view, leaving the page alone
+     */
+    scrollToRow(date) {
+        const row = this.findRow(date);
+        const element = row && this.container.querySelector(`tr[data-date="${row.date}"]`);
+        if (!element) return;
+
+        const top = element.offsetTop;
+        const bottom = top + element.offsetHeight;
+        const header = this.container.querySelector('thead')?.offsetHeight || 0;
+
+        if (top - header < this.container.scrollTop) {
+            this.container.scrollTop = top - header;
+        } else if (bottom > this.container.scrollTop + this.container.clientHeight) {
+            this.container.scrollTop = bottom - this.container.clientHeight;
+        }
+    }
+
+    /**
+     * A row got focus: make it the tab stop and tell the chart
+     */
+    handleRowFocus(element) {
+        const row = this.rows.find(candidate => candidate.date === element.dataset.date);
+        if (!row || row.date === this.activeDate) return;
+
+        this.setActiveDate(row.date);
+        this.options.onRowFocus?.(row);
+    }
+
+    /**
+     * Move through the rows with the arrow, Page and Home/End keys
+     */
+    handleRowKeydown(e, element) {
+        const index = this.rows.findIndex(row => row.date === element.dataset.date);
+        let next = index;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                next = Math.min(index + 1, this.rows.length - 1);
+                break;
+            case 'ArrowUp':
+                next = Math.max(index - 1, 0);
+                break;
+            case 'PageDown':
+                next = Math.min(index + 10, this.rows.length - 1);
+                break;
+            case 'PageUp':
+                next = Math.max(index - 10, 0);
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = this.rows.length - 1;
+                break;
+            case 'Enter':
+            case ' ':
+                // A focused source link opens itself
+                if (e.target !== element) return;
+                e.preventDefault();
+                this.options.onRowActivate?.(this.rows[index]);
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        this.container.querySelector(`tr[data-date="${this.rows[next].date}"]`)?.focus();
+    }
+
+    /**
+     * Destroy the table view
+     */
+    destroy() {
+        this.isInitialized = false;
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+window.DataTableView = DataTableView;
@@ -0,0 +1,99 @@
+/**
+ * Date Range
+ * Pure helpers for the date range brushed on the timeline chart or heat map:
+ * ordering, URL encoding, and the totals the KPIs show for the range.
+ */
+
+/**
+ * @typedef {Object} DateRange
+ * @property {string} start - First day, inclusive (YYYY-MM-DD)
+ * @property {string} end - Last day, inclusive (YYYY-MM-DD)
+ */
+
+const DATE_RANGE_SEPARATOR = '..';
+
+/**
+ * Range between two dates, in either order
+ * @param {string} a - YYYY-MM-DD
+ * @param {string} b - YYYY-MM-DD
+ * @returns {DateRange}
+ */
+function createDateRange(a, b) {
+    return a <= b ? { start: a, end: b } : { start: b, end: a };
+}
+
+/**
+ * Whether a date falls inside a range; everything does when there is no range
+ * @param {DateRange|null} range
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isDateInRange(range, dateStr) {
+    if (!range) return true;
+    return dateStr >= range.start && dateStr <= range.end;
+}
+
+/**
+ * Range as a URL parameter value, e.g. 2024-01-01..2024-03-31
+ * @param {DateRange} range
+ * @returns {string}
+ */
+function formatDateRangeParam(range) {
+    return `${range.start}${DATE_RANGE_SEPARATOR}${range.end}`;
+}
+
+/**
+ * Range from a URL parameter value
+ * @param {string|null} value
+ * @returns {DateRange|null} - null when the value is missing or malformed
+ */
+function parseDateRangeParam(value) {
+    if (!value) return null;
+
+    const parts = value.split(DATE_RANGE_SEPARATOR);
+    const isDate = (part) => /^\d{4}-\d{2}-\d{2}$/.test(part) && !isNaN(Date.parse(part));
+    if (parts.length !== 2 || !parts.every(isDate)) return null;
+
+    return createDateRange(parts[0], parts[1]);
+}
+
+/**
+ * Number of calendar days a range covers
+ * @param {DateRange} range
+ * @returns {number}
+ */
+function countRangeDays(range) {
+    return Math.round((Date.parse(range.end) - Date.parse(range.start)) / (1000 * 60 * 60 * 24)) + 1;
+}
+
+/**
+ * Totals of a daily series within a range
+ * @param {Object[]} days - { date, value } for every day with a value
+ * @param {DateRange} range
+ * @returns {Object} - { days, total, average, peak }; days counts days with a
+ *   value, average is null when there are none, peak is the highest { date, value }
+ */
+function summarizeDateRange(days, range) {
+    const inRange = days.filter(day => isDateInRange(range, day.date));
+    const total = inRange.reduce((sum, day) => sum + day.value, 0);
+    const peak = inRange.reduce((best, day) => (!best || day.value > best.value ? day : best), null);
+
+    return {
+        days: inRange.length,
+        total,
+        average: inRange.length ? total / inRange.length : null,
+        peak
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createDateRange,
+        isDateInRange,
+        formatDateRangeParam,
+        parseDateRangeParam,
+        countRangeDays,
+        summarizeDateRange
+    };
+}
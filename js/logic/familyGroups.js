@@ -0,0 +1,206 @@
+/**
+ * Family Groups
+ * Pure, deterministic heuristics that cluster memorial records into probable
+ * families using Arabic name chains (given, father, grandfather, family name)
+ * cross-checked against the English family name and ages.
+ *
+ * Nothing here is asserted as fact: a group is "likely" only when every link
+ * rests on a full name chain, and "possible" otherwise.
+ */
+
+// nameSearch.js is loaded first in the worker; under Node it is required
+const familyNameTools = typeof require === 'function'
+    ? require('./nameSearch.js')
+    : { normalizeArabic, normalizeLatin };
+
+// Minimum parent-child age difference in years
+const MIN_PARENT_AGE_GAP = 14;
+
+// A name key shared by more people than this is too common to mean "one family"
+const MAX_SHARED_KEY = 15;
+
+/**
+ * Split a record's names into comparable parts
+ * @param {Object} person - Memorial record with `name` and `en_name`
+ * @returns {Object|null} - { given, father, grandfather, surname, enSurname } or null when
+ *   the Arabic name is too short to carry a lineage
+ */
+function parseNameChain(person) {
+    const tokens = familyNameTools.normalizeArabic(person.name)
+        .split(' ')
+        .filter(Boolean);
+
+    if (tokens.length < 3) return null;
+
+    const enTokens = familyNameTools.normalizeLatin(person.en_name).split(' ').filter(Boolean);
+
+    return {
+        given: tokens[0],
+        father: tokens[1],
+        grandfather: tokens.length >= 4 ? tokens[2] : null,
+        // "الكحلوت" and "كحلوت" are the same family
+        surname: tokens[tokens.length - 1].replace(/^ال(?=..)/, ''),
+        enSurname: enTokens.length ? enTokens[enTokens.length - 1] : null
+    };
+}
+
+/**
+ * Whether two English family names agree (missing ones never disagree)
+ */
+function englishSurnamesAgree(a, b) {
+    return !a.enSurname || !b.enSurname || a.enSurname === b.enSurname;
+}
+
+/**
+ * Minimal union-find over record indices; the smallest index is always the root,
+ * which keeps the output independent of link order
+ */
+function createUnionFind() {
+    const parent = new Map();
+
+    const find = (x) => {
+        if (!parent.has(x)) parent.set(x, x);
+        let root = x;
+        while (parent.get(root) !== root) root = parent.get(root);
+        while (parent.get(x) !== root) {
+            const next = parent.get(x);
+            parent.set(x, root);
+            x = next;
+        }
+        return root;
+    };
+
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB) return;
+        if (rootA < rootB) parent.set(rootB, rootA);
+        else parent.set(rootA, rootB);
+    };
+
+    return { find, union };
+}
+
+/**
+ * Group values by a key, skipping null keys
+ */
+function bucketBy(items, keyOf) {
+    const buckets = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (key === null) return;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(item);
+    });
+    return buckets;
+}
+
+/**
+ * Find sibling and parent-child links between records
+ * @param {Object[]} records - Memorial records
+ * @returns {Object[]} - Links as { a, b, type: 'sibling'|'parent', strong }
+ */
+function findFamilyLinks(records) {
+    const chains = records.map(parseNameChain);
+    const entries = [];
+    chains.forEach((chain, index) => {
+        if (chain) entries.push({ index, chain, age: records[index].age ?? null });
+    });
+
+    const links = [];
+
+    // Siblings share father, grandfather and family name. Without a grandfather
+    // (three-part names) the match is only "possible".
+    const siblings = bucketBy(entries, ({ chain }) => `${chain.surname}|${chain.father}|${chain.grandfather || ''}`);
+    siblings.forEach(group => {
+        if (group.length < 2 || group.length > MAX_SHARED_KEY) return;
+
+        const first = group[0];
+        group.slice(1).forEach(entry => {
+            links.push({
+                a: first.index,
+                b: entry.index,
+                type: 'sibling',
+                strong: Boolean(entry.chain.grandfather) && englishSurnamesAgree(first.chain, entry.chain)
+            });
+        });
+    });
+
+    // Parent-child: the child's father and grandfather are the parent's given
+    // and father names, and the parent is old enough to be their parent
+    const parents = bucketBy(entries, ({ chain }) => `${chain.surname}|${chain.given}|${chain.father}`);
+    entries.forEach(child => {
+        if (!child.chain.grandfather) return;
+
+        const candidates = (parents.get(`${child.chain.surname}|${child.chain.father}|${child.chain.grandfather}`) || [])
+            .filter(parent => parent.index !== child.index)
+            .filter(parent => parent.age === null || child.age === null || parent.age - child.age >= MIN_PARENT_AGE_GAP);
+
+        if (!candidates.length || candidates.length > MAX_SHARED_KEY) return;
+
+        // Several people fit the parent's name: link them all, but only as "possible"
+        const unique = candidates.length === 1;
+        candidates.forEach(parent => {
+            links.push({
+                a: parent.index,
+                b: child.index,
+                type: 'parent',
+                strong: unique
+                    && parent.age !== null
+                    && child.age !== null
+                    && englishSurnamesAgree(parent.chain, child.chain)
+            });
+        });
+    });
+
+    return links;
+}
+
+/**
+ * Cluster records into family groups
+ * @param {Object[]} records - Memorial records (`name`, `en_name`, `age`)
+ * @returns {Object[]} - Groups as { id, surname, enSurname, confidence: 'likely'|'possible',
+ *   members: record indices (oldest first) }, largest groups first. Family names are
+ *   taken as written in the first member's record.
+ */
+function buildFamilyGroups(records) {
+    const links = findFamilyLinks(records);
+    const unionFind = createUnionFind();
+
+    links.forEach(link => unionFind.union(link.a, link.b));
+
+    const groups = new Map();
+    links.forEach(link => {
+        const root = unionFind.find(link.a);
+        if (!groups.has(root)) groups.set(root, { members: new Set(), strong: true });
+        const group = groups.get(root);
+        group.members.add(link.a);
+        group.members.add(link.b);
+        group.strong = group.strong && link.strong;
+    });
+
+    const byAge = (a, b) => (records[b].age ?? -Infinity) - (records[a].age ?? -Infinity) || a - b;
+    const lastWord = (text) => String(text || '').trim().split(/\s+/).pop() || '';
+
+    return [...groups.entries()]
+        .map(([root, group]) => {
+            const members = [...group.members].sort(byAge);
+            return {
+                id: `family-${records[root].id ?? root}`,
+                surname: lastWord(records[root].name),
+                enSurname: lastWord(records[root].en_name),
+                confidence: group.strong ? 'likely' : 'possible',
+                members
+            };
+        })
+        .sort((a, b) => b.members.length - a.members.length || Math.min(...a.members) - Math.min(...b.members));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseNameChain,
+        findFamilyLinks,
+        buildFamilyGroups
+    };
+}
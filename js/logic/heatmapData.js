@@ -3,12 +3,25 @@
  * Handles sophisticated data processing for the 31×23 grid visualization
  */
 
+// Dataset for each region; the metrics come from timelineMetrics.js
+const HEATMAP_REGIONS = {
+    gaza: { dataset: 'casualties_daily' },
+    west_bank: { dataset: 'west_bank_daily' }
+};
+
 class HeatmapDataProcessor {
-    constructor() {
+    constructor(region = 'gaza') {
         this.rawData = null;
+        this.summaryData = null;
+        this.trucePeriods = null;
+        this.annotations = null;
+        this.annotationFilter = new Set();
+        this.dateRange = null;
+        this.peakOptions = { ...PEAK_DEFAULTS };
         this.byDate = new Map();
         this.months = [];
         this.gridData = null;
+        this.region = HEATMAP_REGIONS[region] ? region : 'gaza';
         this.currentMetric = 'all';
         this.isInitialized = false;
     }
@@ -38,12 +51,8 @@ class HeatmapDataProcessor {
      */
     async loadData() {
         try {
-            console.log('🔄 Loading casualties data...');
-            const response = await fetch('./data/casualties_daily.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            this.rawData = await response.json();
+            console.log(`🔄 Loading ${this.region} casualties data...`);
+            this.rawData = await window.dataStore.load(HEATMAP_REGIONS[this.region].dataset);
             console.log(`📊 Loaded ${this.rawData.length} daily records`);
             console.log('🔍 First record:', this.rawData[0]);
             console.log('🔍 Sample dates:', this.rawData.slice(0, 5).map(r => r.report_date));
@@ -51,6 +60,85 @@ class HeatmapDataProcessor {
             console.error('❌ Failed to load casualties data:', error);
             throw error;
         }
+
+        // Summary totals for the KPIs are optional
+        if (!this.summaryData) {
+            try {
+                this.summaryData = await window.dataStore.load('summary');
+            } catch (error) {
+                console.warn('⚠️ Could not load summary data, KPI totals unavailable');
+            }
+        }
+
+        // Truce windows are optional too; without them nothing is shaded
+        if (!this.trucePeriods) {
+            try {
+                this.trucePeriods = await window.dataStore.load('truce_periods');
+            } catch (error) {
+                console.warn('⚠️ Could not load truce periods, truce shading unavailable');
+                this.trucePeriods = [];
+            }
+        }
+
+        // Annotations are optional as well
+        if (!this.annotations) {
+            try {
+                this.annotations = await window.dataStore.load('annotations');
+            } catch (error) {
+                console.warn('⚠️ Could not load annotations, event notes unavailable');
+                this.annotations = [];
+            }
+        }
+    }
+
+    /**
+     * Switch between Gaza and West Bank data and rebuild the grid
+     * @param {string} region - 'gaza' or 'west_bank'
+     * @returns {Promise<boolean>} - Whether the region changed
+     */
+    async setRegion(region) {
+        if (!HEATMAP_REGIONS[region] || region === this.region) return false;
+
+        const previousRegion = this.region;
+        this.region = region;
+
+        try {
+            await this.loadData();
+        } catch (error) {
+            // Keep showing the previous region's data
+            this.region = previousRegion;
+            throw error;
+        }
+
+        if (!this.getMetrics().includes(this.currentMetric)) {
+            this.currentMetric = 'all';
+        }
+        this.processData();
+        this.buildGridData();
+
+        console.log(`🗺️ Region updated to: ${region}`);
+        return true;
+    }
+
+    /**
+     * Get the current region
+     */
+    getRegion() {
+        return this.region;
+    }
+
+    /**
+     * Get the metric keys available for the current region
+     */
+    getMetrics() {
+        return getMetricsForRegion(this.region).map(metric => metric.key);
+    }
+
+    /**
+     * Get the registry entry for the current metric
+     */
+    getMetricDefinition() {
+        return getTimelineMetric(this.currentMetric);
     }
 
     /**
@@ -66,39 +154,13 @@ class HeatmapDataProcessor {
             new Date(a.report_date) - new Date(b.report_date)
         );
 
-        // Build byDate lookup map
+        // Build byDate lookup map, one series per metric (seriesEngine.js)
         this.byDate.clear();
-        let previousCumulative = 0;
-
-        for (const record of sortedData) {
-            const date = record.report_date;
-            
-            // Get daily killed count
-            let killed = record.killed;
-            let corrected = false;
-            
-            // If daily killed is missing, derive from cumulative
-            if (killed === undefined || killed === null) {
-                const currentCumulative = record.killed_cum || 0;
-                killed = Math.max(0, currentCumulative - previousCumulative);
-                corrected = true;
-                previousCumulative = currentCumulative;
-            } else {
-                previousCumulative = (record.killed_cum || 0);
-            }
 
-            // Store in lookup map
-            this.byDate.set(date, {
-                killed: killed,
-                killed_cum: record.killed_cum,
-                ext_killed_cum: record.ext_killed_cum,
-                killed_children_cum: record.killed_children_cum,
-                killed_women_cum: record.killed_women_cum,
-                ext_med_killed_cum: record.ext_med_killed_cum,
-                ext_press_killed_cum: record.ext_press_killed_cum,
-                corrected: corrected,
-                source: record.report_source
-            });
+        if (this.region === 'west_bank') {
+            this.processWestBankData(sortedData);
+        } else {
+            this.processGazaData(sortedData);
         }
 
         // Build ordered months array
@@ -112,6 +174,66 @@ class HeatmapDataProcessor {
         console.log('🔍 Sample data entry:', Array.from(this.byDate.entries())[0]);
     }
 
+    /**
+     * Store one metric's series in the byDate map
+     * @param {string} metricKey
+     * @param {Object[]} points - From buildSeries (seriesEngine.js)
+     * @param {Function} sourceOf - (date) => source label of that date's record
+     */
+    addSeries(metricKey, points, sourceOf) {
+        points.forEach(point => {
+            if (!this.byDate.has(point.date)) {
+                this.byDate.set(point.date, { values: {}, source: sourceOf(point.date) });
+            }
+
+            this.byDate.get(point.date).values[metricKey] = {
+                value: point.value,
+                corrected: isAdjustedPoint(point),
+                point: point,
+                // A spread day's value comes from a later report
+                source: sourceOf(point.reportDate)
+            };
+        });
+    }
+
+    /**
+     * Fill the byDate map from casualties_daily.json records
+     */
+    processGazaData(sortedData) {
+        const sources = new Map(sortedData.map(record => [record.report_date, record.report_source]));
+
+        getMetricsForRegion('gaza').forEach(metric => {
+            const points = buildSeries(sortedData, metric.regions.gaza, { periodField: 'report_period' });
+            this.addSeries(metric.key, points, (date) => sources.get(date));
+        });
+    }
+
+    /**
+     * Fill the byDate map from west_bank_daily.json records.
+     * Verified daily figures are used where the record has them; otherwise the
+     * day comes from the UN flash-update cumulatives. Flash figures that were only
+     * carried forward (`flash_source: 'fill'`) are not reports, so the next
+     * report's change is spread back over those days.
+     */
+    processWestBankData(sortedData) {
+        const flashRecords = sortedData.filter(record => record.flash_source !== 'fill');
+        const verifiedRecords = sortedData
+            .filter(record => record.verified && record.verified.killed !== undefined && record.verified.killed !== null)
+            .map(record => ({ report_date: record.report_date, ...record.verified }));
+
+        getMetricsForRegion('west_bank').forEach(metric => {
+            const source = metric.regions.west_bank;
+            const flash = buildSeries(flashRecords, source);
+            const verified = source.verified
+                ? indexSeries(buildSeries(verifiedRecords, { field: source.verified, cumulative: false }))
+                : new Map();
+
+            // Verified figures win on the days they cover
+            this.addSeries(metric.key, [...verified.values()], () => 'verified');
+            this.addSeries(metric.key, flash.filter(point => !verified.has(point.date)), () => 'un');
+        });
+    }
+
     /**
      * Build ordered months array from Oct 2023 to Sep 2025
      */
@@ -199,7 +321,17 @@ class HeatmapDataProcessor {
         }
 
         // Get value for current metric
-        const value = this.getValueForMetric(dateData, dateStr);
+        const value = this.getValueForMetric(dateData);
+
+        // This record doesn't report the current metric
+        if (!value) {
+            return {
+                type: 'missing',
+                value: null,
+                corrected: false,
+                date: dateStr
+            };
+        }
         
         return {
             type: 'present',
@@ -211,51 +343,77 @@ class HeatmapDataProcessor {
     }
 
     /**
-     * Get value for specific metric
-     */
-    getValueForMetric(dateData, dateStr) {
-        let value = 0;
-        let corrected = dateData.corrected;
-
-        switch (this.currentMetric) {
-            case 'all':
-                value = dateData.killed;
-                break;
-            case 'children':
-                value = this.getDailyFromCumulative(dateData.killed_children_cum, dateStr);
-                break;
-            case 'women':
-                value = this.getDailyFromCumulative(dateData.killed_women_cum, dateStr);
-                break;
-            case 'medical':
-                value = this.getDailyFromCumulative(dateData.ext_med_killed_cum, dateStr);
-                break;
-            case 'press':
-                value = this.getDailyFromCumulative(dateData.ext_press_killed_cum, dateStr);
-                break;
-            default:
-                value = dateData.killed;
-        }
+     * Get value for the current metric
+     * @returns {Object|null} - { value, corrected }
+     */
+    getValueForMetric(dateData) {
+        return dateData.values[this.currentMetric] || null;
+    }
 
-        return { value: value || 0, corrected };
+    /**
+     * Get the current metric's value for a specific date
+     * @returns {Object|null} - { value, corrected }
+     */
+    getMetricValue(dateStr) {
+        const dateData = this.byDate.get(dateStr);
+        return dateData ? this.getValueForMetric(dateData) : null;
     }
 
     /**
-     * Get daily count from cumulative data
+     * Daily series of a metric in date order, in the shape TimelineChart plots
+     * @param {string} [metricKey] - Defaults to the current metric
+     * @returns {Object[]} - { date, killed, corrected, provenance }; days without a value are left out
      */
-    getDailyFromCumulative(cumulative, dateStr) {
-        if (cumulative === undefined || cumulative === null) return 0;
-        
-        // Find previous day's cumulative
-        const currentDate = new Date(dateStr);
-        const previousDate = new Date(currentDate);
-        previousDate.setDate(previousDate.getDate() - 1);
-        const previousDateStr = previousDate.toISOString().split('T')[0];
-        
-        const previousData = this.byDate.get(previousDateStr);
-        const previousCumulative = previousData ? previousData.killed_cum : 0;
-        
-        return Math.max(0, cumulative - previousCumulative);
+    getDataForMetric(metricKey = this.currentMetric) {
+        return Array.from(this.byDate.keys())
+            .sort()
+            .filter(date => this.byDate.get(date).values[metricKey])
+            .map(date => {
+                const value = this.byDate.get(date).values[metricKey];
+                return {
+                    date: date,
+                    killed: value.value,
+                    corrected: value.corrected,
+                    provenance: this.getProvenance(date, metricKey)
+                };
+            });
+    }
+
+    /**
+     * Where a date's value for a metric came from (provenance.js)
+     * @param {string} dateStr - YYYY-MM-DD
+     * @param {string} [metricKey] - Defaults to the current metric
+     * @returns {Object|null} - { date, source, method, spanDays, revision, cumulative }
+     */
+    getProvenance(dateStr, metricKey = this.currentMetric) {
+        const value = this.byDate.get(dateStr)?.values[metricKey];
+        return value ? describeProvenance(value.point, value.source) : null;
+    }
+
+    /**
+     * Every revised or multi-day value of the current region, across all of
+     * its metrics, oldest first
+     * @returns {Object[]} - Provenance records with region, metric and value
+     */
+    getCorrectionsLog() {
+        const rows = [];
+        const dates = Array.from(this.byDate.keys()).sort();
+
+        for (const date of dates) {
+            for (const metricKey of this.getMetrics()) {
+                const provenance = this.getProvenance(date, metricKey);
+                if (provenance && isLoggedProvenance(provenance)) {
+                    rows.push({
+                        region: this.region,
+                        metric: metricKey,
+                        value: this.byDate.get(date).values[metricKey].value,
+                        ...provenance
+                    });
+                }
+            }
+        }
+
+        return rows;
     }
 
     /**
@@ -318,45 +476,131 @@ class HeatmapDataProcessor {
     }
 
     /**
-     * Get peak days (top casualty days)
+     * Get peak days of the current metric (peakDetection.js), within the
+     * selected date range if any
+     * @returns {Object[]} - Peaks, strongest first, with `corrected` and `source`
      */
     getPeaks() {
         if (!this.byDate.size) return [];
         
-        const peaks = [];
-        for (const [date, data] of this.byDate) {
-            if (data.killed > 0) {
-                peaks.push({
-                    date: date,
-                    killed: data.killed,
-                    corrected: data.corrected,
-                    source: data.source
-                });
-            }
-        }
-        
-        // Sort by killed count (descending)
-        peaks.sort((a, b) => b.killed - a.killed);
+        const days = this.getDataForMetric().map(day => ({ date: day.date, value: day.killed }));
         
-        // Return top 20 for variety
-        return peaks.slice(0, 20);
+        return detectPeaks(days, { ...this.peakOptions, range: this.dateRange }).map(peak => {
+            const data = this.byDate.get(peak.date);
+            return {
+                ...peak,
+                corrected: this.getValueForMetric(data).corrected,
+                source: data.source
+            };
+        });
+    }
+
+    /**
+     * Change how peaks are detected
+     * @param {Object} options - Any of strategy, count, window (see PEAK_DEFAULTS)
+     */
+    setPeakOptions(options) {
+        this.peakOptions = { ...this.peakOptions, ...options };
+        console.log(`📊 Peak detection: ${this.peakOptions.strategy}, ${this.peakOptions.count} days, ${this.peakOptions.window}-day window`);
     }
 
     /**
-     * Get annotation for a specific date
+     * Get the peak detection options
+     */
+    getPeakOptions() {
+        return this.peakOptions;
+    }
+
+    /**
+     * Get annotation for a specific date, if it passes the category filter
      */
     getAnnotation(dateStr) {
         if (!this.annotations) return null;
         
         const annotation = this.annotations.find(a => a.date === dateStr);
-        return annotation || null;
+        return annotation && matchesAnnotationFilter(annotation, this.annotationFilter) ? annotation : null;
+    }
+
+    /**
+     * Get the annotations that pass the category filter
+     */
+    getAnnotations() {
+        return (this.annotations || []).filter(annotation => matchesAnnotationFilter(annotation, this.annotationFilter));
+    }
+
+    /**
+     * Show only annotations of the given categories (annotationCategories.js);
+     * an empty list shows them all
+     * @param {string[]} categories
+     */
+    setAnnotationFilter(categories) {
+        this.annotationFilter = new Set(categories);
+        console.log(`📝 Annotation filter: ${categories.length ? categories.join(', ') : 'all'}`);
+    }
+
+    /**
+     * Get the current region's truce and ceasefire periods (trucePeriods.js)
+     */
+    getTrucePeriods() {
+        return (this.trucePeriods || []).filter(period => period.region === this.region);
+    }
+
+    /**
+     * Get the truce period a date falls in, if any
+     */
+    getTrucePeriod(dateStr) {
+        return findTrucePeriod(this.getTrucePeriods(), dateStr);
+    }
+
+    /**
+     * Current metric's daily average during and outside truce periods, over the
+     * days it was actually reported on
+     * @returns {Object} - { truce, outside }, each { days, total, average }
+     */
+    getTruceComparison() {
+        const days = this.getDataForMetric()
+            .filter(day => !isUnchangedTotal(this.byDate.get(day.date).values[this.currentMetric].point))
+            .map(day => ({ date: day.date, value: day.killed }));
+        return compareTruceAverages(days, this.getTrucePeriods());
+    }
+
+    /**
+     * Limit the peaks and range KPIs to a date range (dateRange.js), or clear it
+     * @param {Object|null} range - { start, end }
+     */
+    setDateRange(range) {
+        this.dateRange = range;
+        console.log(`📅 Date range: ${range ? `${range.start} to ${range.end}` : 'all'}`);
+    }
+
+    /**
+     * Get the selected date range, if any
+     */
+    getDateRange() {
+        return this.dateRange;
+    }
+
+    /**
+     * Current metric's totals within the selected date range
+     * @returns {Object|null} - { start, end, calendarDays, days, total, average, peak }, or
+     *   null without a range
+     */
+    getRangeSummary() {
+        if (!this.dateRange) return null;
+
+        const days = this.getDataForMetric().map(day => ({ date: day.date, value: day.killed }));
+        return {
+            ...this.dateRange,
+            calendarDays: countRangeDays(this.dateRange),
+            ...summarizeDateRange(days, this.dateRange)
+        };
     }
 
     /**
      * Get KPIs for display
      */
     getKPIs() {
-        if (!this.summaryData || !this.byDate.size) {
+        if (!this.byDate.size) {
             return {
                 total: 0,
                 today: 0,
@@ -370,20 +614,17 @@ class HeatmapDataProcessor {
         // Get latest date from byDate
         const dates = Array.from(this.byDate.keys()).sort();
         const latestDate = dates[dates.length - 1];
+        const valueOn = (dateStr) => this.getMetricValue(dateStr)?.value || 0;
         
         // Calculate recent totals
-        const today = this.byDate.get(latestDate)?.killed || 0;
+        const today = valueOn(latestDate);
         
         // Calculate week total (last 7 days)
         let weekTotal = 0;
         for (let i = 0; i < 7; i++) {
             const date = new Date(latestDate);
             date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            const data = this.byDate.get(dateStr);
-            if (data) {
-                weekTotal += data.killed || 0;
-            }
+            weekTotal += valueOn(date.toISOString().split('T')[0]);
         }
         
         // Calculate month total (last 30 days)
@@ -391,28 +632,41 @@ class HeatmapDataProcessor {
         for (let i = 0; i < 30; i++) {
             const date = new Date(latestDate);
             date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            const data = this.byDate.get(dateStr);
-            if (data) {
-                monthTotal += data.killed || 0;
-            }
+            monthTotal += valueOn(date.toISOString().split('T')[0]);
         }
 
+        const summary = this.summaryData?.[this.region] || {};
+        const lastUpdate = summary.last_update || latestDate;
+        const daysSinceUpdate = Math.floor((new Date() - new Date(lastUpdate)) / (1000 * 60 * 60 * 24));
+
         return {
-            total: this.summaryData.gaza?.total || 0,
+            total: getSummaryValue(this.getMetricDefinition(), summary) ?? this.getLatestCumulative(),
             today: today,
             week: weekTotal,
             month: monthTotal,
-            lastUpdate: this.summaryData.gaza?.lastUpdate || '-',
-            daysSinceUpdate: this.summaryData.gaza?.daysSinceUpdate || 0
+            lastUpdate: lastUpdate,
+            daysSinceUpdate: Math.max(0, daysSinceUpdate)
         };
     }
 
+    /**
+     * Latest running total of the current metric in the raw data (KPI fallback
+     * when summary.json is unavailable)
+     */
+    getLatestCumulative() {
+        const field = this.getMetricDefinition().regions[this.region].field;
+        const latest = [...this.rawData]
+            .sort((a, b) => b.report_date.localeCompare(a.report_date))
+            .find(record => record[field] !== undefined && record[field] !== null);
+        return latest ? latest[field] : 0;
+    }
+
     /**
      * Get current state
      */
     getState() {
         return {
+            region: this.region,
             metric: this.currentMetric,
             source: 'official' // Default source
         };
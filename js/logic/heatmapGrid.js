@@ -11,6 +11,10 @@ class HeatmapGrid {
         this.months = [];
         this.stats = null;
         this.selectedCell = null;
+        this.selectedRange = null;
+        this.tabStopDate = null;
+        this.brush = null;
+        this.suppressClick = false;
         this.isInitialized = false;
         
         // Grid configuration
@@ -31,6 +35,9 @@ class HeatmapGrid {
             return;
         }
 
+        // A drag may end outside the grid
+        window.addEventListener('mouseup', () => this.handleBrushEnd());
+        
         this.isInitialized = true;
         console.log('✅ HeatmapGrid initialized');
     }
@@ -73,6 +80,8 @@ class HeatmapGrid {
         this.renderMetricSelector(gridContainer);
         
         this.container.appendChild(gridContainer);
+        this.highlightRange(this.selectedRange);
+        this.setTabStop(this.tabStopDate);
     }
 
     /**
@@ -88,6 +97,16 @@ class HeatmapGrid {
             margin-bottom: 10px;
         `;
         
+        // Months with truce days get highlighted headers
+        const truceMonths = new Set();
+        this.dataProcessor.getTrucePeriods().forEach(period => {
+            const current = new Date(`${period.start.slice(0, 7)}-01T00:00:00Z`);
+            while (current.toISOString() <= `${period.end}T00:00:00.000Z`) {
+                truceMonths.add(current.toISOString().slice(0, 7));
+                current.setUTCMonth(current.getUTCMonth() + 1);
+            }
+        });
+        
         this.months.forEach(month => {
             const header = document.createElement('div');
             header.className = 'heatmap-month-header';
@@ -105,6 +124,10 @@ class HeatmapGrid {
                 transform-origin: center;
                 white-space: nowrap;
             `;
+            if (truceMonths.has(month.key)) {
+                header.classList.add('heatmap-month-header-truce');
+                header.style.color = 'var(--chart-truce-edge)';
+            }
             columnHeaders.appendChild(header);
         });
         
@@ -194,6 +217,18 @@ class HeatmapGrid {
         // Apply cell type styling
         this.styleCell(cellElement, cell);
         
+        // Outline days inside a truce or ceasefire
+        if (cell.type !== 'nonexistent' && this.dataProcessor.getTrucePeriod(cell.date)) {
+            cellElement.classList.add('heatmap-cell-truce');
+            cellElement.style.boxShadow = '0 0 0 2px var(--chart-truce-edge)';
+        }
+        
+        // Mark days with an annotation by its category's icon
+        const annotation = cell.type !== 'nonexistent' ? this.dataProcessor.getAnnotation(cell.date) : null;
+        if (annotation) {
+            this.addAnnotationIndicator(cellElement, annotation);
+        }
+        
         // Add event listeners
         this.addCellEventListeners(cellElement, cell);
         
@@ -230,10 +265,13 @@ class HeatmapGrid {
      * Style a cell with present data
      */
     stylePresentCell(cellElement, cell) {
-        if (!this.stats || cell.value === 0) {
-            // Zero value - very light border
+        if (!this.stats || cell.value <= 0) {
+            // Zero value, or a downward revision - very light border
             cellElement.style.background = 'white';
             cellElement.style.border = '1px solid #F3F4F6';
+            if (cell.corrected) {
+                this.addCorrectionIndicator(cellElement);
+            }
             return;
         }
         
@@ -252,9 +290,8 @@ class HeatmapGrid {
             intensity = 0.1 + (0.7 * (sqrtValue - sqrtMin) / (sqrtMax - sqrtMin));
         }
         
-        // Apply grayscale color
-        const colorValue = Math.round(255 * (1 - intensity));
-        cellElement.style.background = `rgb(${colorValue}, ${colorValue}, ${colorValue})`;
+        // Apply the metric's color scale
+        cellElement.style.background = getMetricColor(this.dataProcessor.getMetricDefinition(), intensity);
         cellElement.style.border = '1px solid #E5E7EB';
         
         // Add correction indicator if needed
@@ -282,6 +319,24 @@ class HeatmapGrid {
         cellElement.appendChild(indicator);
     }
 
+    /**
+     * Add annotation indicator to cell
+     */
+    addAnnotationIndicator(cellElement, annotation) {
+        const indicator = document.createElement('div');
+        indicator.className = 'annotation-indicator';
+        indicator.textContent = getAnnotationIcon(annotation);
+        indicator.style.cssText = `
+            position: absolute;
+            bottom: 0;
+            left: 0;
+            font-size: 8px;
+            color: var(--text-primary);
+            line-height: 1;
+        `;
+        cellElement.appendChild(indicator);
+    }
+
     /**
      * Add event listeners to cell
      */
@@ -291,15 +346,40 @@ class HeatmapGrid {
         // Hover effects
         cellElement.addEventListener('mouseenter', () => {
             this.handleCellHover(cellElement, cell);
+            this.handleBrushMove(cell);
+        });
+        
+        // Drag across cells to select a date range
+        cellElement.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            this.brush = { anchor: cell.date, current: cell.date, moved: false };
         });
         
         cellElement.addEventListener('mouseleave', () => {
             this.handleCellLeave();
         });
         
-        // Click to select
-        cellElement.addEventListener('click', () => {
-            this.handleCellClick(cell);
+        // Keyboard users get the same caption
+        cellElement.addEventListener('focus', () => {
+            this.setTabStop(cell.date);
+            this.showCaption(cell, cellElement);
+            this.container.dispatchEvent(new CustomEvent('cellFocused', {
+                detail: { cell: cell }
+            }));
+        });
+        
+        cellElement.addEventListener('blur', () => {
+            this.hideCaption();
+        });
+        
+        // Click to select; Shift+click selects the range from the selected cell
+        cellElement.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            this.handleCellClick(cell, e.shiftKey);
         });
         
         // Keyboard navigation
@@ -307,8 +387,8 @@ class HeatmapGrid {
             this.handleCellKeydown(e, cell);
         });
         
-        // Make focusable
-        cellElement.tabIndex = 0;
+        // Focusable; the grid is a single tab stop (see setTabStop)
+        cellElement.tabIndex = -1;
     }
 
     /**
@@ -337,10 +417,75 @@ class HeatmapGrid {
         this.hideCaption();
     }
 
+    /**
+     * Extend the range being brushed to a cell
+     */
+    handleBrushMove(cell) {
+        if (!this.brush || cell.date === this.brush.current) return;
+        
+        this.brush.current = cell.date;
+        this.brush.moved = true;
+        this.highlightRange(createDateRange(this.brush.anchor, this.brush.current));
+    }
+
+    /**
+     * Finish brushing; a drag selects a range, a press on one cell stays a click
+     */
+    handleBrushEnd() {
+        if (!this.brush) return;
+        
+        const brush = this.brush;
+        this.brush = null;
+        
+        if (brush.moved) {
+            this.suppressClick = true;
+            this.selectRange(createDateRange(brush.anchor, brush.current));
+        }
+    }
+
+    /**
+     * Select a range and tell the app about it
+     */
+    selectRange(range) {
+        this.setSelectedRange(range);
+        this.container.dispatchEvent(new CustomEvent('rangeSelected', {
+            detail: { range: range }
+        }));
+    }
+
+    /**
+     * Show a selected date range (dateRange.js), or clear it with null
+     */
+    setSelectedRange(range) {
+        this.selectedRange = range;
+        this.highlightRange(range);
+    }
+
+    /**
+     * Fade the cells outside a range
+     */
+    highlightRange(range) {
+        this.container.querySelectorAll('.heatmap-cell[data-date]').forEach(cellElement => {
+            const date = cellElement.dataset.date;
+            if (!date || date === 'null') return;
+            
+            const inRange = range !== null && isDateInRange(range, date);
+            cellElement.classList.toggle('in-range', inRange);
+            cellElement.classList.toggle('out-of-range', range !== null && !inRange);
+        });
+    }
+
     /**
      * Handle cell click
+     * @param {Object} cell
+     * @param {boolean} [extend=false] - Select the range from the previously selected cell
      */
-    handleCellClick(cell) {
+    handleCellClick(cell, extend = false) {
+        if (extend && this.selectedCell) {
+            this.selectRange(createDateRange(this.selectedCell.date, cell.date));
+            return;
+        }
+        
         this.selectedCell = cell;
         
         // Update UI
@@ -348,7 +493,7 @@ class HeatmapGrid {
             c.classList.remove('selected');
         });
         
-        const cellElement = document.querySelector(`[data-date="${cell.date}"]`);
+        const cellElement = this.container.querySelector(`.heatmap-cell[data-date="${cell.date}"]`);
         if (cellElement) {
             cellElement.classList.add('selected');
         }
@@ -362,16 +507,118 @@ class HeatmapGrid {
     }
 
     /**
-     * Handle cell keyboard navigation
+     * Handle cell keyboard navigation: up and down step a day, left and right
+     * a month (mirrored in Arabic), Home and End go to the first and last day
      */
     handleCellKeydown(e, cell) {
+        const dates = this.getCellDates();
+        const index = dates.indexOf(cell.date);
+        const isRtl = document.documentElement.getAttribute('dir') === 'rtl';
+        let target = null;
+        
         switch (e.key) {
             case 'Enter':
             case ' ':
                 e.preventDefault();
-                this.handleCellClick(cell);
+                this.handleCellClick(cell, e.shiftKey);
+                return;
+            case 'ArrowUp':
+                target = dates[index - 1];
                 break;
+            case 'ArrowDown':
+                target = dates[index + 1];
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                // Same day of the neighbouring month, if it has a value
+                const step = (e.key === 'ArrowRight') !== isRtl ? 1 : -1;
+                const current = this.getCellElement(cell.date);
+                const monthIndex = parseInt(current.dataset.monthIndex, 10) + step;
+                const element = this.container.querySelector(
+                    `.heatmap-cell-present[data-day="${current.dataset.day}"][data-month-index="${monthIndex}"]`
+                );
+                target = element ? element.dataset.date : null;
+                break;
+            }
+            case 'Home':
+                target = dates[0];
+                break;
+            case 'End':
+                target = dates[dates.length - 1];
+                break;
+            default:
+                return;
         }
+        
+        e.preventDefault();
+        if (target) this.focusDate(target);
+    }
+
+    /**
+     * Dates of the cells with a value, oldest first
+     */
+    getCellDates() {
+        return Array.from(this.container.querySelectorAll('.heatmap-cell-present'))
+            .map(element => element.dataset.date)
+            .sort();
+    }
+
+    getCellElement(date) {
+        return this.container.querySelector(`.heatmap-cell-present[data-date="${date}"]`);
+    }
+
+    /**
+     * Make one cell the grid's tab stop: the given date, or else the selected
+     * or first day
+     * @param {string|null} date - YYYY-MM-DD
+     */
+    setTabStop(date) {
+        const element = this.getCellElement(date)
+            || (this.selectedCell && this.getCellElement(this.selectedCell.date))
+            || this.container.querySelector('.heatmap-cell-present');
+        if (!element) return;
+        
+        this.container.querySelectorAll('.heatmap-cell-present[tabindex="0"]').forEach(other => {
+            other.tabIndex = -1;
+        });
+        element.tabIndex = 0;
+        this.tabStopDate = element.dataset.date;
+    }
+
+    /**
+     * Move keyboard focus to a day
+     * @param {string} date - YYYY-MM-DD
+     */
+    focusDate(date) {
+        const element = this.getCellElement(date);
+        if (element) {
+            this.setTabStop(date);
+            element.focus();
+        }
+    }
+
+    /**
+     * Show a day chosen elsewhere (a table row or peak) without moving focus:
+     * it becomes the tab stop and its caption is shown
+     * @param {string} date - YYYY-MM-DD
+     */
+    showDate(date) {
+        const element = this.getCellElement(date);
+        if (!element) return;
+        
+        this.setTabStop(date);
+        this.showCaption(this.getCell(date), element);
+    }
+
+    /**
+     * Grid cell of a date
+     */
+    getCell(date) {
+        for (const row of this.gridData || []) {
+            const cell = row.find(candidate => candidate.date === date);
+            if (cell) return cell;
+        }
+        return null;
     }
 
     /**
@@ -379,25 +626,40 @@ class HeatmapGrid {
      */
     showCaption(cell, cellElement) {
         const date = new Date(cell.date);
-        const dateStr = date.toLocaleDateString('en-US', { 
+        const dateOptions = { 
             weekday: 'short', 
             month: 'short', 
             day: 'numeric',
-            year: 'numeric'
-        });
+            year: 'numeric',
+            timeZone: 'UTC'
+        };
         
-        const killedStr = cell.value.toLocaleString();
+        const unit = this.dataProcessor.getMetricDefinition().unit;
         const weekOfWar = this.calculateWeekOfWar(cell.date);
+        const provenance = this.dataProcessor.getProvenance(cell.date);
         
-        let captionText = `${dateStr} — ${killedStr} killed`;
-        if (cell.corrected) {
-            captionText += ' (data corrected)';
+        const truce = this.dataProcessor.getTrucePeriod(cell.date);
+        const annotation = this.dataProcessor.getAnnotation(cell.date);
+        
+        let captionText = `${date.toLocaleDateString('en-US', dateOptions)} — ${cell.value.toLocaleString()} ${unit.en} — Week ${weekOfWar} of war`;
+        let captionTextAr = `${date.toLocaleDateString('ar-EG', dateOptions)} — ${cell.value.toLocaleString('ar-EG')} ${unit.ar} — الأسبوع ${weekOfWar.toLocaleString('ar-EG')} من الحرب`;
+        if (truce) {
+            captionText += ` — ${truce.label.en}`;
+            captionTextAr += ` — ${truce.label.ar}`;
         }
-        captionText += ` — Week ${weekOfWar} of war`;
         
         // Dispatch event for main component to show caption
         this.container.dispatchEvent(new CustomEvent('showCaption', {
-            detail: { text: captionText }
+            detail: {
+                text: captionText,
+                textAr: captionTextAr,
+                provenance: provenance
+                    ? { en: formatProvenance(provenance, 'en'), ar: formatProvenance(provenance, 'ar') }
+                    : null,
+                annotation: annotation
+                    ? { en: `${getAnnotationIcon(annotation)} ${annotation.en}`, ar: `${getAnnotationIcon(annotation)} ${annotation.ar}` }
+                    : null
+            }
         }));
     }
 
@@ -444,7 +706,7 @@ class HeatmapGrid {
         `;
         
         // Create color swatches
-        const steps = [0, 5, 20, 50, 120, this.stats.p95];
+        const steps = [0, 5, 20, 50, 120].filter(value => value < this.stats.p95).concat(this.stats.p95);
         steps.forEach((value, index) => {
             const swatch = document.createElement('div');
             swatch.className = 'color-swatch';
@@ -461,11 +723,10 @@ class HeatmapGrid {
                 intensity = 0.1 + (0.7 * (sqrtValue - sqrtMin) / (sqrtMax - sqrtMin));
             }
             
-            const colorValue = Math.round(255 * (1 - intensity));
             swatch.style.cssText = `
                 width: 20px;
                 height: 20px;
-                background: ${intensity === 0 ? 'white' : `rgb(${colorValue}, ${colorValue}, ${colorValue})`};
+                background: ${intensity === 0 ? 'white' : getMetricColor(this.dataProcessor.getMetricDefinition(), intensity)};
                 border: 1px solid #E5E7EB;
                 border-radius: 2px;
             `;
@@ -507,10 +768,22 @@ class HeatmapGrid {
         missingKey.innerHTML = '□ (dotted) = data missing';
         
         const correctionKey = document.createElement('div');
-        correctionKey.innerHTML = '† = source correction';
+        correctionKey.innerHTML = '† = revised down, or a report covering several days';
+        
+        const truceKey = document.createElement('div');
+        truceKey.innerHTML = '<span style="color: var(--chart-truce-edge);">▢</span> (green outline) = truce or ceasefire';
+        
+        const annotationKey = document.createElement('div');
+        annotationKey.innerHTML = `${Object.values(ANNOTATION_CATEGORIES).map(category => category.icon).join(' ')} = annotated event`;
         
         keys.appendChild(missingKey);
         keys.appendChild(correctionKey);
+        if (this.dataProcessor.getTrucePeriods().length) {
+            keys.appendChild(truceKey);
+        }
+        if (this.dataProcessor.getAnnotations().length) {
+            keys.appendChild(annotationKey);
+        }
         
         legend.appendChild(keys);
         container.appendChild(legend);
@@ -527,8 +800,14 @@ class HeatmapGrid {
             text-align: center;
         `;
         
+        const isArabic = document.documentElement.getAttribute('lang') === 'ar';
+        const bilingual = (en, ar) => `
+            <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">${en}</span>
+            <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">${ar}</span>
+        `;
+        
         const title = document.createElement('div');
-        title.textContent = 'Metric:';
+        title.innerHTML = bilingual('Metric:', 'المؤشر:');
         title.style.cssText = `
             font-size: 12px;
             color: var(--text-muted);
@@ -543,18 +822,13 @@ class HeatmapGrid {
             flex-wrap: wrap;
         `;
         
-        const metrics = [
-            { key: 'all', label: 'All' },
-            { key: 'children', label: 'Children' },
-            { key: 'women', label: 'Women' },
-            { key: 'medical', label: 'Medical' },
-            { key: 'press', label: 'Press' }
-        ];
+        // Only offer metrics the current region's dataset has
+        const metrics = getMetricsForRegion(this.dataProcessor.getRegion());
         
         metrics.forEach(metric => {
             const button = document.createElement('button');
             button.className = 'metric-btn';
-            button.textContent = metric.label;
+            button.innerHTML = bilingual(metric.label.en, metric.label.ar);
             button.dataset.metric = metric.key;
             button.style.cssText = `
                 padding: 6px 12px;
@@ -567,7 +841,7 @@ class HeatmapGrid {
                 transition: all 0.2s ease;
             `;
             
-            if (metric.key === 'all') {
+            if (metric.key === this.dataProcessor.currentMetric) {
                 button.style.background = 'var(--accent-red)';
                 button.style.color = 'white';
                 button.style.borderColor = 'var(--accent-red)';
@@ -609,6 +883,11 @@ class HeatmapGrid {
         // Re-render grid
         this.updateData();
         
+        // Peaks, rail and KPIs follow the selected metric
+        document.dispatchEvent(new CustomEvent('metricChanged', {
+            detail: { metric: metric }
+        }));
+        
         console.log(`📊 Metric changed to: ${metric}`);
     }
 
@@ -157,13 +157,7 @@ class JournalistsMemorial {
     async loadPressData() {
         try {
             console.log('🔄 Loading press data...');
-            const response = await fetch('./data/press_killed_in_gaza.json');
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            this.pressData = await response.json();
+            this.pressData = await window.dataStore.load('press');
             console.log(`✅ Loaded ${this.pressData.length} press records`);
             
         } catch (error) {
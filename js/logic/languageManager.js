@@ -5,10 +5,24 @@
 
 class LanguageManager {
     constructor() {
-        this.currentLanguage = this.getStoredLanguage() || 'en';
+        // A shared link (?lang=ar) wins over the stored preference and replaces it
+        const urlLanguage = this.getUrlLanguage();
+        if (urlLanguage) {
+            this.setStoredLanguage(urlLanguage);
+        }
+        
+        this.currentLanguage = urlLanguage || this.getStoredLanguage() || 'en';
         this.init();
     }
 
+    /**
+     * Get the language requested in the URL query string, if any
+     */
+    getUrlLanguage() {
+        const language = new URLSearchParams(window.location.search).get('lang');
+        return language === 'en' || language === 'ar' ? language : null;
+    }
+
     /**
      * Get stored language from localStorage
      */
@@ -82,6 +96,9 @@ class LanguageManager {
         // Update button text
         this.updateToggleButtonText(language);
 
+        // Keep the global in step so components read the new language
+        window.currentLanguage = language;
+
         // Trigger custom event for other components
         window.dispatchEvent(new CustomEvent('languageChanged', { 
             detail: { language: language } 
@@ -10,8 +10,7 @@ let lifeContextMap = null;
  */
 async function loadLifeContextMap() {
     try {
-        const response = await fetch('./data/life_context_map.json');
-        lifeContextMap = await response.json();
+        lifeContextMap = await window.dataStore.load('life_context_map');
         console.log('✅ Life context map loaded successfully');
         return lifeContextMap;
     } catch (error) {
@@ -79,8 +78,11 @@ function getSeasonalContext(birthMonth) {
 
 /**
  * Calculate life duration in days
+ * Returns null unless both dates are known - never measured against today
  */
 function calculateLifeDuration(dob, dateOfDeath) {
+    if (!dob || !dateOfDeath) return null;
+    
     try {
         const birthDate = new Date(dob);
         const deathDate = new Date(dateOfDeath);
@@ -100,9 +102,12 @@ function calculateLifeDuration(dob, dateOfDeath) {
 }
 
 /**
- * Format birthday context
+ * Format birthday context: age when killed and the next birthday they did not reach
+ * Returns null unless both dates are known
  */
 function getBirthdayContext(dob, dateOfDeath, language = 'en') {
+    if (!dob || !dateOfDeath) return null;
+    
     try {
         const birthDate = new Date(dob);
         const deathDate = new Date(dateOfDeath);
@@ -111,39 +116,47 @@ function getBirthdayContext(dob, dateOfDeath, language = 'en') {
             return null;
         }
         
-        const birthMonth = birthDate.getMonth() + 1; // JavaScript months are 0-indexed
-        const birthDay = birthDate.getDate();
+        // Dates are calendar days (parsed as UTC midnight), so all the math is in UTC;
+        // local time would move them a day in timezones either side of UTC
+        const birthMonth = birthDate.getUTCMonth() + 1; // JavaScript months are 0-indexed
+        const birthDay = birthDate.getUTCDate();
         
         // Calculate age at death
-        const ageAtDeath = deathDate.getFullYear() - birthDate.getFullYear();
-        const monthDiff = deathDate.getMonth() - birthDate.getMonth();
+        const ageAtDeath = deathDate.getUTCFullYear() - birthDate.getUTCFullYear();
+        const monthDiff = deathDate.getUTCMonth() - birthDate.getUTCMonth();
         
         let actualAge = ageAtDeath;
-        if (monthDiff < 0 || (monthDiff === 0 && deathDate.getDate() < birthDay)) {
+        if (monthDiff < 0 || (monthDiff === 0 && deathDate.getUTCDate() < birthDay)) {
             actualAge--;
         }
         
         // Calculate next birthday
-        const nextBirthday = new Date(deathDate.getFullYear(), birthDate.getMonth(), birthDate.getDate());
+        const nextBirthday = new Date(Date.UTC(deathDate.getUTCFullYear(), birthDate.getUTCMonth(), birthDay));
         if (nextBirthday < deathDate) {
-            nextBirthday.setFullYear(deathDate.getFullYear() + 1);
+            nextBirthday.setUTCFullYear(deathDate.getUTCFullYear() + 1);
         }
         
         const daysUntilNextBirthday = Math.ceil((nextBirthday.getTime() - deathDate.getTime()) / (1000 * 3600 * 24));
         
         if (language === 'ar') {
+            const date = `${birthDay} ${getArabicMonthName(birthMonth)}`;
             return {
                 age: actualAge,
-                next_birthday: `${birthDay} ${getArabicMonthName(birthMonth)}`,
+                next_birthday: date,
                 days_until: daysUntilNextBirthday,
-                context: `كان سيكون عمره ${actualAge} سنة، عيد ميلاده القادم ${birthDay} ${getArabicMonthName(birthMonth)}`
+                context: daysUntilNextBirthday === 0
+                    ? `الاستشهاد في يوم بلوغ ${actualAge} سنة`
+                    : `العمر عند الاستشهاد ${actualAge} سنة؛ كان سيبلغ ${actualAge + 1} في ${date}، بعد ${formatArabicDays(daysUntilNextBirthday)}`
             };
         } else {
+            const date = `${getEnglishMonthName(birthMonth)} ${birthDay}`;
             return {
                 age: actualAge,
-                next_birthday: `${getEnglishMonthName(birthMonth)} ${birthDay}`,
+                next_birthday: date,
                 days_until: daysUntilNextBirthday,
-                context: `Would have been ${actualAge} years old, next birthday ${getEnglishMonthName(birthMonth)} ${birthDay}`
+                context: daysUntilNextBirthday === 0
+                    ? `Killed on their birthday, the day they turned ${actualAge}`
+                    : `Killed at ${actualAge}; would have turned ${actualAge + 1} on ${date}, ${daysUntilNextBirthday} ${daysUntilNextBirthday === 1 ? 'day' : 'days'} later`
             };
         }
     } catch (error) {
@@ -162,6 +175,7 @@ function getPersonLifeContext(person, language = 'en') {
         name: language === 'ar' ? person.name : person.en_name,
         age: person.age,
         gender: person.sex,
+        date_of_death: person.dod || null,
         language: language
     };
     
@@ -185,7 +199,7 @@ function getPersonLifeContext(person, language = 'en') {
     if (person.dob) {
         const birthDate = new Date(person.dob);
         if (!isNaN(birthDate.getTime())) {
-            const birthMonth = birthDate.getMonth() + 1;
+            const birthMonth = birthDate.getUTCMonth() + 1;
             const seasonalContext = getSeasonalContext(birthMonth);
             if (seasonalContext) {
                 context.seasonal = seasonalContext;
@@ -193,15 +207,18 @@ function getPersonLifeContext(person, language = 'en') {
         }
     }
     
-    // Birthday context
-    if (person.dob) {
-        // For now, use current date as death date since we don't have it
-        // In real implementation, this would come from the casualty data
-        const currentDate = new Date();
-        const birthdayContext = getBirthdayContext(person.dob, currentDate, language);
+    // Birthday and life-duration context need the date of death; records
+    // without one get neither rather than a figure measured against today
+    if (person.dob && person.dod) {
+        const birthdayContext = getBirthdayContext(person.dob, person.dod, language);
         if (birthdayContext) {
             context.birthday = birthdayContext;
         }
+        
+        const lifeDays = calculateLifeDuration(person.dob, person.dod);
+        if (lifeDays !== null && lifeDays >= 0) {
+            context.life_duration = { days: lifeDays };
+        }
     }
     
     return context;
@@ -218,6 +235,16 @@ function getEnglishMonthName(month) {
     return months[month - 1] || '';
 }
 
+/**
+ * Helper function to count days in Arabic (singular, dual, plural)
+ */
+function formatArabicDays(days) {
+    if (days === 1) return 'يوم واحد';
+    if (days === 2) return 'يومين';
+    if (days >= 3 && days <= 10) return `${days} أيام`;
+    return `${days} يومًا`;
+}
+
 /**
  * Helper function to get Arabic month names
  */
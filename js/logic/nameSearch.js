@@ -0,0 +1,219 @@
+/**
+ * Name Search
+ * Pure functions for diacritic-insensitive, transliteration-tolerant
+ * matching of memorial names in Arabic (`name`) and English (`en_name`)
+ */
+
+// Harakat, Quranic marks, superscript alef and tatweel
+const ARABIC_MARKS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+const ARABIC_LETTER = /[\u0621-\u064A]/;
+
+/**
+ * Normalize Arabic text: strip diacritics and unify alef, hamza,
+ * taa marbuta and yaa spellings
+ * @param {string} text - Raw Arabic text
+ * @returns {string} - Normalized text with single spaces
+ */
+function normalizeArabic(text) {
+    if (!text) return '';
+
+    return String(text)
+        .replace(ARABIC_MARKS, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/[ىئ]/g, 'ي')
+        .replace(/ؤ/g, 'و')
+        .replace(/ء/g, '')
+        .replace(/ة/g, 'ه')
+        .replace(/[^\u0621-\u064A0-9\s]/g, ' ')
+        .replace(/عبد\s+ال/g, 'عبدال') // "عبد الله" and "عبدالله" are the same name
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize Latin text: strip accents, apostrophes and punctuation,
+ * and join the many spellings of "Abd al-" compounds
+ * @param {string} text - Raw English transliteration
+ * @returns {string} - Lowercase normalized text with single spaces
+ */
+function normalizeLatin(text) {
+    if (!text) return '';
+
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['`’‘ʿʾ]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/\babd\s?(?:[aeiou]l)?\s?(?=[a-z])/g, 'abdal') // Abdel Rahman, Abdulrahman, Abd al Rahman
+        .replace(/\b(?:al|el|ul) (?=[a-z])/g, ''); // detached articles: "Al Masri" = "Masri"
+}
+
+/**
+ * Reduce a normalized Latin token to a consonant skeleton so that
+ * Mohammed, Muhammad and Mohamad all produce "mhmd"
+ * @param {string} token - Normalized Latin token
+ * @returns {string} - Consonant skeleton (falls back to the token itself)
+ */
+function latinSkeleton(token) {
+    if (!token) return '';
+
+    const skeleton = token
+        .replace(/ph/g, 'f')
+        .replace(/q/g, 'k')
+        .replace(/ou(?=[aeiou])/g, 'w') // Marouane = Marwan
+        .replace(/([^aeiou])y\b/g, '$1i') // Hamdy = Hamdi
+        .replace(/([aeiou])[yw](?![aeiou])/g, '$1') // Ayman = Aiman, Husayn = Hussein
+        .replace(/[aeiou]/g, '')
+        .replace(/(.)\1+/g, '$1');
+
+    return skeleton || token;
+}
+
+/**
+ * Split normalized Arabic text into comparable tokens
+ * (the definite article is dropped so "الكحلوت" matches "كحلوت")
+ * @param {string} normalized - Output of normalizeArabic
+ * @returns {string[]} - Tokens
+ */
+function arabicTokens(normalized) {
+    if (!normalized) return [];
+    return normalized.split(' ').map(token => token.replace(/^ال(?=..)/, ''));
+}
+
+/**
+ * Build the precomputed search entry for one memorial record
+ * @param {Object} person - Memorial record with `name` and `en_name`
+ * @returns {Object} - Search entry
+ */
+function createSearchEntry(person) {
+    const arText = normalizeArabic(person.name);
+    const enText = normalizeLatin(person.en_name);
+    const enTokens = enText ? enText.split(' ') : [];
+
+    return {
+        arText,
+        arTokens: arabicTokens(arText),
+        enText,
+        enTokens,
+        enSkeletons: enTokens.map(latinSkeleton)
+    };
+}
+
+/**
+ * Parse a user query into script-aware tokens
+ * @param {string} query - Raw search input
+ * @returns {Object|null} - Parsed query or null when empty
+ */
+function parseQuery(query) {
+    if (!query || !String(query).trim()) return null;
+
+    const tokens = [];
+    const arText = normalizeArabic(query);
+    const enText = normalizeLatin(query);
+
+    arabicTokens(arText).forEach(token => {
+        if (token && ARABIC_LETTER.test(token)) {
+            tokens.push({ script: 'ar', text: token });
+        }
+    });
+
+    if (enText) {
+        enText.split(' ').forEach(token => {
+            tokens.push({ script: 'en', text: token, skeleton: latinSkeleton(token) });
+        });
+    }
+
+    if (!tokens.length) return null;
+
+    return { tokens, arText, enText };
+}
+
+/**
+ * Score how well one query token matches a list of name tokens
+ * @returns {number} - 0 when there is no match
+ */
+function scoreToken(queryToken, entry) {
+    let best = 0;
+
+    if (queryToken.script === 'ar') {
+        entry.arTokens.forEach(token => {
+            if (token === queryToken.text) best = Math.max(best, 3);
+            else if (token.startsWith(queryToken.text)) best = Math.max(best, 2);
+        });
+        return best;
+    }
+
+    entry.enTokens.forEach((token, index) => {
+        const skeleton = entry.enSkeletons[index];
+        if (token === queryToken.text) best = Math.max(best, 3);
+        else if (skeleton === queryToken.skeleton || token.startsWith(queryToken.text)) best = Math.max(best, 2);
+        else if (skeleton.startsWith(queryToken.skeleton)) best = Math.max(best, 1);
+    });
+    return best;
+}
+
+/**
+ * Score a search entry against a parsed query. Every query token must
+ * match some name token; earlier and whole-name matches rank higher.
+ * @param {Object} entry - Output of createSearchEntry
+ * @param {Object} query - Output of parseQuery
+ * @returns {number} - Score, 0 when the record does not match
+ */
+function scoreEntry(entry, query) {
+    let score = 0;
+
+    for (const token of query.tokens) {
+        const tokenScore = scoreToken(token, entry);
+        if (!tokenScore) return 0;
+        score += tokenScore;
+    }
+
+    // Whole-name prefix: the person's first name(s) were typed in order
+    if (query.arText && entry.arText.startsWith(query.arText)) score += 2;
+    if (query.enText && entry.enText.startsWith(query.enText)) score += 2;
+
+    return score;
+}
+
+/**
+ * Rank records against a query
+ * @param {Object[]} entries - Search entries (same order as the records)
+ * @param {string} query - Raw search input
+ * @param {number[]} [candidates] - Optional subset of record indices to search
+ * @returns {number[]|null} - Matching record indices, best first; null when the query is empty
+ */
+function searchNames(entries, query, candidates = null) {
+    const parsed = parseQuery(query);
+    if (!parsed) return null;
+
+    const matches = [];
+    const indices = candidates || entries.map((_, index) => index);
+
+    for (const index of indices) {
+        const score = scoreEntry(entries[index], parsed);
+        if (score > 0) {
+            matches.push({ index, score });
+        }
+    }
+
+    // Highest score first; ties keep the dataset order
+    matches.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    return matches.map(match => match.index);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeArabic,
+        normalizeLatin,
+        latinSkeleton,
+        createSearchEntry,
+        parseQuery,
+        scoreEntry,
+        searchNames
+    };
+}
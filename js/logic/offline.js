@@ -0,0 +1,27 @@
+/**
+ * Offline Support
+ * Registers the service worker (sw.js) that precaches pages, scripts and datasets
+ */
+
+/**
+ * Register the service worker once the page has loaded, so precaching
+ * doesn't compete with the page's own requests
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.warn('⚠️ Service workers not supported; offline mode unavailable');
+        return;
+    }
+    
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./sw.js')
+            .then(registration => {
+                console.log('✅ Service worker registered for', registration.scope);
+            })
+            .catch(error => {
+                console.error('❌ Service worker registration failed:', error);
+            });
+    });
+}
+
+registerServiceWorker();
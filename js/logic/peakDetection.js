@@ -0,0 +1,181 @@
+/**
+ * Peak Detection
+ * The one peak-detection engine behind the peak cards, the chart's peaks
+ * overlay and TimelineDataProcessor. Strategies pick the candidate days; every
+ * peak is measured against the average of the days before it.
+ */
+
+/**
+ * @typedef {Object} PeakOptions
+ * @property {string} strategy - Key of PEAK_STRATEGIES
+ * @property {number} count - Most peaks returned
+ * @property {number} window - Days before a day that make up its baseline
+ * @property {number} separation - Minimum days between two peaks
+ * @property {number} zThreshold - Lowest z-score for the z-score strategy
+ * @property {number} percentile - Lowest percentile for the percentile strategy
+ * @property {Object|null} [range] - Only days in this DateRange (dateRange.js) can be peaks
+ */
+
+/**
+ * @typedef {Object} Peak
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} value
+ * @property {string} strategy - Strategy that found it
+ * @property {number|null} baseline - Average of the `window` days before; null for the first day
+ * @property {number|null} multiplier - value / baseline; null when the baseline is zero or missing
+ * @property {number|null} zScore - Standard deviations above the baseline; null when they don't vary
+ */
+
+// dateRange.js is loaded first on the page; under Node it is required
+const peakRangeTools = typeof require === 'function'
+    ? require('./dateRange.js')
+    : { isDateInRange };
+
+const PEAK_STRATEGIES = {
+    topN: { en: 'Highest days', ar: 'الأيام الأعلى' },
+    zscore: { en: 'Rolling z-score', ar: 'الانحراف المعياري المتحرك' },
+    percentile: { en: 'Percentile', ar: 'المئين' }
+};
+
+// Top 7 at least two weeks apart, as the peak cards have always shown
+const PEAK_DEFAULTS = {
+    strategy: 'topN',
+    count: 7,
+    window: 28,
+    separation: 14,
+    zThreshold: 2.5,
+    percentile: 95
+};
+
+const PEAK_DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Average and spread of the `windowSize` days before each day
+ * @param {number[]} values - In date order
+ * @param {number} windowSize
+ * @returns {Object[]} - { mean, deviation } per day; null for the first day
+ */
+function getRollingBaselines(values, windowSize) {
+    return values.map((value, index) => {
+        const previous = values.slice(Math.max(0, index - windowSize), index);
+        if (!previous.length) return null;
+
+        const mean = previous.reduce((sum, v) => sum + v, 0) / previous.length;
+        const variance = previous.reduce((sum, v) => sum + (v - mean) ** 2, 0) / previous.length;
+        return { mean, deviation: Math.sqrt(variance) };
+    });
+}
+
+/**
+ * Value at a percentile (nearest rank)
+ * @param {number[]} values
+ * @param {number} percentile - 0 to 100
+ * @returns {number|null} - null without values
+ */
+function getPercentileValue(values, percentile) {
+    if (!values.length) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Find peak days in a daily series
+ * @param {Object[]} days - { date, value } in date order, for every day with a value
+ * @param {Partial<PeakOptions>} [options] - Overrides of PEAK_DEFAULTS
+ * @returns {Peak[]} - Strongest first (highest value, or highest z-score)
+ */
+function detectPeaks(days, options = {}) {
+    const settings = { ...PEAK_DEFAULTS, ...options };
+    const range = settings.range || null;
+
+    // Baselines look back past the start of a range, so its first days have one
+    const baselines = getRollingBaselines(days.map(day => day.value), settings.window);
+    const measured = days.map((day, index) => {
+        const baseline = baselines[index];
+        return {
+            date: day.date,
+            value: day.value,
+            strategy: settings.strategy,
+            baseline: baseline ? baseline.mean : null,
+            multiplier: baseline && baseline.mean > 0 ? day.value / baseline.mean : null,
+            zScore: baseline && baseline.deviation > 0 ? (day.value - baseline.mean) / baseline.deviation : null
+        };
+    });
+
+    const inRange = measured.filter(day => day.value > 0 && peakRangeTools.isDateInRange(range, day.date));
+
+    let candidates;
+    let score = day => day.value;
+    switch (settings.strategy) {
+        case 'zscore':
+            candidates = inRange.filter(day => day.zScore !== null && day.zScore >= settings.zThreshold);
+            score = day => day.zScore;
+            break;
+        case 'percentile': {
+            const cutoff = getPercentileValue(inRange.map(day => day.value), settings.percentile);
+            candidates = inRange.filter(day => day.value >= cutoff);
+            break;
+        }
+        default:
+            candidates = inRange;
+    }
+
+    // Strongest first, skipping days too close to a stronger peak
+    const peaks = [];
+    const ranked = [...candidates].sort((a, b) => score(b) - score(a) || a.date.localeCompare(b.date));
+    for (const day of ranked) {
+        if (peaks.length >= settings.count) break;
+
+        const time = Date.parse(day.date);
+        const isNearby = peaks.some(peak => Math.abs(Date.parse(peak.date) - time) < settings.separation * PEAK_DAY_MS);
+        if (!isNearby) peaks.push(day);
+    }
+
+    return peaks;
+}
+
+/**
+ * One-line explanation of how a peak was found and how far above its baseline it was
+ * @param {Peak} peak
+ * @param {PeakOptions} options - The options it was detected with
+ * @param {string} language - 'en' or 'ar'
+ * @returns {string}
+ */
+function describePeak(peak, options, language) {
+    const settings = { ...PEAK_DEFAULTS, ...options };
+    const isArabic = language === 'ar';
+    const locale = isArabic ? 'ar-EG' : 'en-US';
+    const number = (value, digits = 1) => value.toLocaleString(locale, { maximumFractionDigits: digits });
+    const parts = [PEAK_STRATEGIES[peak.strategy][language]];
+
+    if (peak.strategy === 'zscore' && peak.zScore !== null) {
+        parts.push(`z = ${number(peak.zScore)}`);
+    } else if (peak.strategy === 'percentile') {
+        parts.push(isArabic ? `أعلى من المئين ${number(settings.percentile, 0)}` : `at or above the ${number(settings.percentile, 0)}th percentile`);
+    }
+
+    const windowDays = number(settings.window, 0);
+    if (peak.multiplier !== null) {
+        parts.push(isArabic
+            ? `${number(peak.multiplier)}× متوسط الأيام الـ${windowDays} السابقة`
+            : `${number(peak.multiplier)}× the average of the previous ${windowDays} days`);
+    } else if (peak.baseline !== null) {
+        parts.push(isArabic ? `بعد ${windowDays} يوماً بمتوسط صفر` : `after ${windowDays} days averaging zero`);
+    }
+
+    return parts.join(' · ');
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PEAK_STRATEGIES,
+        PEAK_DEFAULTS,
+        getRollingBaselines,
+        getPercentileValue,
+        detectPeaks,
+        describePeak
+    };
+}
@@ -0,0 +1,110 @@
+/**
+ * Precache Manifest
+ * The pages, styles and scripts the service worker (sw.js) downloads for
+ * offline use. Datasets are not listed here: the worker takes them from
+ * DATASET_SCHEMAS in dataStore.js. List only files in this repository; anything
+ * from another origin (map tiles, CDN scripts) is left to the network.
+ */
+
+const PRECACHE_MANIFEST = {
+    pages: [
+        './',
+        './index.html',
+        './intro.html',
+        './timeline.html',
+        './memorial.html',
+        './journalists.html',
+        './explorer.html',
+        './about.html',
+        './annotations.html'
+    ],
+
+    styles: [
+        './css/theme.css'
+    ],
+
+    scripts: [
+        './logic/calculations.js',
+        './logic/formatters.js',
+        './logic/relatability.js',
+        './js/timeline.js',
+        './js/components/annotationEditor.js',
+        './js/components/counters.js',
+        './js/components/memorial.js',
+        './js/components/memorialProfile.js',
+        './js/components/pressCard.js',
+        './js/components/pressFilters.js',
+        './js/components/pressRoll.js',
+        './js/components/regionDashboard.js',
+        './js/components/virtualGrid.js',
+        './js/logic/annotationCategories.js',
+        './js/logic/annotationValidator.js',
+        './js/logic/dataStore.js',
+        './js/logic/dataTable.js',
+        './js/logic/dataTableView.js',
+        './js/logic/dateRange.js',
+        './js/logic/extractors.js',
+        './js/logic/familyGroups.js',
+        './js/logic/heatmapData.js',
+        './js/logic/heatmapGrid.js',
+        './js/logic/journalistsMemorial.js',
+        './js/logic/languageManager.js',
+        './js/logic/memorial_context.js',
+        './js/logic/nameSearch.js',
+        './js/logic/offline.js',
+        './js/logic/peakDetection.js',
+        './js/logic/precacheManifest.js',
+        './js/logic/pressContext.js',
+        './js/logic/provenance.js',
+        './js/logic/seriesEngine.js',
+        './js/logic/sonification.js',
+        './js/logic/timelineChart.js',
+        './js/logic/timelineData.js',
+        './js/logic/timelineMetrics.js',
+        './js/logic/timelinePeaks.js',
+        './js/logic/timelineRail.js',
+        './js/logic/timelineSonification.js',
+        './js/logic/trucePeriods.js',
+        './js/types/press.js',
+        './js/workers/memorialWorker.js'
+    ]
+};
+
+/**
+ * Every URL to precache: the manifest followed by each declared dataset
+ * @param {Object} schemas - DATASET_SCHEMAS from dataStore.js
+ * @returns {string[]}
+ */
+function precacheUrls(schemas) {
+    const datasets = Object.values(schemas).map(definition => `./data/${definition.file}`);
+    return [
+        ...PRECACHE_MANIFEST.pages,
+        ...PRECACHE_MANIFEST.styles,
+        ...PRECACHE_MANIFEST.scripts,
+        ...datasets
+    ];
+}
+
+/**
+ * Short hash of the URL list, so the cache revision follows the manifest
+ * (32-bit FNV-1a, base 36)
+ * @param {string[]} urls
+ * @returns {string}
+ */
+function manifestRevision(urls) {
+    let hash = 0x811c9dc5;
+    for (const char of urls.join('\n')) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRECACHE_MANIFEST,
+        precacheUrls,
+        manifestRevision
+    };
+}
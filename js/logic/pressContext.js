@@ -29,8 +29,7 @@ class PressContextEngine {
      */
     async loadRules() {
         try {
-            const response = await fetch('./data/press_rules.json');
-            this.rules = await response.json();
+            this.rules = await window.dataStore.load('press_rules');
             console.log(`✅ Loaded ${this.rules.length} press context rules`);
         } catch (error) {
             console.error('❌ Failed to load press rules:', error);
@@ -0,0 +1,119 @@
+/**
+ * Data Provenance
+ * Pure helpers that explain where each day's value came from: which report,
+ * how the number was obtained, and by how much a running total was revised.
+ */
+
+// report_source values of casualties_daily.json; for the West Bank, 'un' for
+// flash updates and 'verified' for the verified figures
+const PROVENANCE_SOURCES = {
+    mohtel: { en: 'Ministry of Health (Telegram)', ar: 'وزارة الصحة (تيليجرام)' },
+    gmotel: { en: 'Government Media Office (Telegram)', ar: 'المكتب الإعلامي الحكومي (تيليجرام)' },
+    missing: { en: 'No official report that day', ar: 'لا يوجد تقرير رسمي في ذلك اليوم' },
+    un: { en: 'UN OCHA flash update', ar: 'تحديث أوتشا العاجل' },
+    verified: { en: 'UN OCHA verified figures', ar: 'أرقام أوتشا المُتحقق منها' }
+};
+
+const PROVENANCE_METHODS = {
+    reported: { en: 'Daily count as reported', ar: 'العدد اليومي كما ورد' },
+    derived: { en: 'Change in the running total', ar: 'الفرق في الإجمالي التراكمي' },
+    spread: { en: 'Share of a report covering several days', ar: 'حصة من تقرير يغطي عدة أيام' },
+    lumped: { en: 'Whole change since the previous report', ar: 'كامل التغير منذ التقرير السابق' },
+    revision: { en: 'Running total revised down', ar: 'تعديل الإجمالي التراكمي نزولاً' }
+};
+
+/**
+ * Describe how a series point was obtained
+ * @param {Object} point - SeriesPoint from seriesEngine.js
+ * @param {string} source - Source key for the date (see PROVENANCE_SOURCES)
+ * @returns {Object} - { date, source, method, spanDays, revision, cumulative }
+ */
+function describeProvenance(point, source) {
+    let method = point.derived ? 'derived' : 'reported';
+    if (point.correction) method = 'revision';
+    else if (point.spread) method = 'spread';
+    else if (point.spanDays > 1) method = 'lumped';
+
+    return {
+        date: point.date,
+        source: source || null,
+        method,
+        spanDays: point.spanDays,
+        revision: point.correction ? point.value : null,
+        cumulative: point.cumulative ?? null
+    };
+}
+
+/**
+ * One-line explanation of a provenance record
+ * @param {Object} provenance - From describeProvenance
+ * @param {string} language - 'en' or 'ar'
+ * @returns {string}
+ */
+function formatProvenance(provenance, language) {
+    const isArabic = language === 'ar';
+    const locale = isArabic ? 'ar-EG' : 'en-US';
+    const parts = [];
+
+    const source = PROVENANCE_SOURCES[provenance.source];
+    if (source) parts.push(source[language]);
+
+    parts.push(PROVENANCE_METHODS[provenance.method][language]);
+
+    if (provenance.spanDays > 1) {
+        const days = provenance.spanDays.toLocaleString(locale);
+        parts.push(isArabic ? `${days} أيام` : `${days} days`);
+    }
+    if (provenance.revision !== null) {
+        const delta = provenance.revision.toLocaleString(locale);
+        parts.push(isArabic ? `التعديل: ${delta}` : `revision: ${delta}`);
+    }
+
+    return parts.join(' · ');
+}
+
+/**
+ * Whether a provenance record belongs in the corrections log
+ */
+function isLoggedProvenance(provenance) {
+    return provenance.method === 'revision' || provenance.spanDays > 1;
+}
+
+/**
+ * Rows of the corrections log as CSV (English headings, ISO dates)
+ * @param {Object[]} rows - { date, region, metric, value, ...provenance }
+ * @returns {string}
+ */
+function correctionsToCsv(rows) {
+    const columns = ['date', 'region', 'metric', 'value', 'revision', 'cumulative', 'method', 'span_days', 'source'];
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = rows.map(row => [
+        row.date,
+        row.region,
+        row.metric,
+        row.value,
+        row.revision,
+        row.cumulative,
+        row.method,
+        row.spanDays,
+        row.source
+    ].map(escape).join(','));
+
+    return [columns.join(','), ...lines].join('\n');
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROVENANCE_SOURCES,
+        PROVENANCE_METHODS,
+        describeProvenance,
+        formatProvenance,
+        isLoggedProvenance,
+        correctionsToCsv
+    };
+}
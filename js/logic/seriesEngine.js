@@ -0,0 +1,207 @@
+/**
+ * Series Engine
+ * Pure functions that turn daily report records into one value per day for a
+ * single metric. Each cumulative field is diffed against its own previous
+ * value; reports covering several days are spread over them (or flagged), and
+ * downward revisions are kept as negative corrections instead of being hidden.
+ */
+
+const SERIES_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} SeriesPoint
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} value - The day's count; negative for a downward revision
+ * @property {number|null} cumulative - Running total reported on this date, if any
+ * @property {boolean} derived - Computed from a running total rather than reported as a daily count
+ * @property {string} reportDate - Date of the report the value comes from
+ * @property {number} spanDays - Days the underlying report covers
+ * @property {boolean} spread - Value is an even share of a multi-day report
+ * @property {boolean} correction - The running total went down
+ */
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+function shiftDate(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / SERIES_DAY_MS);
+}
+
+/**
+ * Split an integer count into `parts` near-equal integers that add up to it.
+ * Earlier days take the remainder.
+ */
+function splitEvenly(total, parts) {
+    const base = Math.floor(total / parts);
+    const remainder = total - base * parts;
+    return Array.from({ length: parts }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+/**
+ * Number of days a record's report covers, from its report period in hours.
+ * @returns {number|null} - 0 when the record carries no new report, null when unknown
+ */
+function reportSpan(record, periodField) {
+    const hours = periodField ? record[periodField] : undefined;
+    if (typeof hours !== 'number') return null;
+    return Math.round(hours / 24);
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Build the daily series of one metric
+ * @param {Object[]} records - Daily records with `report_date`
+ * @param {Object} source - { field, cumulative, daily? } (see timelineMetrics.js)
+ * @param {Object} [options]
+ * @param {string} [options.periodField] - Record field with the hours a report covers (e.g. 'report_period')
+ * @param {string} [options.multiDay='spread'] - 'spread' shares multi-day reports across their days;
+ *   'flag' keeps the whole amount on the report date
+ * @param {number} [options.maxSpreadDays=7] - Longer gaps are flagged even when spreading, rather
+ *   than inventing a flat run of values
+ * @param {boolean} [options.startsAtZero=true] - The first record's running totals count from zero;
+ *   a field that first appears later has no baseline, so its first value is skipped
+ * @returns {SeriesPoint[]} - Points in date order; days with nothing to report are absent
+ */
+function buildSeries(records, source, options = {}) {
+    const {
+        periodField = null,
+        multiDay = 'spread',
+        maxSpreadDays = 7,
+        startsAtZero = true
+    } = options;
+
+    const sorted = [...records].sort((a, b) => a.report_date.localeCompare(b.report_date));
+    const points = new Map();
+    let previous = null; // { date, cumulative } of the last observation, or the total a daily count implies
+    let lastEmitted = null; // Latest date with a point
+
+    const emit = (date, amount, reportedSpan, details) => {
+        // A report never reaches back over a day that already has a value
+        const spanDays = lastEmitted ? Math.max(Math.min(reportedSpan, daysBetween(lastEmitted, date)), 1) : reportedSpan;
+        lastEmitted = date;
+
+        const shouldSpread = multiDay === 'spread' && spanDays > 1 && spanDays <= maxSpreadDays && amount > 0;
+
+        if (!shouldSpread) {
+            points.set(date, { date, value: amount, reportDate: date, spanDays, spread: false, ...details });
+            return;
+        }
+
+        const shares = splitEvenly(amount, spanDays);
+        shares.forEach((share, i) => {
+            const day = shiftDate(date, i - spanDays + 1);
+            const isReportDate = day === date;
+            points.set(day, {
+                date: day,
+                value: share,
+                reportDate: date,
+                spanDays,
+                spread: true,
+                ...details,
+                cumulative: isReportDate ? details.cumulative : null
+            });
+        });
+    };
+
+    sorted.forEach((record, index) => {
+        const date = record.report_date;
+        const span = reportSpan(record, periodField);
+
+        // Carried-over record with no new report
+        if (span === 0) return;
+
+        const current = record[source.field];
+        const baseline = previous
+            ? previous.cumulative
+            : (startsAtZero && index === 0 ? 0 : null);
+
+        // The running total is the published figure: a daily count that
+        // disagrees with it gives way, so the series adds up to that total
+        let daily = source.daily ? record[source.daily] : undefined;
+        if (hasValue(daily) && source.cumulative && hasValue(current) && baseline !== null && current - baseline !== daily) {
+            daily = undefined;
+        }
+
+        if (hasValue(daily)) {
+            emit(date, daily, span || 1, {
+                cumulative: source.cumulative && hasValue(current) ? current : null,
+                derived: false,
+                correction: daily < 0
+            });
+
+            // A daily count with no running total still moves the running total on,
+            // so the next cumulative figure isn't measured across it again
+            if (source.cumulative && !hasValue(current) && baseline !== null) {
+                previous = { date, cumulative: baseline + daily };
+            }
+        } else if (hasValue(current) && !source.cumulative) {
+            emit(date, current, span || 1, { cumulative: null, derived: false, correction: current < 0 });
+        } else if (hasValue(current)) {
+            if (baseline !== null) {
+                const amount = current - baseline;
+                const gapDays = previous ? daysBetween(previous.date, date) : 1;
+                emit(date, amount, Math.max(gapDays, span || 1), {
+                    cumulative: current,
+                    derived: true,
+                    correction: amount < 0
+                });
+            }
+        }
+
+        if (source.cumulative && hasValue(current)) {
+            previous = { date, cumulative: current };
+        }
+    });
+
+    return [...points.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Index a series by date
+ * @param {SeriesPoint[]} points
+ * @returns {Map<string, SeriesPoint>}
+ */
+function indexSeries(points) {
+    return new Map(points.map(point => [point.date, point]));
+}
+
+/**
+ * Whether a point needs a "not a plain daily report" marker in the UI
+ */
+function isAdjustedPoint(point) {
+    return point.correction || point.spanDays > 1;
+}
+
+/**
+ * Whether a point only records that the running total did not move. Sparse
+ * totals are often repeated unchanged between updates, so such a zero means
+ * "no update", not "nobody was counted that day".
+ */
+function isUnchangedTotal(point) {
+    return point.derived && !point.spread && point.value === 0;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        shiftDate,
+        daysBetween,
+        splitEvenly,
+        buildSeries,
+        indexSeries,
+        isAdjustedPoint,
+        isUnchangedTotal
+    };
+}
@@ -0,0 +1,122 @@
+/**
+ * Sonification
+ * Pure helpers that turn the daily casualty series into a score for the audio
+ * rendering of the timeline: one step per calendar day, with the day's count
+ * heard as pitch or as a number of clicks, and the month announced when it
+ * changes. Days without a report are silent steps, so time in the score is
+ * proportional to time on the calendar.
+ */
+
+/**
+ * @typedef {Object} SonificationEvent
+ * @property {number} index - Days since the start of the series
+ * @property {string} date - YYYY-MM-DD
+ * @property {number|null} value - The day's count; null when nothing was reported
+ * @property {number} time - Seconds from the start of the score
+ * @property {number|null} frequency - Hz in pitch mode; null for a silent day
+ * @property {number} clicks - Clicks in density mode; 0 for a silent day
+ * @property {boolean} announce - First day of the series or of a month
+ */
+
+const SONIFICATION_MODES = {
+    pitch: { en: 'Pitch', ar: 'طبقة الصوت' },
+    density: { en: 'Clicks', ar: 'نقرات' }
+};
+
+const SONIFICATION_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seconds per day, pitch range in Hz (two octaves), and clicks for the worst day
+const SONIFICATION_DEFAULTS = {
+    dayDuration: 0.12,
+    minFrequency: 220,
+    maxFrequency: 880,
+    maxClicks: 8
+};
+
+/**
+ * A value as a share of the series maximum, on the square-root scale the heat
+ * map colors use, so quieter days stay distinguishable
+ * @param {number} value
+ * @param {number} max
+ * @returns {number} - 0 to 1; 0 for zero days and downward revisions
+ */
+function scaleSonificationValue(value, max) {
+    if (value <= 0 || max <= 0) return 0;
+    return Math.sqrt(Math.min(value / max, 1));
+}
+
+/**
+ * Build the score for a daily series
+ * @param {Object[]} days - { date, killed } in date order, as getDataForMetric returns them
+ * @param {Object} [options] - Overrides of SONIFICATION_DEFAULTS
+ * @returns {{events: SonificationEvent[], duration: number}} - One event per calendar day
+ *   from the first date to the last
+ */
+function buildSonificationScore(days, options = {}) {
+    if (!days.length) return { events: [], duration: 0 };
+
+    const settings = { ...SONIFICATION_DEFAULTS, ...options };
+    const max = Math.max(0, ...days.map(day => day.killed));
+    const octaves = Math.log2(settings.maxFrequency / settings.minFrequency);
+
+    const counts = new Map(days.map(day => [day.date, day.killed]));
+    const start = Date.parse(`${days[0].date}T00:00:00Z`);
+    const end = Date.parse(`${days[days.length - 1].date}T00:00:00Z`);
+    const dayCount = Math.round((end - start) / SONIFICATION_DAY_MS) + 1;
+
+    const events = Array.from({ length: dayCount }, (_, index) => {
+        const date = new Date(start + index * SONIFICATION_DAY_MS).toISOString().slice(0, 10);
+        const value = counts.has(date) ? counts.get(date) : null;
+        const level = value === null ? 0 : scaleSonificationValue(value, max);
+
+        return {
+            index,
+            date,
+            value,
+            time: index * settings.dayDuration,
+            // Equal steps of level are equal musical intervals
+            frequency: level > 0 ? settings.minFrequency * 2 ** (level * octaves) : null,
+            clicks: level > 0 ? Math.max(1, Math.round(level * settings.maxClicks)) : 0,
+            announce: index === 0 || date.endsWith('-01')
+        };
+    });
+
+    return { events, duration: dayCount * settings.dayDuration };
+}
+
+/**
+ * Index of the first event on or after a date
+ * @param {SonificationEvent[]} events
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {number} - The last index when the date is past the end; -1 without events
+ */
+function findSonificationIndex(events, dateStr) {
+    const index = events.findIndex(event => event.date >= dateStr);
+    return index === -1 ? events.length - 1 : index;
+}
+
+/**
+ * Month announced at a month boundary, e.g. "October 2023"
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} language - 'en' or 'ar'
+ * @returns {string}
+ */
+function formatSpokenMonth(dateStr, language) {
+    return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString(language === 'ar' ? 'ar-EG' : 'en-US', {
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SONIFICATION_MODES,
+        SONIFICATION_DEFAULTS,
+        scaleSonificationValue,
+        buildSonificationScore,
+        findSonificationIndex,
+        formatSpokenMonth
+    };
+}
@@ -3,6 +3,60 @@
  * Renders the main daily casualties chart using HTML5 Canvas
  */
 
+// How the daily series can be binned
+const CHART_GRANULARITIES = ['daily', 'weekly', 'monthly', 'cumulative'];
+
+// Month label spacing options, in months
+const CHART_LABEL_STEPS = [1, 2, 3, 6, 12];
+const CHART_LABEL_WIDTH = 64;
+
+// Time axis intervals, finest first; the finest whose labels fit the visible
+// range is used
+const CHART_TICK_INTERVALS = [
+    { unit: 'day', step: 1 },
+    { unit: 'day', step: 2 },
+    { unit: 'week', step: 1 },
+    { unit: 'week', step: 2 },
+    ...CHART_LABEL_STEPS.map(step => ({ unit: 'month', step }))
+];
+
+const CHART_DAY_MS = 1000 * 60 * 60 * 24;
+
+// Narrowest zoom, and the height of the overview strip under the chart
+const CHART_MIN_VIEW_DAYS = 7;
+const CHART_OVERVIEW_HEIGHT = 48;
+
+// Overlays drawn over the daily view. Colors are CSS custom properties
+// (css/theme.css) with fallbacks; dash patterns keep lines apart without color.
+const CHART_OVERLAYS = {
+    ma7: { type: 'average', window: 7, color: '--chart-ma7', fallback: '#2563EB', dash: [] },
+    ma14: { type: 'average', window: 14, color: '--chart-ma14', fallback: '#7C3AED', dash: [8, 4] },
+    ma30: { type: 'average', window: 30, color: '--chart-ma30', fallback: '#0891B2', dash: [14, 4, 2, 4] },
+    trend: { type: 'trend', window: 30, color: '--chart-trend', fallback: '#EA580C', dash: [2, 4] },
+    peaks: { type: 'peaks', color: '--chart-peaks', fallback: '#DB2777' }
+};
+
+// Tooltip prefix for a day inside a truce period
+const CHART_TRUCE_PREFIX = { en: 'During:', ar: 'خلال:' };
+
+const CHART_TREND_DIRECTIONS = {
+    increasing: { en: 'increasing', ar: 'تصاعدي' },
+    decreasing: { en: 'decreasing', ar: 'تنازلي' },
+    stable: { en: 'stable', ar: 'مستقر' }
+};
+
+// Screen-reader description of the canvas
+const CHART_ARIA_LABEL = {
+    en: 'Casualties over time chart. Use the left and right arrow keys to step through the points, hold Shift to select a date range, and press plus, minus or zero to zoom in, out or back.',
+    ar: 'مخطط الضحايا عبر الزمن. استخدم مفتاحي السهم الأيمن والأيسر للتنقل بين النقاط، واضغط Shift مع الأسهم لتحديد فترة، واضغط زائد أو ناقص أو صفر للتكبير أو التصغير أو الرجوع.'
+};
+
+// Canvas fonts; Arabic text falls back to the page's Arabic face
+const CHART_FONTS = {
+    en: 'Inter',
+    ar: '"Noto Sans Arabic", Inter'
+};
+
 class TimelineChart {
     constructor(containerId, dataProcessor) {
         this.container = document.getElementById(containerId);
@@ -10,10 +64,22 @@ class TimelineChart {
         this.canvas = null;
         this.ctx = null;
         this.data = [];
+        this.dailyData = [];
+        this.granularity = 'daily';
+        this.overlays = new Set();
+        this.calculations = new Calculations();
         this.currentMetric = 'all';
         this.currentSource = 'official';
         this.hoveredDate = null;
         this.pinnedDate = null;
+        this.selectedRange = null;
+        this.view = null;
+        this.pan = null;
+        this.pinch = null;
+        this.overviewDrag = null;
+        this.brush = null;
+        this.keyboardAnchor = null;
+        this.suppressClick = false;
         this.isInitialized = false;
         
         // Chart dimensions and margins
@@ -54,56 +120,282 @@ class TimelineChart {
         this.canvas.style.height = '100%';
         this.canvas.style.display = 'block';
         
+        // Focusable so the arrow keys can step through the points
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('role', 'img');
+        this.canvas.setAttribute('aria-label', CHART_ARIA_LABEL[this.getLanguage()]);
+        
         this.container.appendChild(this.canvas);
         this.ctx = this.canvas.getContext('2d');
+        
+        // Overview strip: the whole period, with the zoomed window marked
+        this.overview = document.createElement('canvas');
+        this.overview.className = 'chart-overview';
+        this.overview.style.display = 'block';
+        this.overview.setAttribute('aria-hidden', 'true');
+        
+        this.container.appendChild(this.overview);
+        this.overviewCtx = this.overview.getContext('2d');
     }
 
     /**
      * Setup event listeners
      */
     setupEventListeners() {
-        // Resize handling
+        // Resize handling, including moves to a screen with another pixel ratio
         window.addEventListener('resize', () => this.resize());
+        this.watchPixelRatio();
         
         // Mouse interactions
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
         this.canvas.addEventListener('click', (e) => this.handleClick(e));
         
+        // Drag across the chart to select a date range, or to pan when zoomed in
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        
+        // Wheel zoom
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        
+        // Dragging the overview pans
+        this.overview.addEventListener('mousedown', (e) => this.handleOverviewMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.handleOverviewMouseMove(e));
+        window.addEventListener('mouseup', () => {
+            this.overviewDrag = null;
+        });
+        
         // Touch interactions for mobile
         this.canvas.addEventListener('touchstart', (e) => this.handleTouch(e));
         this.canvas.addEventListener('touchmove', (e) => this.handleTouch(e));
-        this.canvas.addEventListener('touchend', () => this.handleMouseLeave());
+        this.canvas.addEventListener('touchend', (e) => {
+            if (e.touches.length < 2) this.pinch = null;
+            if (e.touches.length === 0) this.handleMouseLeave();
+        });
+        
+        // Keyboard interactions
+        this.canvas.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.canvas.addEventListener('blur', () => this.handleMouseLeave());
     }
 
     /**
      * Handle canvas resize
      */
     resize() {
-        const rect = this.container.getBoundingClientRect();
-        this.width = rect.width;
-        this.height = rect.height;
-        
-        // Set canvas resolution
-        this.canvas.width = this.width * window.devicePixelRatio;
-        this.canvas.height = this.height * window.devicePixelRatio;
-        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        // Inside the border, so setting the canvas size doesn't grow the container
+        this.width = this.container.clientWidth;
+        this.height = Math.max(this.container.clientHeight - CHART_OVERVIEW_HEIGHT, 0);
         
-        // Update canvas style dimensions
-        this.canvas.style.width = this.width + 'px';
-        this.canvas.style.height = this.height + 'px';
+        this.sizeCanvas(this.canvas, this.ctx, this.width, this.height);
+        this.sizeCanvas(this.overview, this.overviewCtx, this.width, CHART_OVERVIEW_HEIGHT);
         
         this.render();
     }
 
+    /**
+     * Match a canvas's backing store to the device pixel ratio so it stays crisp
+     */
+    sizeCanvas(canvas, ctx, width, height) {
+        const ratio = window.devicePixelRatio || 1;
+        
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        
+        // Resizing resets the context; set the scale rather than compounding it
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    /**
+     * Redraw at the new resolution when the pixel ratio changes (browser zoom,
+     * or a window moved to another screen)
+     */
+    watchPixelRatio() {
+        if (!window.matchMedia) return;
+        
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.resize();
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+
     /**
      * Update chart data and render
      */
     updateData(metric, source) {
         this.currentMetric = metric;
         this.currentSource = source;
-        this.data = this.dataProcessor.getDataForMetric(metric, source);
+        this.dailyData = this.dataProcessor.getDataForMetric(metric, source);
+        this.data = this.binData(this.dailyData);
+        this.view = this.clampView(this.view);
+        this.render();
+    }
+
+    /**
+     * Switch between daily, weekly, monthly and cumulative views
+     * @param {string} granularity - One of CHART_GRANULARITIES
+     */
+    setGranularity(granularity) {
+        if (!CHART_GRANULARITIES.includes(granularity) || granularity === this.granularity) return;
+        
+        this.granularity = granularity;
+        this.data = this.binData(this.dailyData);
+        this.view = this.clampView(this.view);
+        
+        // Dates of the old bins don't exist in the new ones
+        this.hoveredDate = null;
+        this.pinnedDate = null;
+        this.render();
+        
+        console.log(`📊 Chart granularity updated to: ${granularity}`);
+    }
+
+    /**
+     * Re-bin the daily series for the current granularity
+     * @param {Object[]} dailyData - Days with `date` and `killed`
+     * @returns {Object[]} - Points with `date` and `killed`; weekly and monthly
+     *   points also carry `days`, `average` and `change` (% vs the previous period)
+     */
+    binData(dailyData) {
+        if (this.granularity === 'daily') return dailyData;
+        
+        if (this.granularity === 'cumulative') {
+            // Prefer the running total a report states; daily counts don't
+            // always add up to it
+            let total = 0;
+            return dailyData.map(day => {
+                const reported = day.provenance ? day.provenance.cumulative : null;
+                total = reported ?? total + day.killed;
+                return { ...day, daily: day.killed, killed: total };
+            });
+        }
+        
+        const periods = this.calculations.groupByPeriod(
+            dailyData.map(day => ({ report_date: day.date, killed: day.killed })),
+            this.granularity
+        );
+        
+        return periods.map((period, index) => {
+            const previous = periods[index - 1];
+            return {
+                // Points sit at the start of their week or month
+                date: this.granularity === 'monthly' ? `${period.period}-01` : period.period,
+                killed: period.killed,
+                days: period.days,
+                average: period.killed / period.days,
+                change: previous && previous.killed !== 0
+                    ? this.calculations.calculateRateOfChange(period.killed, previous.killed)
+                    : null,
+                corrected: false
+            };
+        });
+    }
+
+    /**
+     * Turn an overlay on or off
+     * @param {string} key - Key of CHART_OVERLAYS
+     * @returns {boolean} - Whether the overlay is now shown
+     */
+    toggleOverlay(key) {
+        if (!CHART_OVERLAYS[key]) return false;
+        
+        if (this.overlays.has(key)) {
+            this.overlays.delete(key);
+        } else {
+            this.overlays.add(key);
+        }
         this.render();
+        
+        return this.overlays.has(key);
+    }
+
+    /**
+     * Overlays are computed over days, so they're only drawn in the daily view
+     */
+    canShowOverlays() {
+        return this.granularity === 'daily';
+    }
+
+    /**
+     * Color of an overlay, from its CSS custom property
+     */
+    getOverlayColor(key) {
+        const overlay = CHART_OVERLAYS[key];
+        const color = getComputedStyle(this.container).getPropertyValue(overlay.color).trim();
+        return color || overlay.fallback;
+    }
+
+    /**
+     * Plotted values by timestamp, for windows measured in calendar days. A day
+     * without a point counts as zero: its count is in the next report's total.
+     */
+    getValuesByTime() {
+        if (this.valuesByTimeSource !== this.data) {
+            this.valuesByTimeSource = this.data;
+            this.valuesByTime = new Map(this.data.map(d => [Date.parse(d.date), d.killed]));
+        }
+        return this.valuesByTime;
+    }
+
+    /**
+     * Values of the `days` calendar days ending at a date, oldest first
+     * @returns {number[]|null} - null when the window starts before the data does
+     */
+    getWindowValues(endDate, days) {
+        if (!this.data.length) return null;
+        
+        const end = Date.parse(endDate);
+        const start = end - (days - 1) * CHART_DAY_MS;
+        if (start < Date.parse(this.data[0].date)) return null;
+        
+        const values = this.getValuesByTime();
+        return Array.from({ length: days }, (_, i) => values.get(start + i * CHART_DAY_MS) || 0);
+    }
+
+    /**
+     * Moving average over calendar days at each plotted point. Points without a
+     * full window of days before them are left out (null).
+     */
+    getMovingAverage(windowSize) {
+        return this.data.map(day => {
+            const values = this.getWindowValues(day.date, windowSize);
+            if (!values) return null;
+            return this.calculations.roundToPrecision(values.reduce((sum, v) => sum + v, 0) / windowSize, 1);
+        });
+    }
+
+    /**
+     * Linear trend over the calendar days ending at a point; the slope is per day
+     * @param {number} endIndex - Index into this.data
+     * @returns {Object|null} - { startDate, endDate, slope, intercept, direction }
+     */
+    getTrend(endIndex) {
+        const { window: days } = CHART_OVERLAYS.trend;
+        const endDate = this.data[endIndex]?.date;
+        const values = endDate ? this.getWindowValues(endDate, days) : null;
+        if (!values) return null;
+        
+        const { direction, slope } = this.calculations.calculateTrend(values.map(killed => ({ killed })), days);
+        const meanY = values.reduce((sum, value) => sum + value, 0) / days;
+        
+        return {
+            startDate: new Date(Date.parse(endDate) - (days - 1) * CHART_DAY_MS).toISOString().slice(0, 10),
+            endDate,
+            slope,
+            // Regression line passes through the means
+            intercept: meanY - slope * (days - 1) / 2,
+            direction
+        };
+    }
+
+    /**
+     * The peak days the peak cards show (same detection options and range)
+     * @returns {Object[]} - Peaks from peakDetection.js
+     */
+    getPeaks() {
+        return this.dataProcessor.getPeaks();
     }
 
     /**
@@ -128,6 +420,8 @@ class TimelineChart {
     render() {
         if (!this.isInitialized || !this.data.length) return;
 
+        this.canvas.setAttribute('aria-label', CHART_ARIA_LABEL[this.getLanguage()]);
+
         // Clear canvas
         this.ctx.clearRect(0, 0, this.width, this.height);
         
@@ -138,37 +432,127 @@ class TimelineChart {
         // Find data bounds
         const bounds = this.calculateBounds();
         
-        // Draw chart
+        // Draw chart; when zoomed in, points outside the view are clipped
         this.drawGrid(chartWidth, chartHeight, bounds);
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(this.margin.left, 0, chartWidth, this.margin.top + chartHeight);
+        this.ctx.clip();
+        this.drawTruceBands(chartWidth, chartHeight, bounds);
+        this.drawSelection(chartWidth, chartHeight, bounds);
         this.drawData(chartWidth, chartHeight, bounds);
+        this.drawAnnotationMarkers(chartWidth, chartHeight, bounds);
+        if (this.pinnedDate && this.isDateVisible(this.pinnedDate, bounds)) {
+            this.drawPinnedIndicator(chartWidth, chartHeight, bounds);
+        }
+        this.ctx.restore();
         this.drawAxes(chartWidth, chartHeight, bounds);
-        this.drawLabels(chartWidth, chartHeight);
+        this.drawLabels(chartWidth, chartHeight, bounds);
         
         // Draw interactions
-        if (this.hoveredDate) {
+        if (this.hoveredDate && this.isDateVisible(this.hoveredDate, bounds)) {
             this.drawHoverIndicator(chartWidth, chartHeight, bounds);
         }
         
-        if (this.pinnedDate) {
-            this.drawPinnedIndicator(chartWidth, chartHeight, bounds);
-        }
+        this.renderOverview();
     }
 
     /**
-     * Calculate data bounds
+     * Calculate data bounds: the zoomed view, or every point, with the y range
+     * fitted to the visible points
      */
     calculateBounds() {
-        const dates = this.data.map(d => new Date(d.date));
-        const killed = this.data.map(d => d.killed);
+        const { xMin, xMax } = this.view || this.getExtent();
+        const visible = this.data.filter(d => this.isDateVisible(d.date, { xMin, xMax }));
+        const killed = (visible.length ? visible : this.data).map(d => d.killed);
         
         return {
-            xMin: Math.min(...dates),
-            xMax: Math.max(...dates),
-            yMin: 0,
-            yMax: Math.max(...killed) * 1.1 // Add 10% padding
+            xMin: xMin,
+            xMax: xMax,
+            yMin: Math.min(0, ...killed), // Downward revisions dip below zero
+            yMax: Math.max(1, ...killed) * 1.1 // Add 10% padding
         };
     }
 
+    /**
+     * Time span of all points
+     * @returns {Object} - { xMin, xMax } timestamps
+     */
+    getExtent() {
+        const dates = this.data.map(d => Date.parse(d.date));
+        return { xMin: Math.min(...dates), xMax: Math.max(...dates) };
+    }
+
+    /**
+     * Whether a date is inside the x range of some bounds
+     */
+    isDateVisible(dateStr, bounds) {
+        const time = Date.parse(dateStr);
+        return time >= bounds.xMin && time <= bounds.xMax;
+    }
+
+    /**
+     * Keep a view inside the data and no narrower than CHART_MIN_VIEW_DAYS
+     * @param {Object|null} view - { xMin, xMax } timestamps
+     * @returns {Object|null} - null when the view covers every point
+     */
+    clampView(view) {
+        if (!view || !this.data.length) return null;
+        
+        const extent = this.getExtent();
+        const fullSpan = extent.xMax - extent.xMin;
+        const span = Math.max(view.xMax - view.xMin, CHART_MIN_VIEW_DAYS * CHART_DAY_MS);
+        if (span >= fullSpan) return null;
+        
+        const xMin = Math.min(Math.max(view.xMin, extent.xMin), extent.xMax - span);
+        return { xMin: xMin, xMax: xMin + span };
+    }
+
+    /**
+     * Show a time window, clamped to the data
+     * @param {Object|null} view - { xMin, xMax } timestamps, or null for everything
+     */
+    setView(view) {
+        const wasZoomed = this.isZoomed();
+        this.view = this.clampView(view);
+        this.render();
+        
+        if (wasZoomed !== this.isZoomed()) {
+            this.container.dispatchEvent(new CustomEvent('zoomChanged', {
+                detail: { zoomed: this.isZoomed() }
+            }));
+        }
+    }
+
+    /**
+     * Whether the chart shows less than every point
+     */
+    isZoomed() {
+        return this.view !== null;
+    }
+
+    /**
+     * Zoom around an x position
+     * @param {number} x - Canvas x of the point that stays put
+     * @param {number} factor - Below 1 zooms in, above 1 zooms out
+     */
+    zoomAt(x, factor) {
+        const bounds = this.calculateBounds();
+        const anchor = this.timeAtX(x, bounds);
+        
+        this.setView({
+            xMin: anchor - (anchor - bounds.xMin) * factor,
+            xMax: anchor + (bounds.xMax - anchor) * factor
+        });
+    }
+
+    /**
+     * Show every point again
+     */
+    resetZoom() {
+        this.setView(null);
+    }
+
     /**
      * Draw grid lines
      */
@@ -187,9 +571,8 @@ class TimelineChart {
             this.ctx.stroke();
         }
         
-        // Vertical grid lines (monthly)
-        const months = this.getMonthBoundaries(bounds.xMin, bounds.xMax);
-        months.forEach(date => {
+        // Vertical grid lines (at the labelled dates)
+        this.getTimeTicks(chartWidth, bounds).dates.forEach(date => {
             const x = this.margin.left + this.xScale(date, bounds.xMin, bounds.xMax, chartWidth);
             this.ctx.beginPath();
             this.ctx.moveTo(x, this.margin.top);
@@ -200,33 +583,200 @@ class TimelineChart {
         this.ctx.setLineDash([]);
     }
 
+    /**
+     * Page language, for the text drawn on the canvas
+     */
+    getLanguage() {
+        return document.documentElement.getAttribute('lang') === 'ar' ? 'ar' : 'en';
+    }
+
+    /**
+     * Get truce periods from the data processor, if it has them
+     */
+    getTrucePeriods() {
+        return this.dataProcessor.getTrucePeriods ? this.dataProcessor.getTrucePeriods() : [];
+    }
+
+    /**
+     * Shade truce and ceasefire periods behind the data
+     */
+    drawTruceBands(chartWidth, chartHeight, bounds) {
+        const style = getComputedStyle(this.container);
+        const fill = style.getPropertyValue('--chart-truce').trim() || 'rgba(5, 150, 105, 0.12)';
+        const edge = style.getPropertyValue('--chart-truce-edge').trim() || '#059669';
+        const dayMs = 1000 * 60 * 60 * 24;
+        const language = this.getLanguage();
+        const isArabic = language === 'ar';
+        
+        this.getTrucePeriods().forEach(period => {
+            // The band covers the whole of its last day
+            const start = Math.max(Date.parse(period.start), bounds.xMin);
+            const end = Math.min(Date.parse(period.end) + dayMs, bounds.xMax);
+            if (start >= end) return;
+            
+            const x1 = this.margin.left + this.xScale(start, bounds.xMin, bounds.xMax, chartWidth);
+            const x2 = this.margin.left + this.xScale(end, bounds.xMin, bounds.xMax, chartWidth);
+            
+            this.ctx.fillStyle = fill;
+            this.ctx.fillRect(x1, this.margin.top, Math.max(x2 - x1, 2), chartHeight);
+            
+            // Label only when it fits inside the band; Arabic reads from its right edge
+            this.ctx.font = `11px ${CHART_FONTS[language]}`;
+            const label = period.label[language];
+            if (this.ctx.measureText(label).width + 8 <= x2 - x1) {
+                this.ctx.fillStyle = edge;
+                this.ctx.textAlign = isArabic ? 'right' : 'left';
+                this.ctx.textBaseline = 'top';
+                this.ctx.fillText(label, isArabic ? x2 - 4 : x1 + 4, this.margin.top + 4);
+            }
+        });
+    }
+
+    /**
+     * Get the annotations passing the category filter, if the data processor has them
+     */
+    getAnnotations() {
+        return this.dataProcessor.getAnnotations ? this.dataProcessor.getAnnotations() : [];
+    }
+
+    /**
+     * Mark annotated days with their category's icon along the x-axis
+     */
+    drawAnnotationMarkers(chartWidth, chartHeight, bounds) {
+        this.ctx.fillStyle = '#374151';
+        this.ctx.font = '11px Inter';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        
+        this.getAnnotations().forEach(annotation => {
+            const time = Date.parse(annotation.date);
+            if (time < bounds.xMin || time > bounds.xMax) return;
+            
+            const x = this.margin.left + this.xScale(time, bounds.xMin, bounds.xMax, chartWidth);
+            this.ctx.fillText(getAnnotationIcon(annotation), x, this.margin.top + chartHeight - 3);
+        });
+    }
+
+    /**
+     * Show a selected date range (dateRange.js), or clear it with null
+     */
+    setSelectedRange(range) {
+        this.selectedRange = range;
+        this.render();
+    }
+
+    /**
+     * Shade the range being brushed, or else the selected range
+     */
+    drawSelection(chartWidth, chartHeight, bounds) {
+        const range = this.brush
+            ? createDateRange(this.brush.anchor, this.brush.current)
+            : this.selectedRange;
+        if (!range) return;
+        
+        // The band covers the whole of its last day
+        const dayMs = 1000 * 60 * 60 * 24;
+        const start = Math.max(Date.parse(range.start), bounds.xMin);
+        const end = Math.min(Date.parse(range.end) + dayMs, bounds.xMax);
+        if (start > end) return;
+        
+        const x1 = this.margin.left + this.xScale(start, bounds.xMin, bounds.xMax, chartWidth);
+        const x2 = this.margin.left + this.xScale(end, bounds.xMin, bounds.xMax, chartWidth);
+        
+        this.ctx.fillStyle = 'rgba(55, 65, 81, 0.1)';
+        this.ctx.fillRect(x1, this.margin.top, Math.max(x2 - x1, 2), chartHeight);
+        
+        this.ctx.strokeStyle = '#374151';
+        this.ctx.lineWidth = 1;
+        [x1, x2].forEach(x => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, this.margin.top);
+            this.ctx.lineTo(x, this.margin.top + chartHeight);
+            this.ctx.stroke();
+        });
+    }
+
     /**
      * Get month boundaries for grid
+     * @param {number} startDate - Timestamp of the first point
+     * @param {number} endDate - Timestamp of the last point
+     * @param {number} [step=1] - Months between boundaries, counted from January
+     * @returns {Date[]} - First days of months (UTC) within the range
      */
-    getMonthBoundaries(startDate, endDate) {
+    getMonthBoundaries(startDate, endDate, step = 1) {
         const boundaries = [];
-        const current = new Date(startDate);
-        current.setDate(1);
+        const start = new Date(startDate);
+        const current = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+        
+        // First boundary inside the range, on a step-aligned month
+        while (current < start || current.getUTCMonth() % step !== 0) {
+            current.setUTCMonth(current.getUTCMonth() + 1);
+        }
         
         while (current <= endDate) {
             boundaries.push(new Date(current));
-            current.setMonth(current.getMonth() + 1);
+            current.setUTCMonth(current.getUTCMonth() + step);
         }
         
         return boundaries;
     }
 
+    /**
+     * Get day boundaries, aligned so that week steps fall on Mondays
+     * @param {number} startDate - Timestamp of the first point
+     * @param {number} endDate - Timestamp of the last point
+     * @param {number} step - Days between boundaries
+     * @returns {Date[]} - UTC midnights within the range
+     */
+    getDayBoundaries(startDate, endDate, step) {
+        const boundaries = [];
+        
+        // Day 4 after the epoch (1970-01-05) was a Monday
+        let day = Math.ceil(startDate / CHART_DAY_MS);
+        while ((day - 4) % step !== 0) day++;
+        
+        for (; day * CHART_DAY_MS <= endDate; day += step) {
+            boundaries.push(new Date(day * CHART_DAY_MS));
+        }
+        
+        return boundaries;
+    }
+
+    /**
+     * Dates for the x-axis labels and grid lines, in days, weeks or months
+     * depending on how much of the series is visible
+     * @returns {Object} - { unit: 'day'|'week'|'month', dates: Date[] }
+     */
+    getTimeTicks(chartWidth, bounds) {
+        const visibleDays = (bounds.xMax - bounds.xMin) / CHART_DAY_MS;
+        const unitDays = { day: 1, week: 7, month: 30.44 };
+        const interval = CHART_TICK_INTERVALS.find(candidate =>
+            visibleDays / (unitDays[candidate.unit] * candidate.step) * CHART_LABEL_WIDTH <= chartWidth
+        ) || CHART_TICK_INTERVALS[CHART_TICK_INTERVALS.length - 1];
+        
+        const dates = interval.unit === 'month'
+            ? this.getMonthBoundaries(bounds.xMin, bounds.xMax, interval.step)
+            : this.getDayBoundaries(bounds.xMin, bounds.xMax, interval.step * (interval.unit === 'week' ? 7 : 1));
+        
+        return { unit: interval.unit, dates };
+    }
+
     /**
      * Draw data line
      */
     drawData(chartWidth, chartHeight, bounds) {
         if (this.data.length < 2) return;
         
-        this.ctx.strokeStyle = '#DC2626';
+        this.ctx.strokeStyle = getTimelineMetric(this.currentMetric).color;
         this.ctx.lineWidth = 2;
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
         
+        // Fade the raw values behind the averages
+        const showsAverages = this.canShowOverlays() &&
+            [...this.overlays].some(key => CHART_OVERLAYS[key].type === 'average');
+        this.ctx.globalAlpha = showsAverages ? 0.35 : 1;
+        
         this.ctx.beginPath();
         
         this.data.forEach((day, index) => {
@@ -244,13 +794,107 @@ class TimelineChart {
         
         // Draw data points
         this.drawDataPoints(chartWidth, chartHeight, bounds);
+        this.ctx.globalAlpha = 1;
+        
+        if (this.canShowOverlays()) {
+            this.drawOverlays(chartWidth, chartHeight, bounds);
+        }
+    }
+
+    /**
+     * Draw the enabled overlays
+     */
+    drawOverlays(chartWidth, chartHeight, bounds) {
+        const pointAt = (date, value) => ({
+            x: this.margin.left + this.xScale(new Date(date), bounds.xMin, bounds.xMax, chartWidth),
+            y: this.margin.top + this.yScale(value, bounds.yMin, bounds.yMax, chartHeight)
+        });
+        
+        Object.keys(CHART_OVERLAYS).filter(key => this.overlays.has(key)).forEach(key => {
+            const overlay = CHART_OVERLAYS[key];
+            const color = this.getOverlayColor(key);
+            
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash(overlay.dash || []);
+            
+            if (overlay.type === 'average') {
+                this.ctx.beginPath();
+                let started = false;
+                this.getMovingAverage(overlay.window).forEach((value, index) => {
+                    if (value === null) return;
+                    const { x, y } = pointAt(this.data[index].date, value);
+                    if (started) {
+                        this.ctx.lineTo(x, y);
+                    } else {
+                        this.ctx.moveTo(x, y);
+                        started = true;
+                    }
+                });
+                this.ctx.stroke();
+            }
+            
+            if (overlay.type === 'trend') {
+                // Follows the hovered day, so the window can be moved along the chart
+                const hoveredIndex = this.data.findIndex(d => d.date === this.hoveredDate);
+                const trend = this.getTrend(hoveredIndex >= 0 ? hoveredIndex : this.data.length - 1);
+                if (trend) {
+                    const start = pointAt(trend.startDate, trend.intercept);
+                    const end = pointAt(trend.endDate, trend.intercept + trend.slope * (overlay.window - 1));
+                    
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(start.x, start.y);
+                    this.ctx.lineTo(end.x, end.y);
+                    this.ctx.stroke();
+                    
+                    // Slope label at the end of the line
+                    this.ctx.setLineDash([]);
+                    this.ctx.font = `12px ${CHART_FONTS[this.getLanguage()]}`;
+                    this.ctx.textAlign = 'right';
+                    this.ctx.textBaseline = 'bottom';
+                    this.ctx.fillText(this.formatTrend(trend), end.x, end.y - 6);
+                }
+            }
+            
+            if (overlay.type === 'peaks') {
+                // Triangle above each peak
+                this.getPeaks().forEach(peak => {
+                    if (!this.data.some(d => d.date === peak.date)) return;
+                    const { x, y } = pointAt(peak.date, peak.value);
+                    
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(x, y - 6);
+                    this.ctx.lineTo(x - 5, y - 14);
+                    this.ctx.lineTo(x + 5, y - 14);
+                    this.ctx.closePath();
+                    this.ctx.fill();
+                });
+            }
+        });
+        
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Slope label of a trend, e.g. "30-day trend: -2.5/day (decreasing)"
+     */
+    formatTrend(trend) {
+        const language = this.getLanguage();
+        const locale = language === 'ar' ? 'ar-EG' : 'en-US';
+        const slope = `${trend.slope > 0 ? '+' : ''}${trend.slope.toLocaleString(locale)}`;
+        const days = CHART_OVERLAYS.trend.window.toLocaleString(locale);
+        const direction = CHART_TREND_DIRECTIONS[trend.direction][language];
+        return language === 'ar'
+            ? `اتجاه ${days} يوماً: ${slope} يومياً (${direction})`
+            : `${days}-day trend: ${slope}/day (${direction})`;
     }
 
     /**
      * Draw data points
      */
     drawDataPoints(chartWidth, chartHeight, bounds) {
-        this.ctx.fillStyle = '#DC2626';
+        this.ctx.fillStyle = getTimelineMetric(this.currentMetric).color;
         
         this.data.forEach(day => {
             const x = this.margin.left + this.xScale(new Date(day.date), bounds.xMin, bounds.xMax, chartWidth);
@@ -293,30 +937,24 @@ class TimelineChart {
     /**
      * Draw axis labels
      */
-    drawLabels(chartWidth, chartHeight) {
+    drawLabels(chartWidth, chartHeight, bounds) {
+        const language = this.getLanguage();
         this.ctx.fillStyle = '#6B7280';
-        this.ctx.font = '12px Inter';
+        this.ctx.font = `12px ${CHART_FONTS[language]}`;
         this.ctx.textAlign = 'center';
         
-        // X-axis labels (months)
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                       'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        
-        // Draw month labels at bottom
+        // X-axis labels (days, weeks or months), thinned out to fit the width
         this.ctx.textBaseline = 'top';
-        const currentYear = new Date().getFullYear();
-        const yearRange = [2023, 2024, 2025];
-        
-        yearRange.forEach(year => {
-            months.forEach((month, monthIndex) => {
-                const date = new Date(year, monthIndex, 1);
-                if (date >= new Date('2023-10-07') && date <= new Date()) {
-                    const x = this.margin.left + this.xScale(date, new Date('2023-10-07'), new Date(), chartWidth);
-                    const y = this.margin.top + chartHeight + 20;
-                    
-                    this.ctx.fillText(`${month} ${year}`, x, y);
-                }
-            });
+        const ticks = this.getTimeTicks(chartWidth, bounds);
+        const labelFormat = ticks.unit === 'month'
+            ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+            : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+        
+        ticks.dates.forEach(date => {
+            const x = this.margin.left + this.xScale(date, bounds.xMin, bounds.xMax, chartWidth);
+            const y = this.margin.top + chartHeight + 20;
+            
+            this.ctx.fillText(date.toLocaleDateString(language === 'ar' ? 'ar-EG' : 'en-US', labelFormat), x, y);
         });
         
         // Y-axis labels
@@ -326,7 +964,7 @@ class TimelineChart {
         const ySteps = 5;
         for (let i = 0; i <= ySteps; i++) {
             const y = this.margin.top + (i / ySteps) * chartHeight;
-            const value = Math.round((ySteps - i) / ySteps * this.getMaxKilled());
+            const value = Math.round(bounds.yMin + (ySteps - i) / ySteps * (bounds.yMax - bounds.yMin));
             
             this.ctx.fillText(value.toLocaleString(), this.margin.left - 10, y);
         }
@@ -385,40 +1023,151 @@ class TimelineChart {
         this.ctx.stroke();
     }
 
+    /**
+     * Lines of the tooltip for a point at the current granularity
+     * @returns {Object[]} - { text, color }
+     */
+    getTooltipLines(day) {
+        const language = this.getLanguage();
+        const isArabic = language === 'ar';
+        const locale = isArabic ? 'ar-EG' : 'en-US';
+        const number = (value) => value.toLocaleString(locale);
+        const unit = getTimelineMetric(this.currentMetric).unit[language];
+        const date = new Date(day.date);
+        const dateStr = date.toLocaleDateString(locale, { 
+            weekday: 'short', 
+            month: 'short', 
+            day: 'numeric',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+        const white = '#FFFFFF';
+        const muted = '#9CA3AF';
+        
+        if (this.granularity === 'weekly' || this.granularity === 'monthly') {
+            const isWeekly = this.granularity === 'weekly';
+            const weekStart = date.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+            const periodStr = isWeekly
+                ? (isArabic ? `أسبوع ${weekStart}` : `Week of ${weekStart}`)
+                : date.toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+            const average = number(this.calculations.roundToPrecision(day.average, 1));
+            const lines = [
+                { text: periodStr, color: white },
+                { text: isArabic ? `المجموع: ${number(day.killed)} ${unit}` : `Total: ${number(day.killed)} ${unit}`, color: white },
+                { text: isArabic ? `المتوسط اليومي: ${average} (${number(day.days)} ${day.days <= 10 ? 'أيام' : 'يوماً'})` : `Daily average: ${average} (${day.days} days)`, color: muted }
+            ];
+            
+            if (day.change !== null) {
+                const change = this.calculations.roundToPrecision(day.change, 1);
+                const changeStr = `${change > 0 ? '+' : ''}${number(change)}%`;
+                const previous = isArabic ? (isWeekly ? 'الأسبوع السابق' : 'الشهر السابق') : (isWeekly ? 'week' : 'month');
+                lines.push({
+                    text: isArabic ? `${changeStr} مقارنة ب${previous}` : `${changeStr} vs previous ${previous}`,
+                    color: muted
+                });
+            }
+            return lines;
+        }
+        
+        const truce = findTrucePeriod(this.getTrucePeriods(), day.date);
+        const annotation = this.getAnnotations().find(a => a.date === day.date);
+        const eventLines = [];
+        if (truce) eventLines.push({ text: `${CHART_TRUCE_PREFIX[language]} ${truce.label[language]}`, color: '#34D399' });
+        if (annotation) eventLines.push({ text: `${getAnnotationIcon(annotation)} ${annotation[language]}`, color: white });
+        
+        if (this.granularity === 'cumulative') {
+            const daily = `${day.daily >= 0 ? '+' : ''}${number(day.daily)}`;
+            return [
+                { text: dateStr, color: white },
+                { text: isArabic ? `${number(day.killed)} ${unit} حتى هذا اليوم` : `${number(day.killed)} ${unit} to date`, color: white },
+                { text: isArabic ? `${daily} في ذلك اليوم` : `${daily} that day`, color: muted },
+                ...eventLines
+            ];
+        }
+        
+        const lines = [
+            { text: dateStr, color: white },
+            { text: `${number(day.killed)} ${unit}`, color: white },
+            ...eventLines
+        ];
+        if (day.provenance) {
+            // Amber when the day isn't a plain daily report
+            lines.push({ text: formatProvenance(day.provenance, language), color: day.corrected ? '#F59E0B' : muted });
+        }
+        return lines.concat(this.getOverlayTooltipLines(day, muted));
+    }
+
+    /**
+     * Tooltip lines for the enabled overlays at a day
+     */
+    getOverlayTooltipLines(day, color) {
+        const language = this.getLanguage();
+        const locale = language === 'ar' ? 'ar-EG' : 'en-US';
+        const lines = [];
+        const index = this.data.indexOf(day);
+        
+        Object.keys(CHART_OVERLAYS).filter(key => this.overlays.has(key)).forEach(key => {
+            const overlay = CHART_OVERLAYS[key];
+            
+            if (overlay.type === 'average') {
+                const value = this.getMovingAverage(overlay.window)[index];
+                if (value !== null) {
+                    const days = overlay.window.toLocaleString(locale);
+                    lines.push({
+                        text: language === 'ar'
+                            ? `متوسط ${days} ${overlay.window <= 10 ? 'أيام' : 'يوماً'}: ${value.toLocaleString(locale)}`
+                            : `${days}-day average: ${value.toLocaleString(locale)}`,
+                        color
+                    });
+                }
+            }
+            
+            if (overlay.type === 'trend') {
+                const trend = this.getTrend(index);
+                if (trend) lines.push({ text: this.formatTrend(trend), color });
+            }
+            
+            if (overlay.type === 'peaks') {
+                const peak = this.getPeaks().find(p => p.date === day.date);
+                if (peak) {
+                    const description = describePeak(peak, this.dataProcessor.getPeakOptions(), language);
+                    lines.push({ text: language === 'ar' ? `ذروة: ${description}` : `Peak: ${description}`, color });
+                }
+            }
+        });
+        
+        return lines;
+    }
+
     /**
      * Draw tooltip
      */
     drawTooltip(day, x, y) {
-        const tooltipWidth = 200;
-        const tooltipHeight = 80;
-        const tooltipX = Math.min(x + 10, this.width - tooltipWidth - 20);
+        const lines = this.getTooltipLines(day);
+        const isArabic = this.getLanguage() === 'ar';
+        
+        this.ctx.font = `12px ${CHART_FONTS[isArabic ? 'ar' : 'en']}`;
+        
+        // Wide enough for the longest line
+        const textWidth = Math.max(...lines.map(line => this.ctx.measureText(line.text).width));
+        const tooltipWidth = Math.max(200, textWidth + 20);
+        const tooltipHeight = lines.length * 20 + 20;
+        const tooltipX = Math.max(Math.min(x + 10, this.width - tooltipWidth - 20), 0);
         const tooltipY = Math.max(y - tooltipHeight - 10, 20);
         
         // Tooltip background
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
         this.ctx.fillRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight);
         
-        // Tooltip text
-        this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.font = '12px Inter';
-        this.ctx.textAlign = 'left';
+        // Tooltip text, from the right edge in Arabic
+        this.ctx.textAlign = isArabic ? 'right' : 'left';
         this.ctx.textBaseline = 'top';
+        const textX = isArabic ? tooltipX + tooltipWidth - 10 : tooltipX + 10;
         
-        const date = new Date(day.date);
-        const dateStr = date.toLocaleDateString('en-US', { 
-            weekday: 'short', 
-            month: 'short', 
-            day: 'numeric',
-            year: 'numeric'
+        lines.forEach((line, index) => {
+            this.ctx.fillStyle = line.color;
+            this.ctx.fillText(line.text, textX, tooltipY + 10 + index * 20);
         });
-        
-        this.ctx.fillText(dateStr, tooltipX + 10, tooltipY + 10);
-                    this.ctx.fillText(`${day.killed.toLocaleString()} martyred`, tooltipX + 10, tooltipY + 30);
-        
-        if (day.corrected) {
-            this.ctx.fillStyle = '#F59E0B';
-            this.ctx.fillText('Data corrected', tooltipX + 10, tooltipY + 50);
-        }
     }
 
     /**
@@ -429,11 +1178,28 @@ class TimelineChart {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
         
+        if (this.pan) {
+            const chartWidth = this.width - this.margin.left - this.margin.right;
+            const shift = (x - this.pan.x) / chartWidth * (this.pan.view.xMax - this.pan.view.xMin);
+            this.pan.moved = this.pan.moved || Math.abs(x - this.pan.x) > 4;
+            this.setView({ xMin: this.pan.view.xMin - shift, xMax: this.pan.view.xMax - shift });
+            return;
+        }
+        
+        if (this.brush) {
+            this.brush.current = this.dateAtX(x);
+            this.brush.moved = this.brush.moved || Math.abs(x - this.brush.x) > 4;
+            this.hoveredDate = this.findClosestDate(x, y);
+            this.render();
+            return;
+        }
+        
         // Find closest data point
         const closestDate = this.findClosestDate(x, y);
         if (closestDate !== this.hoveredDate) {
             this.hoveredDate = closestDate;
             this.render();
+            this.dispatchHover();
         }
     }
 
@@ -445,10 +1211,104 @@ class TimelineChart {
         this.render();
     }
 
+    /**
+     * Start panning when zoomed in, or brushing a date range (always with Shift)
+     */
+    handleMouseDown(e) {
+        if (e.button !== 0 || !this.data.length) return;
+        
+        const x = e.clientX - this.canvas.getBoundingClientRect().left;
+        
+        if (this.isZoomed() && !e.shiftKey) {
+            this.pan = { x: x, view: this.view, moved: false };
+            this.canvas.classList.add('is-panning');
+            return;
+        }
+        
+        const date = this.dateAtX(x);
+        this.brush = { anchor: date, current: date, x: x, moved: false };
+    }
+
+    /**
+     * Finish panning or brushing; a brush drag selects a range, anything
+     * shorter stays a click
+     */
+    handleMouseUp() {
+        if (this.pan) {
+            this.suppressClick = this.pan.moved;
+            this.pan = null;
+            this.canvas.classList.remove('is-panning');
+            return;
+        }
+        
+        if (!this.brush) return;
+        
+        const brush = this.brush;
+        this.brush = null;
+        
+        if (brush.moved) {
+            this.suppressClick = true;
+            this.selectRange(createDateRange(brush.anchor, brush.current));
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Select a range and tell the app about it
+     */
+    selectRange(range) {
+        this.setSelectedRange(range);
+        this.container.dispatchEvent(new CustomEvent('rangeSelected', {
+            detail: { range: range }
+        }));
+    }
+
+    /**
+     * Date under an x position, clamped to the plotted span
+     * @returns {string} - YYYY-MM-DD
+     */
+    dateAtX(x) {
+        return new Date(this.timeAtX(x, this.calculateBounds())).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Timestamp under an x position, clamped to the plotted span
+     */
+    timeAtX(x, bounds) {
+        const chartWidth = this.width - this.margin.left - this.margin.right;
+        const ratio = Math.min(Math.max((x - this.margin.left) / chartWidth, 0), 1);
+        return bounds.xMin + ratio * (bounds.xMax - bounds.xMin);
+    }
+
+    /**
+     * Zoom with the mouse wheel (or a trackpad pinch, which browsers send as
+     * a wheel event with ctrlKey) around the pointer
+     */
+    handleWheel(e) {
+        if (!this.data.length) return;
+        
+        const zoomingIn = e.deltaY < 0;
+        const span = this.view ? this.view.xMax - this.view.xMin : Infinity;
+        
+        // Let the page scroll when the zoom can't go any further
+        if (zoomingIn ? span <= CHART_MIN_VIEW_DAYS * CHART_DAY_MS : !this.isZoomed()) return;
+        
+        e.preventDefault();
+        const x = e.clientX - this.canvas.getBoundingClientRect().left;
+        this.zoomAt(x, Math.exp(e.deltaY * 0.0015));
+    }
+
     /**
      * Handle click
      */
     handleClick(e) {
+        // The click that ends a drag isn't a click on a date
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
@@ -457,18 +1317,25 @@ class TimelineChart {
         if (clickedDate) {
             // Dispatch custom event for other components
             this.container.dispatchEvent(new CustomEvent('dateClicked', {
-                detail: { date: clickedDate }
+                detail: { date: clickedDate, granularity: this.granularity }
             }));
         }
     }
 
     /**
-     * Handle touch events
+     * Handle touch events: one finger inspects points, two fingers pinch-zoom
+     * and pan
      */
     handleTouch(e) {
         e.preventDefault();
-        const touch = e.touches[0];
         const rect = this.canvas.getBoundingClientRect();
+        
+        if (e.touches.length >= 2) {
+            this.handlePinch(e.touches[0].clientX - rect.left, e.touches[1].clientX - rect.left);
+            return;
+        }
+        
+        const touch = e.touches[0];
         const x = touch.clientX - rect.left;
         const y = touch.clientY - rect.top;
         
@@ -476,7 +1343,127 @@ class TimelineChart {
         if (closestDate !== this.hoveredDate) {
             this.hoveredDate = closestDate;
             this.render();
+            this.dispatchHover();
+        }
+    }
+
+    /**
+     * Zoom to keep the span between two fingers, moving the view with them
+     */
+    handlePinch(x1, x2) {
+        const centre = (x1 + x2) / 2;
+        const distance = Math.max(Math.abs(x2 - x1), 1);
+        
+        if (!this.pinch) {
+            const bounds = this.calculateBounds();
+            this.pinch = {
+                distance: distance,
+                anchor: this.timeAtX(centre, bounds),
+                span: bounds.xMax - bounds.xMin
+            };
+            return;
         }
+        
+        const chartWidth = this.width - this.margin.left - this.margin.right;
+        const span = this.pinch.span * this.pinch.distance / distance;
+        const xMin = this.pinch.anchor - (centre - this.margin.left) / chartWidth * span;
+        this.setView({ xMin: xMin, xMax: xMin + span });
+    }
+
+    /**
+     * Pan just enough to bring a date into view
+     */
+    ensureVisible(dateStr) {
+        if (!this.view) return;
+        
+        const time = Date.parse(dateStr);
+        const span = this.view.xMax - this.view.xMin;
+        if (time < this.view.xMin) {
+            this.setView({ xMin: time, xMax: time + span });
+        } else if (time > this.view.xMax) {
+            this.setView({ xMin: time - span, xMax: time });
+        }
+    }
+
+    /**
+     * Step through the points with the arrow keys
+     */
+    handleKeydown(e) {
+        if (!this.data.length) return;
+        
+        const current = this.data.findIndex(d => d.date === this.hoveredDate);
+        let next = null;
+        
+        // Shift+arrows select a range starting where the first step began
+        if (!e.shiftKey) {
+            this.keyboardAnchor = null;
+        } else if (!this.keyboardAnchor && current >= 0) {
+            this.keyboardAnchor = this.hoveredDate;
+        }
+        
+        switch (e.key) {
+            case 'ArrowRight':
+                next = current < 0 ? this.data.length - 1 : Math.min(current + 1, this.data.length - 1);
+                break;
+            case 'ArrowLeft':
+                next = current < 0 ? this.data.length - 1 : Math.max(current - 1, 0);
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = this.data.length - 1;
+                break;
+            case 'Enter':
+                if (this.hoveredDate) {
+                    this.container.dispatchEvent(new CustomEvent('dateClicked', {
+                        detail: { date: this.hoveredDate, granularity: this.granularity }
+                    }));
+                }
+                return;
+            case 'Escape':
+                this.handleMouseLeave();
+                return;
+            case '+':
+            case '=':
+            case '-':
+            case '0': {
+                e.preventDefault();
+                const bounds = this.calculateBounds();
+                const focus = this.hoveredDate && this.isDateVisible(this.hoveredDate, bounds)
+                    ? this.margin.left + this.xScale(Date.parse(this.hoveredDate), bounds.xMin, bounds.xMax, this.width - this.margin.left - this.margin.right)
+                    : this.width / 2;
+                
+                if (e.key === '0') this.resetZoom();
+                else this.zoomAt(focus, e.key === '-' ? 2 : 0.5);
+                return;
+            }
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        this.hoveredDate = this.data[next].date;
+        this.ensureVisible(this.hoveredDate);
+        
+        if (this.keyboardAnchor) {
+            this.selectRange(createDateRange(this.keyboardAnchor, this.hoveredDate));
+        } else {
+            this.render();
+        }
+        this.dispatchHover();
+    }
+
+    /**
+     * Tell other components which point the pointer or keyboard is on; dates
+     * set from outside (setHoveredDate) aren't echoed back
+     */
+    dispatchHover() {
+        if (!this.hoveredDate) return;
+        
+        this.container.dispatchEvent(new CustomEvent('dateHovered', {
+            detail: { date: this.hoveredDate, granularity: this.granularity }
+        }));
     }
 
     /**
@@ -505,6 +1492,84 @@ class TimelineChart {
         return closestDate;
     }
 
+    /**
+     * Draw the overview strip: every point, with the area outside the view shaded
+     */
+    renderOverview() {
+        const ctx = this.overviewCtx;
+        const height = CHART_OVERVIEW_HEIGHT;
+        ctx.clearRect(0, 0, this.width, height);
+        
+        if (!this.data.length) return;
+        
+        const chartWidth = this.width - this.margin.left - this.margin.right;
+        const extent = this.getExtent();
+        const yMax = Math.max(1, ...this.data.map(d => d.killed));
+        const inset = 4;
+        
+        ctx.strokeStyle = '#666666';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        this.data.forEach((day, index) => {
+            const x = this.margin.left + this.xScale(Date.parse(day.date), extent.xMin, extent.xMax, chartWidth);
+            const y = inset + this.yScale(Math.max(day.killed, 0), 0, yMax, height - inset * 2);
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        
+        ctx.strokeStyle = '#E5E5E5';
+        ctx.strokeRect(this.margin.left + 0.5, 0.5, chartWidth - 1, height - 1);
+        
+        if (!this.view) return;
+        
+        // Shade what the chart doesn't show and outline the window
+        const left = this.margin.left + this.xScale(this.view.xMin, extent.xMin, extent.xMax, chartWidth);
+        const right = this.margin.left + this.xScale(this.view.xMax, extent.xMin, extent.xMax, chartWidth);
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillRect(this.margin.left, 0, left - this.margin.left, height);
+        ctx.fillRect(right, 0, this.margin.left + chartWidth - right, height);
+        
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(left, 0.75, Math.max(right - left, 2), height - 1.5);
+    }
+
+    /**
+     * Timestamp under an x position of the overview strip
+     */
+    overviewTimeAtX(x) {
+        return this.timeAtX(x, this.getExtent());
+    }
+
+    /**
+     * Drag the overview window to pan; pressing outside it centres the window there
+     */
+    handleOverviewMouseDown(e) {
+        if (e.button !== 0 || !this.view) return;
+        
+        e.preventDefault();
+        const x = e.clientX - this.overview.getBoundingClientRect().left;
+        const time = this.overviewTimeAtX(x);
+        
+        if (time < this.view.xMin || time > this.view.xMax) {
+            const span = this.view.xMax - this.view.xMin;
+            this.setView({ xMin: time - span / 2, xMax: time + span / 2 });
+        }
+        
+        this.overviewDrag = { time: time, view: this.view };
+    }
+
+    handleOverviewMouseMove(e) {
+        if (!this.overviewDrag) return;
+        
+        const x = e.clientX - this.overview.getBoundingClientRect().left;
+        const shift = this.overviewTimeAtX(x) - this.overviewDrag.time;
+        const view = this.overviewDrag.view;
+        this.setView({ xMin: view.xMin + shift, xMax: view.xMax + shift });
+    }
+
     /**
      * Utility functions for scaling
      */
@@ -535,6 +1600,10 @@ class TimelineChart {
             this.canvas.parentNode.removeChild(this.canvas);
         }
         
+        if (this.overview && this.overview.parentNode) {
+            this.overview.parentNode.removeChild(this.overview);
+        }
+        
         this.isInitialized = false;
     }
 }
@@ -40,19 +40,14 @@ class TimelineDataProcessor {
     async loadData() {
         try {
             // Load main casualties data
-            const response = await fetch('./data/casualties_daily.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            this.rawData = await response.json();
+            this.rawData = await window.dataStore.load('casualties_daily');
             console.log(`📊 Loaded ${this.rawData.length} daily records`);
             
             // Load summary data for KPIs
-            const summaryResponse = await fetch('./data/summary.json');
-            if (summaryResponse.ok) {
-                this.summaryData = await summaryResponse.json();
+            try {
+                this.summaryData = await window.dataStore.load('summary');
                 console.log(`📊 Loaded summary data`);
-            } else {
+            } catch (error) {
                 console.warn('⚠️ Could not load summary data, using fallback');
                 this.summaryData = null;
             }
@@ -67,16 +62,10 @@ class TimelineDataProcessor {
      */
     async loadAnnotations() {
         try {
-            const response = await fetch('./data/annotations.json');
-            if (response.ok) {
-                this.annotations = await response.json();
-                console.log(`📝 Loaded ${this.annotations.length} annotations`);
-            } else {
-                // Create default annotations if file doesn't exist
-                this.annotations = this.createDefaultAnnotations();
-                console.log('📝 Using default annotations');
-            }
+            this.annotations = await window.dataStore.load('annotations');
+            console.log(`📝 Loaded ${this.annotations.length} annotations`);
         } catch (error) {
+            // Fall back to built-in annotations if the file is missing or invalid
             this.annotations = this.createDefaultAnnotations();
             console.log('📝 Using default annotations due to error:', error);
         }
@@ -161,7 +150,9 @@ class TimelineDataProcessor {
                 ext_killed_children_cum: record.ext_killed_children_cum,
                 ext_killed_women_cum: record.ext_killed_women_cum,
                 ext_med_killed_cum: record.ext_med_killed_cum,
-                ext_press_killed_cum: record.ext_press_killed_cum
+                ext_press_killed_cum: record.ext_press_killed_cum,
+                // Fields for the metrics in timelineMetrics.js
+                record: record
             };
 
             processed.push(day);
@@ -233,102 +224,49 @@ class TimelineDataProcessor {
     }
 
     /**
-     * Calculate peak days (top 7 by casualties)
+     * Calculate peak days (peakDetection.js; by default the top 7, two weeks apart)
      */
     calculatePeaks() {
         if (!this.processedData) return [];
 
-        // Sort by killed count (descending)
-        const sorted = [...this.processedData].sort((a, b) => b.killed - a.killed);
-        
-        // Get top 7, debouncing near-duplicates
-        const peaks = [];
-        const usedWeeks = new Set();
-        
-        for (const day of sorted) {
-            if (peaks.length >= 7) break;
-            
-            // Check if we already have a peak from this week (±2 days)
-            const week = day.weekOfWar;
-            const hasNearby = Array.from(usedWeeks).some(usedWeek => 
-                Math.abs(usedWeek - week) <= 2
-            );
-            
-            if (!hasNearby) {
-                peaks.push(day);
-                usedWeeks.add(week);
-            }
-        }
+        const byDate = new Map(this.processedData.map(day => [day.date, day]));
+        const days = this.processedData.map(day => ({ date: day.date, value: day.killed }));
 
-        return peaks;
+        return detectPeaks(days).map(peak => ({ ...byDate.get(peak.date), peak }));
     }
 
     /**
      * Get data for specific metric and source
+     * @param {string} metric - Key from timelineMetrics.js
+     * @param {string} source - 'official' or 'extended'
+     * @returns {Object[]} - Days with `killed` set to the metric's daily value
      */
     getDataForMetric(metric, source) {
         if (!this.processedData) return [];
 
-        return this.processedData.map(day => {
-            let killed = day.killed;
-            
-            if (source === 'extended') {
-                switch (metric) {
-                    case 'all':
-                        killed = day.ext_killed || day.killed;
-                        break;
-                    case 'children':
-                        killed = this.getDailyFromCumulative(day.ext_killed_children_cum, day.date);
-                        break;
-                    case 'women':
-                        killed = this.getDailyFromCumulative(day.ext_killed_women_cum, day.date);
-                        break;
-                    case 'medical':
-                        killed = this.getDailyFromCumulative(day.ext_med_killed_cum, day.date);
-                        break;
-                    case 'press':
-                        killed = this.getDailyFromCumulative(day.ext_press_killed_cum, day.date);
-                        break;
-                }
-            } else {
-                switch (metric) {
-                    case 'children':
-                        killed = this.getDailyFromCumulative(day.killed_children, day.date);
-                        break;
-                    case 'women':
-                        killed = this.getDailyFromCumulative(day.killed_women, day.date);
-                        break;
-                    case 'medical':
-                        killed = this.getDailyFromCumulative(day.killed_medical, day.date);
-                        break;
-                    case 'press':
-                        killed = this.getDailyFromCumulative(day.killed_press, day.date);
-                        break;
-                }
-            }
+        const definition = getTimelineMetric(metric).regions.gaza;
+        if (!definition) return [];
 
+        // The extended source only has running totals
+        const seriesSource = source === 'extended' && definition.extended
+            ? { field: definition.extended, cumulative: true }
+            : definition;
+        const records = this.processedData.map(day => day.record);
+        const points = indexSeries(buildSeries(records, seriesSource, { periodField: 'report_period' }));
+        const reportSources = new Map(records.map(record => [record.report_date, record.report_source]));
+
+        return this.processedData.map(day => {
+            const point = points.get(day.date);
             return {
                 ...day,
-                killed: killed || 0,
+                killed: point ? point.value : 0,
+                corrected: point ? isAdjustedPoint(point) : false,
+                provenance: point ? describeProvenance(point, reportSources.get(point.reportDate)) : null,
                 source: source
             };
         });
     }
 
-    /**
-     * Get daily count from cumulative data
-     */
-    getDailyFromCumulative(cumulative, date) {
-        if (cumulative === undefined || cumulative === null) return 0;
-        
-        // Find previous day's cumulative
-        const currentIndex = this.processedData.findIndex(d => d.date === date);
-        if (currentIndex <= 0) return cumulative;
-        
-        const previousCumulative = this.processedData[currentIndex - 1].killed_cum || 0;
-        return Math.max(0, cumulative - previousCumulative);
-    }
-
     /**
      * Get annotation for a specific date
      */
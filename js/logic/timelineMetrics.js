@@ -0,0 +1,221 @@
+/**
+ * Timeline Metrics
+ * The one place timeline metrics are declared. The heat map selector, chart,
+ * peaks, day rail and KPIs all read this registry, so adding a metric means
+ * adding an entry here.
+ */
+
+/**
+ * @typedef {Object} MetricSource - Where a metric comes from in one region's dataset
+ * @property {string} field - Record field holding the value
+ * @property {boolean} cumulative - Whether `field` is a running total (daily values are derived from it)
+ * @property {string} [daily] - Field with the day's own count, preferred when a record has it
+ *   and it agrees with the running total
+ * @property {string} [extended] - Cumulative field used for the "extended" source
+ * @property {string} [verified] - Daily field inside West Bank `verified` objects
+ */
+
+/**
+ * @typedef {Object} TimelineMetric
+ * @property {string} key - Identifier used in events and `data-metric`
+ * @property {{en: string, ar: string}} label - Selector label
+ * @property {{en: string, ar: string}} unit - Follows a number ("1,234 martyred")
+ * @property {string} summary - Dotted path to the region's total in summary.json
+ * @property {string} color - Line and accent color
+ * @property {string[]} scale - Heat map color stops [lowest, highest]
+ * @property {Object<string, MetricSource>} regions - Sources keyed by region
+ */
+
+/** @type {TimelineMetric[]} */
+const TIMELINE_METRICS = [
+    {
+        key: 'all',
+        label: { en: 'All', ar: 'الكل' },
+        unit: { en: 'martyred', ar: 'شهيد' },
+        summary: 'killed.total',
+        color: '#DC2626',
+        scale: ['#FFFFFF', '#000000'],
+        regions: {
+            gaza: { field: 'killed_cum', cumulative: true, daily: 'killed', extended: 'ext_killed_cum' },
+            west_bank: { field: 'killed_cum', cumulative: true, verified: 'killed' }
+        }
+    },
+    {
+        key: 'children',
+        label: { en: 'Children', ar: 'الأطفال' },
+        unit: { en: 'children martyred', ar: 'طفل شهيد' },
+        summary: 'killed.children',
+        color: '#B91C1C',
+        scale: ['#FFFFFF', '#450A0A'],
+        regions: {
+            gaza: { field: 'killed_children_cum', cumulative: true, extended: 'ext_killed_children_cum' },
+            west_bank: { field: 'killed_children_cum', cumulative: true, verified: 'killed_children' }
+        }
+    },
+    {
+        key: 'women',
+        label: { en: 'Women', ar: 'النساء' },
+        unit: { en: 'women martyred', ar: 'امرأة شهيدة' },
+        summary: 'killed.women',
+        color: '#9D174D',
+        scale: ['#FFFFFF', '#500724'],
+        regions: {
+            gaza: { field: 'killed_women_cum', cumulative: true, extended: 'ext_killed_women_cum' }
+        }
+    },
+    {
+        key: 'medical',
+        label: { en: 'Medical', ar: 'الطبي' },
+        unit: { en: 'medical workers martyred', ar: 'من الطواقم الطبية' },
+        summary: 'killed.medical',
+        color: '#0F766E',
+        scale: ['#FFFFFF', '#042F2E'],
+        regions: {
+            gaza: { field: 'ext_med_killed_cum', cumulative: true, extended: 'ext_med_killed_cum' }
+        }
+    },
+    {
+        key: 'press',
+        label: { en: 'Press', ar: 'الصحفيون' },
+        unit: { en: 'journalists martyred', ar: 'صحفي شهيد' },
+        summary: 'killed.press',
+        color: '#1D4ED8',
+        scale: ['#FFFFFF', '#172554'],
+        regions: {
+            gaza: { field: 'ext_press_killed_cum', cumulative: true, extended: 'ext_press_killed_cum' }
+        }
+    },
+    {
+        key: 'civil_defence',
+        label: { en: 'Civil defence', ar: 'الدفاع المدني' },
+        unit: { en: 'civil defence workers martyred', ar: 'من الدفاع المدني' },
+        summary: 'killed.civil_defence',
+        color: '#C2410C',
+        scale: ['#FFFFFF', '#431407'],
+        regions: {
+            gaza: { field: 'ext_civdef_killed_cum', cumulative: true, extended: 'ext_civdef_killed_cum' }
+        }
+    },
+    {
+        key: 'injured',
+        label: { en: 'Injured', ar: 'الجرحى' },
+        unit: { en: 'injured', ar: 'جريح' },
+        summary: 'injured.total',
+        color: '#D97706',
+        scale: ['#FFFFFF', '#451A03'],
+        regions: {
+            gaza: { field: 'injured_cum', cumulative: true, daily: 'injured', extended: 'ext_injured_cum' },
+            west_bank: { field: 'injured_cum', cumulative: true, verified: 'injured' }
+        }
+    },
+    {
+        key: 'famine',
+        label: { en: 'Famine', ar: 'المجاعة' },
+        unit: { en: 'starvation deaths', ar: 'وفاة بسبب المجاعة' },
+        summary: 'famine.total',
+        color: '#78350F',
+        scale: ['#FFFFFF', '#292524'],
+        regions: {
+            gaza: { field: 'famine_cum', cumulative: true }
+        }
+    },
+    {
+        key: 'child_famine',
+        label: { en: 'Child famine', ar: 'مجاعة الأطفال' },
+        unit: { en: 'child starvation deaths', ar: 'طفل توفي جوعاً' },
+        summary: 'famine.children',
+        color: '#92400E',
+        scale: ['#FFFFFF', '#1C1917'],
+        regions: {
+            gaza: { field: 'child_famine_cum', cumulative: true }
+        }
+    },
+    {
+        key: 'aid_seeker_killed',
+        label: { en: 'Aid seekers killed', ar: 'شهداء منتظري المساعدات' },
+        unit: { en: 'aid seekers martyred', ar: 'شهيد من منتظري المساعدات' },
+        summary: 'aid_seeker.killed',
+        color: '#7C3AED',
+        scale: ['#FFFFFF', '#2E1065'],
+        regions: {
+            gaza: { field: 'aid_seeker_killed_cum', cumulative: true }
+        }
+    },
+    {
+        key: 'aid_seeker_injured',
+        label: { en: 'Aid seekers injured', ar: 'جرحى منتظري المساعدات' },
+        unit: { en: 'aid seekers injured', ar: 'جريح من منتظري المساعدات' },
+        summary: 'aid_seeker.injured',
+        color: '#A855F7',
+        scale: ['#FFFFFF', '#3B0764'],
+        regions: {
+            gaza: { field: 'aid_seeker_injured_cum', cumulative: true }
+        }
+    },
+    {
+        key: 'settler_attacks',
+        label: { en: 'Settler attacks', ar: 'هجمات المستوطنين' },
+        unit: { en: 'settler attacks', ar: 'هجوم للمستوطنين' },
+        summary: 'settler_attacks',
+        color: '#4D7C0F',
+        scale: ['#FFFFFF', '#1A2E05'],
+        regions: {
+            west_bank: { field: 'settler_attacks_cum', cumulative: true }
+        }
+    }
+];
+
+/**
+ * Look up a metric, falling back to 'all' for unknown keys
+ * @param {string} key
+ * @returns {TimelineMetric}
+ */
+function getTimelineMetric(key) {
+    return TIMELINE_METRICS.find(metric => metric.key === key) || TIMELINE_METRICS[0];
+}
+
+/**
+ * Metrics a region's dataset can provide, in registry order
+ * @param {string} region - 'gaza' or 'west_bank'
+ * @returns {TimelineMetric[]}
+ */
+function getMetricsForRegion(region) {
+    return TIMELINE_METRICS.filter(metric => metric.regions[region]);
+}
+
+/**
+ * A metric's total from one region's block of summary.json
+ * @param {TimelineMetric} metric
+ * @param {Object} regionSummary - e.g. summary.gaza
+ * @returns {number|null}
+ */
+function getSummaryValue(metric, regionSummary) {
+    const value = metric.summary
+        .split('.')
+        .reduce((node, part) => (node === null || node === undefined ? node : node[part]), regionSummary);
+    return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Color at a point of a metric's heat map scale
+ * @param {TimelineMetric} metric
+ * @param {number} intensity - 0 (lowest stop) to 1 (highest stop)
+ * @returns {string} - CSS rgb() color
+ */
+function getMetricColor(metric, intensity) {
+    const [from, to] = metric.scale.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+    const t = Math.max(0, Math.min(1, intensity));
+    const [r, g, b] = from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TIMELINE_METRICS,
+        getTimelineMetric,
+        getMetricsForRegion,
+        getSummaryValue,
+        getMetricColor
+    };
+}
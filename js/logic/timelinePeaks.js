@@ -44,6 +44,9 @@ class TimelinePeaks {
             this.currentSource = e.detail.source;
             this.updatePeaks();
         });
+        
+        // Arrow keys move between the cards
+        this.container.addEventListener('keydown', (e) => this.handleKeyboardNavigation(e));
     }
 
     /**
@@ -61,12 +64,9 @@ class TimelinePeaks {
                 this.peaks = this.dataProcessor.getOrganizedData?.()?.peaks || [];
             }
             
-            // Sort chronologically (2023 onwards)
+            // Detection picks and limits the peaks; show them chronologically
             this.peaks.sort((a, b) => new Date(a.date) - new Date(b.date));
             
-            // Limit to top 7
-            this.peaks = this.peaks.slice(0, 7);
-            
             this.render();
         } catch (error) {
             console.error('❌ Failed to update peaks:', error);
@@ -124,9 +124,10 @@ class TimelinePeaks {
             year: 'numeric'
         });
         
-        // Format killed count
-        const killedStr = peak.killed.toLocaleString();
-        const killedStrAr = peak.killed.toLocaleString('ar-EG');
+        // Format count in the current metric's unit
+        const unit = this.dataProcessor.getMetricDefinition().unit;
+        const valueStr = peak.value.toLocaleString();
+        const valueStrAr = peak.value.toLocaleString('ar-EG');
         
         // Create card content
         card.innerHTML = `
@@ -135,10 +136,11 @@ class TimelinePeaks {
                 <span class="ar" style="display: none;">${dateStrAr}</span>
             </div>
             <div class="peak-count">
-                <span class="en">${killedStr} martyred</span>
-                <span class="ar" style="display: none;">${killedStrAr} شهيد</span>
+                <span class="en">${valueStr} ${unit.en}</span>
+                <span class="ar" style="display: none;">${valueStrAr} ${unit.ar}</span>
             </div>
-            ${annotation ? `<div class="peak-annotation">${this.getLocalizedText(annotation)}</div>` : ''}
+            ${peak.strategy ? this.renderDetection(peak) : ''}
+            ${annotation ? this.renderAnnotation(annotation) : ''}
             <button class="peak-pin" title="Pin to chart">
                 <span class="en">Pin</span>
                 <span class="ar" style="display: none;">تثبيت</span>
@@ -164,6 +166,15 @@ class TimelinePeaks {
             this.unhighlightPeak();
         });
         
+        // Focus highlights the same way, so the chart and tables follow the keyboard
+        card.addEventListener('focus', () => {
+            this.highlightPeak(peak.date);
+        });
+        
+        card.addEventListener('blur', () => {
+            this.unhighlightPeak();
+        });
+        
         // Click to pin
         const pinBtn = card.querySelector('.peak-pin');
         pinBtn.addEventListener('click', (e) => {
@@ -171,6 +182,11 @@ class TimelinePeaks {
             this.pinPeak(peak.date);
         });
         
+        // Source links open without focusing the card
+        card.querySelectorAll('.peak-source-link').forEach(link => {
+            link.addEventListener('click', (e) => e.stopPropagation());
+        });
+        
         // Click card to focus
         card.addEventListener('click', () => {
             this.focusPeak(peak.date);
@@ -247,6 +263,53 @@ class TimelinePeaks {
         }
     }
 
+    /**
+     * How a peak was found and how far above its baseline it was (peakDetection.js)
+     */
+    renderDetection(peak) {
+        const options = this.dataProcessor.getPeakOptions();
+        
+        return `
+            <div class="peak-detection">
+                <span class="en">${describePeak(peak, options, 'en')}</span>
+                <span class="ar" style="display: none;">${describePeak(peak, options, 'ar')}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Annotation of a peak card: category icon and label, text, and source links
+     */
+    renderAnnotation(annotation) {
+        const category = ANNOTATION_CATEGORIES[annotation.category];
+        const sources = getAnnotationSources(annotation);
+        
+        return `
+            <div class="peak-annotation">
+                ${category ? `
+                    <div class="peak-annotation-category">
+                        <span class="peak-annotation-icon" aria-hidden="true">${category.icon}</span>
+                        <span class="en">${category.en}</span>
+                        <span class="ar" style="display: none;">${category.ar}</span>
+                    </div>
+                ` : ''}
+                ${this.getLocalizedText(annotation)}
+                ${sources.length ? `
+                    <div class="peak-sources">
+                        <span class="en">Sources:</span>
+                        <span class="ar" style="display: none;">المصادر:</span>
+                        ${sources.map(source => `<a class="peak-source-link" href="${source.url}" target="_blank" rel="noopener noreferrer">${source.label}</a>`).join(' ')}
+                    </div>
+                ` : `
+                    <div class="peak-sources peak-unsourced">
+                        <span class="en">Unsourced</span>
+                        <span class="ar" style="display: none;">بلا مصدر</span>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
     /**
      * Get localized text based on current language
      */
@@ -256,16 +319,22 @@ class TimelinePeaks {
     }
 
     /**
-     * Handle keyboard navigation
+     * Handle keyboard navigation between the cards (arrow keys, Home and End)
      */
     handleKeyboardNavigation(e) {
         const currentCard = document.activeElement;
         if (!currentCard || !currentCard.classList.contains('peak-card')) return;
         
         const currentIndex = parseInt(currentCard.dataset.index);
+        const isRtl = document.documentElement.getAttribute('dir') === 'rtl';
         let nextIndex = currentIndex;
         
-        switch (e.key) {
+        // Left and right follow the reading direction
+        let key = e.key;
+        if (key === 'ArrowLeft') key = isRtl ? 'ArrowDown' : 'ArrowUp';
+        if (key === 'ArrowRight') key = isRtl ? 'ArrowUp' : 'ArrowDown';
+        
+        switch (key) {
             case 'ArrowUp':
                 nextIndex = Math.max(0, currentIndex - 1);
                 break;
@@ -140,14 +140,16 @@ class TimelineRail {
         months.forEach(month => {
             const dateStr = `${month.key}-${day.toString().padStart(2, '0')}`;
             
-            const cellData = this.dataProcessor.getCellData(dateStr);
+            const metricValue = this.dataProcessor.getMetricValue(dateStr);
             
-            if (cellData && cellData.killed !== undefined) {
+            if (metricValue) {
                 dayData.push({
                     date: dateStr,
                     month: month,
-                    value: cellData.killed,
-                    corrected: cellData.corrected || false
+                    value: metricValue.value,
+                    corrected: metricValue.corrected || false,
+                    provenance: this.dataProcessor.getProvenance(dateStr),
+                    truce: this.dataProcessor.getTrucePeriod(dateStr)
                 });
             }
         });
@@ -222,8 +224,8 @@ class TimelineRail {
         const timeline = document.createElement('div');
         timeline.className = 'timeline-dots';
         
-        // Find max value for scaling
-        const maxValue = Math.max(...dayData.map(d => d.value));
+        // Find max value for scaling (at least 1, so an all-zero day still renders)
+        const maxValue = Math.max(1, ...dayData.map(d => d.value));
         
         dayData.forEach((data, index) => {
             const dot = this.createTimelineDot(data, maxValue, index);
@@ -237,16 +239,18 @@ class TimelineRail {
      * Create individual timeline dot
      */
     createTimelineDot(data, maxValue, index) {
+        const unit = this.dataProcessor.getMetricDefinition().unit;
         const dot = document.createElement('div');
         dot.className = 'timeline-dot';
         dot.dataset.date = data.date;
         dot.dataset.index = index;
         
-        // Calculate dot size (sqrt scaling for better visual)
-        const size = Math.max(12, Math.sqrt(data.value / maxValue) * 40);
+        // Calculate dot size (sqrt scaling for better visual); revisions below zero draw as zero
+        const shown = Math.max(0, data.value);
+        const size = Math.max(12, Math.sqrt(shown / maxValue) * 40);
         
         // Calculate color intensity
-        const intensity = Math.min(0.9, Math.sqrt(data.value / maxValue));
+        const intensity = Math.min(0.9, Math.sqrt(shown / maxValue));
         const colorValue = Math.round(255 * (1 - intensity));
         
         dot.style.cssText = `
@@ -278,6 +282,33 @@ class TimelineRail {
             font-weight: 600;
         `;
         
+        // Badge for days inside a truce or ceasefire
+        if (data.truce) {
+            const typeLabel = TRUCE_TYPE_LABELS[data.truce.type] || data.truce.label;
+            const badge = document.createElement('div');
+            badge.className = 'truce-badge';
+            badge.title = data.truce.label.en;
+            badge.innerHTML = `
+                <span class="en">${typeLabel.en}</span>
+                <span class="ar" style="display: none;">${typeLabel.ar}</span>
+            `;
+            badge.style.cssText = `
+                position: absolute;
+                top: -46px;
+                left: 50%;
+                transform: translateX(-50%);
+                padding: 1px 6px;
+                border-radius: 999px;
+                background: var(--chart-truce);
+                border: 1px solid var(--chart-truce-edge);
+                color: var(--chart-truce-edge);
+                font-size: 10px;
+                font-weight: 600;
+                white-space: nowrap;
+            `;
+            dot.appendChild(badge);
+        }
+        
         // Add value tooltip
         const tooltip = document.createElement('div');
         tooltip.className = 'dot-tooltip';
@@ -287,13 +318,19 @@ class TimelineRail {
                 <span class="ar" style="display: none;">${this.formatDateAr(data.date)}</span>
             </div>
             <div class="tooltip-value">
-                <span class="en">${data.value.toLocaleString()} martyred</span>
-                <span class="ar" style="display: none;">${data.value.toLocaleString('ar-EG')} شهيد</span>
+                <span class="en">${data.value.toLocaleString()} ${unit.en}</span>
+                <span class="ar" style="display: none;">${data.value.toLocaleString('ar-EG')} ${unit.ar}</span>
             </div>
-            ${data.corrected ? `
-                <div class="tooltip-corrected">
-                    <span class="en">Data corrected</span>
-                    <span class="ar" style="display: none;">تم تصحيح البيانات</span>
+            ${data.truce ? `
+                <div class="tooltip-truce">
+                    <span class="en">${data.truce.label.en}</span>
+                    <span class="ar" style="display: none;">${data.truce.label.ar}</span>
+                </div>
+            ` : ''}
+            ${data.provenance ? `
+                <div class="tooltip-provenance${data.corrected ? ' tooltip-corrected' : ''}">
+                    <span class="en">${formatProvenance(data.provenance, 'en')}</span>
+                    <span class="ar" style="display: none;">${formatProvenance(data.provenance, 'ar')}</span>
                 </div>
             ` : ''}
         `;
@@ -375,13 +412,14 @@ class TimelineRail {
             detail: { data: data }
         }));
         
-        console.log(`📅 Dot selected: ${data.date} - ${data.value} martyred`);
+        console.log(`📅 Dot selected: ${data.date} - ${data.value}`);
     }
 
     /**
      * Create story summary
      */
     createStorySummary(dayData) {
+        const unit = this.dataProcessor.getMetricDefinition().unit;
         const summary = document.createElement('div');
         summary.className = 'story-summary';
         
@@ -403,8 +441,8 @@ class TimelineRail {
                     <span class="ar" style="display: none;">إجمالي في هذا اليوم:</span>
                 </span>
                 <span class="stat-value">
-                    <span class="en">${total.toLocaleString()} martyred</span>
-                    <span class="ar" style="display: none;">${total.toLocaleString('ar-EG')} شهيد</span>
+                    <span class="en">${total.toLocaleString()} ${unit.en}</span>
+                    <span class="ar" style="display: none;">${total.toLocaleString('ar-EG')} ${unit.ar}</span>
                 </span>
             </div>
             <div class="summary-stat">
@@ -413,8 +451,8 @@ class TimelineRail {
                     <span class="ar" style="display: none;">المتوسط شهرياً:</span>
                 </span>
                 <span class="stat-value">
-                    <span class="en">${average.toLocaleString()} martyred</span>
-                    <span class="ar" style="display: none;">${average.toLocaleString('ar-EG')} شهيد</span>
+                    <span class="en">${average.toLocaleString()} ${unit.en}</span>
+                    <span class="ar" style="display: none;">${average.toLocaleString('ar-EG')} ${unit.ar}</span>
                 </span>
             </div>
             <div class="summary-stat">
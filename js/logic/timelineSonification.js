@@ -0,0 +1,393 @@
+/**
+ * Timeline Sonification Component
+ * Plays the daily series of the current metric and region as sound with the
+ * Web Audio API (no network needed), and speaks the month as playback crosses
+ * into it. The playhead follows, and moves, the chart's hovered date.
+ */
+
+// How often the scheduler runs, and how far ahead it queues notes (seconds)
+const SONIFICATION_TICK_MS = 25;
+const SONIFICATION_LOOKAHEAD = 0.1;
+
+// Accessible names of the controls without visible text
+const SONIFICATION_LABELS = {
+    scrub: { en: 'Day being played', ar: 'اليوم الذي يُعزف' },
+    modes: { en: 'Sound encoding', ar: 'طريقة تمثيل الصوت' }
+};
+
+class TimelineSonification {
+    constructor(containerId, dataProcessor) {
+        this.container = document.getElementById(containerId);
+        this.dataProcessor = dataProcessor;
+        this.score = { events: [], duration: 0 };
+        this.mode = 'pitch';
+        this.position = 0;
+        this.isPlaying = false;
+        this.audioContext = null;
+        this.masterGain = null;
+        this.timer = null;
+        this.startTime = 0;
+        this.nextEvent = 0;
+        this.activeNodes = new Set();
+        this.isInitialized = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the sonification controls
+     */
+    init() {
+        if (!this.container) {
+            console.error('❌ Sonification container not found');
+            return;
+        }
+
+        this.playButton = this.container.querySelector('#sonification-play');
+        this.scrub = this.container.querySelector('#sonification-scrub');
+        this.modeGroup = this.container.querySelector('#sonification-modes');
+        this.status = this.container.querySelector('#sonification-status');
+        this.announcer = this.container.querySelector('#sonification-announcer');
+
+        if (!window.AudioContext && !window.webkitAudioContext) {
+            this.playButton.disabled = true;
+            this.scrub.disabled = true;
+            console.warn('⚠️ Web Audio is not available; sonification disabled');
+        }
+
+        this.setupEventListeners();
+        this.updateLanguage(this.getLanguage());
+        this.isInitialized = true;
+        console.log('✅ TimelineSonification initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.playButton.addEventListener('click', () => this.toggle());
+
+        // Scrubbing seeks; while paused it plays the day under the thumb
+        this.scrub.addEventListener('input', () => this.seek(parseInt(this.scrub.value, 10)));
+
+        this.modeGroup.addEventListener('click', (e) => {
+            const button = e.target.closest('.sonification-mode-btn');
+            if (!button) return;
+
+            this.mode = button.dataset.mode;
+            this.renderModeButtons();
+        });
+
+        // Leaving the page shouldn't leave sound playing
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+        });
+    }
+
+    /**
+     * One button per entry of SONIFICATION_MODES, in the page language
+     */
+    renderModeButtons() {
+        const isArabic = this.getLanguage() === 'ar';
+
+        this.modeGroup.innerHTML = Object.entries(SONIFICATION_MODES).map(([mode, label]) => {
+            const isActive = mode === this.mode;
+            return `
+                <button type="button" class="source-btn sonification-mode-btn${isActive ? ' active' : ''}" data-mode="${mode}" aria-pressed="${isActive}">
+                    <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">${label.en}</span>
+                    <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">${label.ar}</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Relabel the controls for a language
+     * @param {string} language - 'en' or 'ar'
+     */
+    updateLanguage(language) {
+        const labelKey = language === 'ar' ? 'ar' : 'en';
+        this.scrub.setAttribute('aria-label', SONIFICATION_LABELS.scrub[labelKey]);
+        this.modeGroup.setAttribute('aria-label', SONIFICATION_LABELS.modes[labelKey]);
+        this.renderModeButtons();
+        this.updateControls();
+    }
+
+    /**
+     * Rebuild the score for a metric and source, keeping the playhead on the same day
+     * @param {string} metric - Key from timelineMetrics.js
+     * @param {string} source - 'official' or 'extended'
+     */
+    updateData(metric, source) {
+        if (!this.isInitialized) return;
+
+        const date = this.score.events[this.position]?.date;
+        this.pause();
+
+        this.score = buildSonificationScore(this.dataProcessor.getDataForMetric(metric, source));
+        this.position = date ? Math.max(findSonificationIndex(this.score.events, date), 0) : 0;
+        this.updateControls();
+    }
+
+    /**
+     * Play or pause
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Start playing from the playhead (from the start once it reached the end)
+     */
+    play() {
+        const events = this.score.events;
+        if (this.isPlaying || !events.length || !this.ensureAudioContext()) return;
+
+        if (this.position >= events.length - 1) this.position = 0;
+
+        this.isPlaying = true;
+        this.startTime = this.audioContext.currentTime + SONIFICATION_LOOKAHEAD - events[this.position].time;
+        this.nextEvent = this.position;
+
+        this.showPosition(true);
+        this.timer = setInterval(() => this.tick(), SONIFICATION_TICK_MS);
+        this.tick();
+        this.updateControls();
+    }
+
+    /**
+     * Stop playing and silence anything already queued
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        clearInterval(this.timer);
+        this.timer = null;
+
+        this.activeNodes.forEach(node => node.stop());
+        this.activeNodes.clear();
+        if (window.speechSynthesis) window.speechSynthesis.cancel();
+
+        this.updateControls();
+    }
+
+    /**
+     * Move the playhead to a day; playback carries on from there
+     * @param {number} index - Days since the start of the series
+     */
+    seek(index) {
+        const events = this.score.events;
+        if (!events.length) return;
+
+        const wasPlaying = this.isPlaying;
+        this.pause();
+        this.position = Math.min(Math.max(index, 0), events.length - 1);
+
+        if (wasPlaying) {
+            this.play();
+        } else {
+            this.showPosition(false);
+            this.updateControls();
+            if (this.ensureAudioContext()) {
+                this.scheduleEvent(events[this.position], this.audioContext.currentTime);
+            }
+        }
+    }
+
+    /**
+     * Follow a date hovered on the chart while paused
+     * @param {string} date - YYYY-MM-DD
+     */
+    setPositionFromDate(date) {
+        if (this.isPlaying || !this.score.events.length) return;
+
+        this.position = Math.max(findSonificationIndex(this.score.events, date), 0);
+        this.updateControls();
+    }
+
+    /**
+     * Queue the notes coming up and move the playhead to the day being heard
+     */
+    tick() {
+        const events = this.score.events;
+        const now = this.audioContext.currentTime;
+
+        while (this.nextEvent < events.length && this.startTime + events[this.nextEvent].time < now + SONIFICATION_LOOKAHEAD) {
+            this.scheduleEvent(events[this.nextEvent], this.startTime + events[this.nextEvent].time);
+            this.nextEvent += 1;
+        }
+
+        let index = this.position;
+        while (index + 1 < events.length && this.startTime + events[index + 1].time <= now) {
+            index += 1;
+        }
+
+        if (index !== this.position) {
+            this.position = index;
+            this.showPosition(events[index].announce);
+            this.updateControls();
+        }
+
+        if (now >= this.startTime + this.score.duration) {
+            this.pause();
+        }
+    }
+
+    /**
+     * Audio context, created on first use (browsers only allow it after a user gesture)
+     * @returns {AudioContext|null}
+     */
+    ensureAudioContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return null;
+
+            this.audioContext = new AudioContextClass();
+            this.masterGain = this.audioContext.createGain();
+            this.masterGain.gain.value = 0.2;
+            this.masterGain.connect(this.audioContext.destination);
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        return this.audioContext;
+    }
+
+    /**
+     * Queue the sound of one day: a tone whose pitch rises with the count, or
+     * that many clicks spread over the day
+     * @param {SonificationEvent} event
+     * @param {number} when - Audio context time
+     */
+    scheduleEvent(event, when) {
+        const duration = SONIFICATION_DEFAULTS.dayDuration;
+
+        if (this.mode === 'density') {
+            for (let click = 0; click < event.clicks; click++) {
+                this.playTone(1200, when + (click * duration) / event.clicks, 0.008, 'square');
+            }
+        } else if (event.frequency) {
+            this.playTone(event.frequency, when, duration * 0.8, 'triangle');
+        }
+    }
+
+    /**
+     * One enveloped tone
+     */
+    playTone(frequency, when, length, type) {
+        const oscillator = this.audioContext.createOscillator();
+        const envelope = this.audioContext.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+
+        // Short attack and release so consecutive days don't click into each other
+        envelope.gain.setValueAtTime(0, when);
+        envelope.gain.linearRampToValueAtTime(1, when + 0.005);
+        envelope.gain.setValueAtTime(1, when + Math.max(length - 0.01, 0.005));
+        envelope.gain.linearRampToValueAtTime(0, when + length);
+
+        oscillator.connect(envelope);
+        envelope.connect(this.masterGain);
+        oscillator.start(when);
+        oscillator.stop(when + length);
+
+        this.activeNodes.add(oscillator);
+        oscillator.onended = () => this.activeNodes.delete(oscillator);
+    }
+
+    /**
+     * Tell the app the day being heard, and speak the month when it changes
+     * @param {boolean} announce
+     */
+    showPosition(announce) {
+        const event = this.score.events[this.position];
+        if (!event) return;
+
+        this.container.dispatchEvent(new CustomEvent('sonificationPosition', {
+            detail: { date: event.date }
+        }));
+
+        if (announce) {
+            this.announce(formatSpokenMonth(event.date, this.getLanguage()));
+        }
+    }
+
+    /**
+     * Speak a month name in the page language; screen readers read the live
+     * region instead when speech synthesis isn't available
+     */
+    announce(text) {
+        const language = this.getLanguage();
+
+        if (window.speechSynthesis && window.SpeechSynthesisUtterance) {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = language === 'ar' ? 'ar' : 'en-US';
+            window.speechSynthesis.cancel();
+            window.speechSynthesis.speak(utterance);
+        } else if (this.announcer) {
+            this.announcer.textContent = text;
+        }
+    }
+
+    getLanguage() {
+        return document.documentElement.getAttribute('lang') === 'ar' ? 'ar' : 'en';
+    }
+
+    /**
+     * Sync the play button, scrub bar and status line
+     */
+    updateControls() {
+        const isArabic = this.getLanguage() === 'ar';
+        const event = this.score.events[this.position];
+
+        const label = this.isPlaying
+            ? { en: 'Pause', ar: 'إيقاف مؤقت' }
+            : { en: 'Play as sound', ar: 'تشغيل كصوت' };
+        this.playButton.innerHTML = `
+            <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">${label.en}</span>
+            <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">${label.ar}</span>
+        `;
+        this.playButton.setAttribute('aria-pressed', String(this.isPlaying));
+
+        this.scrub.max = String(Math.max(this.score.events.length - 1, 0));
+        this.scrub.value = String(this.position);
+
+        if (!event) {
+            this.status.textContent = '';
+            return;
+        }
+
+        const unit = this.dataProcessor.getMetricDefinition().unit;
+        const dateOptions = { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' };
+        const reported = event.value !== null;
+        const text = {
+            en: `${new Date(event.date).toLocaleDateString('en-US', dateOptions)}: ${reported ? `${event.value.toLocaleString('en-US')} ${unit.en}` : 'no report'}`,
+            ar: `${new Date(event.date).toLocaleDateString('ar-EG', dateOptions)}: ${reported ? `${event.value.toLocaleString('ar-EG')} ${unit.ar}` : 'لا يوجد تقرير'}`
+        };
+
+        this.scrub.setAttribute('aria-valuetext', isArabic ? text.ar : text.en);
+        this.status.innerHTML = `
+            <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">${text.en}</span>
+            <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">${text.ar}</span>
+        `;
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.pause();
+        if (this.audioContext) this.audioContext.close();
+        this.isInitialized = false;
+    }
+}
+
+// Export for use in other modules
+window.TimelineSonification = TimelineSonification;
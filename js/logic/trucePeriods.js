@@ -0,0 +1,66 @@
+/**
+ * Truce Periods
+ * Pure helpers for the truce and ceasefire windows in data/truce_periods.json,
+ * shared by the chart, heat map, day rail and KPIs.
+ */
+
+/**
+ * @typedef {Object} TrucePeriod
+ * @property {string} region - Region it applies to ('gaza' or 'west_bank')
+ * @property {string} start - First day of the truce (YYYY-MM-DD)
+ * @property {string} end - Last day of the truce, inclusive (YYYY-MM-DD)
+ * @property {string} type - 'pause' or 'ceasefire'
+ * @property {{en: string, ar: string}} label
+ */
+
+// Short names for badges
+const TRUCE_TYPE_LABELS = {
+    pause: { en: 'Pause', ar: 'هدنة' },
+    ceasefire: { en: 'Ceasefire', ar: 'وقف إطلاق النار' }
+};
+
+/**
+ * The truce period a date falls in
+ * @param {TrucePeriod[]} periods
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {TrucePeriod|null}
+ */
+function findTrucePeriod(periods, dateStr) {
+    if (!dateStr) return null;
+    return periods.find(period => dateStr >= period.start && dateStr <= period.end) || null;
+}
+
+/**
+ * Daily averages during and outside truce periods
+ * @param {Object[]} days - { date, value } for every day with a value
+ * @param {TrucePeriod[]} periods
+ * @returns {Object} - { truce, outside }, each { days, total, average }; average is
+ *   null when there are no days on that side
+ */
+function compareTruceAverages(days, periods) {
+    const sides = {
+        truce: { days: 0, total: 0, average: null },
+        outside: { days: 0, total: 0, average: null }
+    };
+
+    days.forEach(day => {
+        const side = findTrucePeriod(periods, day.date) ? sides.truce : sides.outside;
+        side.days += 1;
+        side.total += day.value;
+    });
+
+    Object.values(sides).forEach(side => {
+        if (side.days > 0) side.average = side.total / side.days;
+    });
+
+    return sides;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRUCE_TYPE_LABELS,
+        findTrucePeriod,
+        compareTruceAverages
+    };
+}
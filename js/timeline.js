@@ -3,11 +3,40 @@
  * Initializes and coordinates all timeline components with the new heat map system
  */
 
+// KPI card labels for the whole series and for a selected date range
+const KPI_LABELS = {
+    all: [
+        { en: 'Total', ar: 'الإجمالي' },
+        { en: 'Latest report', ar: 'آخر تقرير' },
+        { en: 'Last 7 days', ar: 'آخر ٧ أيام' },
+        { en: 'Last 30 days', ar: 'آخر ٣٠ يوماً' }
+    ],
+    range: [
+        { en: 'Total in range', ar: 'الإجمالي في الفترة' },
+        { en: 'Daily average', ar: 'المتوسط اليومي' },
+        { en: 'Highest day', ar: 'أعلى يوم' },
+        { en: 'Days reported', ar: 'أيام التقارير' }
+    ]
+};
+
+// Value column of the table views, by chart granularity
+const TABLE_PERIOD_LABELS = {
+    daily: { en: 'Per day', ar: 'يومياً' },
+    weekly: { en: 'Per week', ar: 'أسبوعياً' },
+    monthly: { en: 'Per month', ar: 'شهرياً' },
+    cumulative: { en: 'Running total', ar: 'الإجمالي التراكمي' }
+};
+
 class TimelineApp {
     constructor() {
         this.dataProcessor = null;
         this.peaks = null;
         this.rail = null;
+        this.heatmap = null;
+        this.chart = null;
+        this.chartTable = null;
+        this.heatmapTable = null;
+        this.sonification = null;
         this.isInitialized = false;
         
         this.init();
@@ -20,10 +49,14 @@ class TimelineApp {
         try {
             console.log('🚀 Initializing Timeline App with Heat Map...');
             
-            // Initialize heat map data processor
-            this.dataProcessor = new HeatmapDataProcessor();
+            // Initialize heat map data processor for the region in the URL, if any
+            const region = new URLSearchParams(window.location.search).get('region') || 'gaza';
+            this.dataProcessor = new HeatmapDataProcessor(region);
             await this.dataProcessor.init();
             
+            // Restore a date range shared in the URL
+            this.dataProcessor.setDateRange(parseDateRangeParam(new URLSearchParams(window.location.search).get('range')));
+            
             // Initialize components
             this.initializeComponents();
             
@@ -66,6 +99,47 @@ class TimelineApp {
         // Initialize day rail (for day selection)
         this.rail = new TimelineRail('day-rail', this.dataProcessor);
         
+        // Initialize heat map grid
+        this.heatmap = new HeatmapGrid('heatmap-grid', this.dataProcessor);
+        
+        // Initialize trend chart, fed by the same region and metric
+        this.chart = new TimelineChart('timeline-chart', this.dataProcessor);
+        
+        // Table views of the chart and heat map, for screen readers and keyboards
+        this.chartTable = new DataTableView('timeline-chart-table', {
+            getRows: () => buildDataTableRows(this.chart.data, this.dataProcessor.getAnnotations(), this.chart.granularity),
+            getCaption: () => this.getTableCaption({ en: 'Data behind the chart', ar: 'بيانات الرسم البياني' }, this.chart.granularity),
+            getValueLabel: () => this.getTableValueLabel(this.chart.granularity),
+            getGranularity: () => this.chart.granularity,
+            onRowFocus: (row) => {
+                this.chart.setHoveredDate(row.date);
+                this.chart.ensureVisible(row.date);
+            },
+            onRowActivate: (row) => {
+                if (this.chart.granularity === 'daily') this.handlePeakClicked(row.date);
+            }
+        });
+        
+        this.heatmapTable = new DataTableView('heatmap-table', {
+            getRows: () => buildDataTableRows(this.dataProcessor.getDataForMetric(), this.dataProcessor.getAnnotations()),
+            getCaption: () => this.getTableCaption({ en: 'Data behind the heat map', ar: 'بيانات الخريطة الحرارية' }, 'daily'),
+            getValueLabel: () => this.getTableValueLabel('daily'),
+            onRowFocus: (row) => this.heatmap.showDate(row.date),
+            onRowActivate: (row) => {
+                const cell = this.heatmap.getCell(row.date);
+                if (cell) this.heatmap.handleCellClick(cell);
+            }
+        });
+        
+        // Audio rendering of the daily series
+        this.sonification = new TimelineSonification('timeline-sonification', this.dataProcessor);
+        
+        // All show the date range restored from the URL
+        this.chart.setSelectedRange(this.dataProcessor.getDateRange());
+        this.heatmap.setSelectedRange(this.dataProcessor.getDateRange());
+        this.chartTable.setSelectedRange(this.dataProcessor.getDateRange());
+        this.heatmapTable.setSelectedRange(this.dataProcessor.getDateRange());
+        
         console.log('✅ Components initialized');
     }
 
@@ -79,16 +153,439 @@ class TimelineApp {
         // Rail interactions
         this.setupRailInteractions();
         
+        // Region switch
+        this.setupRegionToggle();
+        
+        // Heat map caption and corrections log
+        this.setupProvenance();
+        
+        // Chart granularity
+        this.setupChartControls();
+        
+        // Annotation categories
+        this.setupAnnotationFilter();
+        
+        // Date ranges brushed on the chart or heat map
+        this.setupRangeSelection();
+        
+        // Table views, kept on the same day as the chart, heat map and peaks
+        this.setupTableViews();
+        
+        // Sonification playhead and the chart's hovered date
+        this.setupSonification();
+        
+        // Peak detection method, count and baseline window
+        this.setupPeakControls();
+        
+        // Metric changes from the heat map selector
+        document.addEventListener('metricChanged', () => {
+            this.updateKPIs();
+            this.updateChart();
+        });
+        
         // Language change handling
         document.addEventListener('languageChanged', (e) => {
             this.updatePageTitle(e.detail.language);
             this.peaks?.updateLanguage(e.detail.language);
             this.rail?.updateLanguage(e.detail.language);
+            this.sonification?.updateLanguage(e.detail.language);
+            this.refreshAll();
+        });
+    }
+
+
+
+    /**
+     * Setup the Gaza / West Bank switch
+     */
+    setupRegionToggle() {
+        document.querySelectorAll('.region-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.handleRegionSelected(button.dataset.region);
+            });
+        });
+        
+        this.updateRegionControls();
+    }
+
+    /**
+     * Reflect the current region in the switch, the note and the URL
+     */
+    updateRegionControls() {
+        const region = this.dataProcessor.getRegion();
+        
+        document.querySelectorAll('.region-btn').forEach(button => {
+            const isActive = button.dataset.region === region;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+        
+        const note = document.getElementById('region-note');
+        if (note) {
+            note.hidden = region !== 'west_bank';
+        }
+        
+        const url = new URL(window.location.href);
+        if (region === 'gaza') {
+            url.searchParams.delete('region');
+        } else {
+            url.searchParams.set('region', region);
+        }
+        history.replaceState(null, '', url);
+    }
+
+    /**
+     * Handle region switch
+     */
+    async handleRegionSelected(region) {
+        try {
+            const changed = await this.dataProcessor.setRegion(region);
+            if (!changed) return;
+            
+            console.log(`🗺️ Region selected: ${region}`);
+            this.updateRegionControls();
             this.refreshAll();
+            
+            document.dispatchEvent(new CustomEvent('regionChanged', {
+                detail: { region: region }
+            }));
+        } catch (error) {
+            console.error('❌ Failed to switch region:', error);
+            this.updateRegionControls();
+        }
+    }
+
+    /**
+     * Setup the chart's granularity buttons, zoom reset and date clicks
+     */
+    setupChartControls() {
+        document.querySelectorAll('.granularity-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.chart?.setGranularity(button.dataset.granularity);
+                this.chartTable?.render();
+                
+                document.querySelectorAll('.granularity-btn').forEach(other => {
+                    const isActive = other === button;
+                    other.classList.toggle('active', isActive);
+                    other.setAttribute('aria-pressed', String(isActive));
+                });
+                
+                this.updateOverlayControls();
+            });
+        });
+        
+        document.querySelectorAll('.overlay-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!this.chart) return;
+                const isActive = this.chart.toggleOverlay(button.dataset.overlay);
+                button.classList.toggle('active', isActive);
+                button.setAttribute('aria-pressed', String(isActive));
+            });
+        });
+        
+        const resetZoom = document.getElementById('chart-reset-zoom');
+        if (resetZoom) {
+            resetZoom.addEventListener('click', () => this.chart?.resetZoom());
+        }
+        
+        // A clicked day opens that day of month in the rail
+        const chartContainer = document.getElementById('timeline-chart');
+        if (chartContainer) {
+            chartContainer.addEventListener('dateClicked', (e) => {
+                if (e.detail.granularity === 'daily') {
+                    this.handlePeakClicked(e.detail.date);
+                }
+            });
+            
+            chartContainer.addEventListener('zoomChanged', (e) => {
+                if (resetZoom) resetZoom.disabled = !e.detail.zoomed;
+            });
+        }
+    }
+
+    /**
+     * Setup the annotation category filter shared by the chart, peaks and heat map
+     */
+    setupAnnotationFilter() {
+        const buttons = document.querySelectorAll('.annotation-filter-btn');
+        
+        buttons.forEach(button => {
+            button.addEventListener('click', () => {
+                const isActive = !button.classList.contains('active');
+                button.classList.toggle('active', isActive);
+                button.setAttribute('aria-pressed', String(isActive));
+                
+                const categories = [...buttons]
+                    .filter(other => other.classList.contains('active'))
+                    .map(other => other.dataset.category);
+                this.dataProcessor.setAnnotationFilter(categories);
+                
+                this.peaks?.render();
+                this.heatmap?.render();
+                this.chart?.render();
+                this.updateTables();
+            });
+        });
+    }
+
+    /**
+     * Setup date range selection on the chart and heat map
+     */
+    setupRangeSelection() {
+        ['timeline-chart', 'heatmap-grid'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('rangeSelected', (e) => this.setDateRange(e.detail.range));
+            }
+        });
+        
+        const clear = document.getElementById('range-clear');
+        if (clear) {
+            clear.addEventListener('click', () => this.setDateRange(null));
+        }
+        
+        const status = document.getElementById('range-status-text');
+        this.rangeHint = status ? status.innerHTML : '';
+        this.updateRangeControls();
+    }
+
+    /**
+     * Limit the KPIs and peaks to a date range, or clear it with null, and
+     * show it on the chart and heat map
+     * @param {Object|null} range - { start, end } (dateRange.js)
+     */
+    setDateRange(range) {
+        this.dataProcessor.setDateRange(range);
+        this.chart?.setSelectedRange(range);
+        this.heatmap?.setSelectedRange(range);
+        this.chartTable?.setSelectedRange(range);
+        this.heatmapTable?.setSelectedRange(range);
+        this.peaks?.refresh();
+        this.updateKPIs();
+        this.updateRangeControls();
+    }
+
+    /**
+     * Reflect the date range in the status line and the URL
+     */
+    updateRangeControls() {
+        const range = this.dataProcessor.getDateRange();
+        const status = document.getElementById('range-status-text');
+        const clear = document.getElementById('range-clear');
+        const isArabic = document.documentElement.getAttribute('lang') === 'ar';
+        
+        if (clear) {
+            clear.hidden = !range;
+        }
+        
+        if (status && range) {
+            const format = (dateStr, locale) => new Date(dateStr).toLocaleDateString(locale, {
+                month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+            });
+            const days = countRangeDays(range);
+            
+            status.innerHTML = `
+                <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">Showing ${format(range.start, 'en-US')} – ${format(range.end, 'en-US')} (${days} days). The figures above and the peak days cover this range only.</span>
+                <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">عرض الفترة من ${format(range.start, 'ar-EG')} إلى ${format(range.end, 'ar-EG')} (${days.toLocaleString('ar-EG')} يوماً). تقتصر الأرقام أعلاه وأيام الذروة على هذه الفترة.</span>
+            `;
+        } else if (status) {
+            status.innerHTML = this.rangeHint;
+            
+            // The hint was captured in the page's initial language
+            status.querySelector('.en').style.display = isArabic ? 'none' : 'inline';
+            status.querySelector('.ar').style.display = isArabic ? 'inline' : 'none';
+        }
+        
+        const url = new URL(window.location.href);
+        if (range) {
+            url.searchParams.set('range', formatDateRangeParam(range));
+        } else {
+            url.searchParams.delete('range');
+        }
+        history.replaceState(null, '', url);
+    }
+
+    /**
+     * Overlays only apply to the daily view; disable them elsewhere
+     */
+    updateOverlayControls() {
+        const enabled = !this.chart || this.chart.canShowOverlays();
+        
+        document.querySelectorAll('.overlay-btn').forEach(button => {
+            button.disabled = !enabled;
+        });
+        
+        const note = document.getElementById('overlay-note');
+        if (note) {
+            note.hidden = enabled;
+        }
+    }
+
+    /**
+     * Redraw the chart for the current region and metric
+     */
+    updateChart() {
+        if (this.chart) {
+            this.chart.updateData(this.dataProcessor.currentMetric, 'official');
+        }
+        this.sonification?.updateData(this.dataProcessor.currentMetric, 'official');
+        this.updateTables();
+    }
+
+    /**
+     * Move the chart's hovered date with the sonification playhead, and the
+     * playhead with the chart while paused
+     */
+    setupSonification() {
+        document.getElementById('timeline-sonification')?.addEventListener('sonificationPosition', (e) => {
+            this.chart?.setHoveredDate(e.detail.date);
+            this.chart?.ensureVisible(e.detail.date);
+            this.chartTable?.setActiveDate(e.detail.date);
+        });
+        
+        document.getElementById('timeline-chart')?.addEventListener('dateHovered', (e) => {
+            this.sonification?.setPositionFromDate(e.detail.date);
         });
     }
 
+    /**
+     * Setup the table view toggles and keep the tables on the day the chart,
+     * heat map or peaks are on
+     */
+    setupTableViews() {
+        const tables = {
+            'timeline-chart-table': this.chartTable,
+            'heatmap-table': this.heatmapTable
+        };
+        
+        document.querySelectorAll('.table-toggle').forEach(button => {
+            button.addEventListener('click', () => {
+                const table = tables[button.getAttribute('aria-controls')];
+                if (!table) return;
+                
+                const isVisible = button.getAttribute('aria-pressed') !== 'true';
+                button.setAttribute('aria-pressed', String(isVisible));
+                button.classList.toggle('active', isVisible);
+                table.setVisible(isVisible);
+            });
+        });
+        
+        document.getElementById('timeline-chart')?.addEventListener('dateHovered', (e) => {
+            this.chartTable?.setActiveDate(e.detail.date);
+        });
+        
+        document.getElementById('heatmap-grid')?.addEventListener('cellFocused', (e) => {
+            this.heatmapTable?.setActiveDate(e.detail.cell.date);
+        });
+        
+        // Peak cards, hovered or focused with the arrow keys, show their day
+        // on the chart and in both tables
+        const peaksList = document.getElementById('peaks-list');
+        if (peaksList) {
+            peaksList.addEventListener('peakHovered', (e) => {
+                this.chart?.setHoveredDate(e.detail.date);
+                this.chart?.ensureVisible(e.detail.date);
+                this.chartTable?.setActiveDate(e.detail.date);
+                this.heatmapTable?.setActiveDate(e.detail.date);
+            });
+            
+            peaksList.addEventListener('peakUnhovered', () => {
+                this.chart?.setHoveredDate(null);
+            });
+            
+            peaksList.addEventListener('peakFocused', (e) => this.handlePeakClicked(e.detail.date));
+        }
+    }
+
+    /**
+     * Re-render the table views that are shown
+     */
+    updateTables() {
+        this.chartTable?.render();
+        this.heatmapTable?.render();
+    }
+
+    /**
+     * Table caption: what it shows, in the current metric's unit
+     */
+    getTableCaption(title, granularity) {
+        const unit = this.dataProcessor.getMetricDefinition().unit;
+        const period = TABLE_PERIOD_LABELS[granularity];
+        return {
+            en: `${title.en} — ${unit.en}, ${period.en.toLowerCase()}`,
+            ar: `${title.ar} — ${unit.ar}، ${period.ar}`
+        };
+    }
+
+    /**
+     * Header of the tables' value column
+     */
+    getTableValueLabel(granularity) {
+        const unit = this.dataProcessor.getMetricDefinition().unit;
+        const period = TABLE_PERIOD_LABELS[granularity];
+        return {
+            en: `${period.en} (${unit.en})`,
+            ar: `${period.ar} (${unit.ar})`
+        };
+    }
+
+    /**
+     * Setup the heat map caption and the corrections log download
+     */
+    setupProvenance() {
+        const grid = document.getElementById('heatmap-grid');
+        const caption = document.getElementById('heatmap-caption');
+        
+        if (grid && caption) {
+            const placeholder = caption.innerHTML;
+            
+            grid.addEventListener('showCaption', (e) => {
+                const { text, textAr, provenance, annotation } = e.detail;
+                const isArabic = document.documentElement.getAttribute('lang') === 'ar';
+                const line = (en, ar) => `
+                    <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">${en}</span>
+                    <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">${ar}</span>
+                `;
+                
+                caption.innerHTML = line(text, textAr)
+                    + (annotation ? `<div class="caption-annotation">${line(annotation.en, annotation.ar)}</div>` : '')
+                    + (provenance ? `<div class="caption-provenance">${line(provenance.en, provenance.ar)}</div>` : '');
+            });
+            
+            grid.addEventListener('hideCaption', () => {
+                caption.innerHTML = placeholder;
+                
+                // The placeholder was captured in the page's initial language
+                const isArabic = document.documentElement.getAttribute('lang') === 'ar';
+                caption.querySelector('.en').style.display = isArabic ? 'none' : 'inline';
+                caption.querySelector('.ar').style.display = isArabic ? 'inline' : 'none';
+            });
+        }
+        
+        const download = document.getElementById('corrections-download');
+        if (download) {
+            download.addEventListener('click', () => this.downloadCorrectionsLog());
+        }
+    }
 
+    /**
+     * Download every revised or multi-day value of the current region as CSV
+     */
+    downloadCorrectionsLog() {
+        const rows = this.dataProcessor.getCorrectionsLog();
+        const blob = new Blob([correctionsToCsv(rows)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `corrections-${this.dataProcessor.getRegion().replace('_', '-')}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        
+        console.log(`📥 Downloaded corrections log: ${rows.length} rows`);
+    }
 
     /**
      * Setup peaks interaction events
@@ -103,6 +600,43 @@ class TimelineApp {
         });
     }
 
+    /**
+     * Setup the peak detection controls; the cards and the chart's peaks
+     * overlay both follow them
+     */
+    setupPeakControls() {
+        const buttons = document.querySelectorAll('.peak-strategy-btn');
+        const countInput = document.getElementById('peak-count');
+        const windowInput = document.getElementById('peak-window');
+        
+        const apply = (options) => {
+            this.dataProcessor.setPeakOptions(options);
+            this.peaks?.refresh();
+            this.chart?.render();
+        };
+        
+        buttons.forEach(button => {
+            button.addEventListener('click', () => {
+                buttons.forEach(other => {
+                    const isActive = other === button;
+                    other.classList.toggle('active', isActive);
+                    other.setAttribute('aria-pressed', String(isActive));
+                });
+                apply({ strategy: button.dataset.strategy });
+            });
+        });
+        
+        // Out-of-range entries snap back to the nearest allowed value
+        [[countInput, 'count'], [windowInput, 'window']].forEach(([input, key]) => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const value = Math.min(Math.max(parseInt(input.value, 10) || 0, Number(input.min)), Number(input.max));
+                input.value = String(value);
+                apply({ [key]: value });
+            });
+        });
+    }
+
     /**
      * Setup rail interaction events
      */
@@ -149,24 +683,81 @@ class TimelineApp {
      */
     updateKPIs() {
         try {
-            const kpis = this.dataProcessor.getKPIs();
+            const isArabic = document.documentElement.getAttribute('lang') === 'ar';
+            const range = this.dataProcessor.getRangeSummary();
+            let values;
+            
+            if (range) {
+                // Totals and averages for the selected window
+                const average = range.average ?? 0;
+                values = [
+                    range.total.toLocaleString(),
+                    average.toLocaleString('en-US', { maximumFractionDigits: average < 10 ? 1 : 0 }),
+                    range.peak ? range.peak.value.toLocaleString() : '-',
+                    range.days.toLocaleString()
+                ];
+            } else {
+                const kpis = this.dataProcessor.getKPIs();
+                values = [kpis.total, kpis.today, kpis.week, kpis.month].map(value => value.toLocaleString());
+            }
             
             // Update KPI values
-            const totalElement = document.getElementById('total-killed');
-            const todayElement = document.getElementById('today-killed');
-            const weekElement = document.getElementById('week-killed');
-            const monthElement = document.getElementById('month-killed');
+            ['total-killed', 'today-killed', 'week-killed', 'month-killed'].forEach((id, index) => {
+                const element = document.getElementById(id);
+                if (element) element.textContent = values[index];
+            });
+            
+            // Label the cards for the whole series or the range
+            const labels = KPI_LABELS[range ? 'range' : 'all'];
+            document.querySelectorAll('.kpis-row .kpi-label').forEach((element, index) => {
+                if (!labels[index]) return;
+                element.innerHTML = `
+                    <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">${labels[index].en}</span>
+                    <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">${labels[index].ar}</span>
+                `;
+            });
+            
+            // Name the metric the KPIs describe
+            const metricElement = document.getElementById('kpi-metric');
+            if (metricElement) {
+                const unit = this.dataProcessor.getMetricDefinition().unit;
+                metricElement.innerHTML = `
+                    <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">Showing: ${unit.en}</span>
+                    <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">المؤشر: ${unit.ar}</span>
+                `;
+            }
             
-            if (totalElement) totalElement.textContent = kpis.total.toLocaleString();
-            if (todayElement) todayElement.textContent = kpis.today.toLocaleString();
-            if (weekElement) weekElement.textContent = kpis.week.toLocaleString();
-            if (monthElement) monthElement.textContent = kpis.month.toLocaleString();
+            this.updateTruceComparison();
             
         } catch (error) {
             console.error('❌ Failed to update KPIs:', error);
         }
     }
 
+    /**
+     * Compare the metric's daily average during and outside truce periods
+     */
+    updateTruceComparison() {
+        const element = document.getElementById('truce-comparison');
+        if (!element) return;
+        
+        const { truce, outside } = this.dataProcessor.getTruceComparison();
+        if (truce.average === null || outside.average === null) {
+            element.hidden = true;
+            return;
+        }
+        
+        const isArabic = document.documentElement.getAttribute('lang') === 'ar';
+        const unit = this.dataProcessor.getMetricDefinition().unit;
+        const format = (value, locale) => value.toLocaleString(locale, { maximumFractionDigits: value < 10 ? 1 : 0 });
+        
+        element.innerHTML = `
+            <span class="en" style="display: ${isArabic ? 'none' : 'inline'};">Daily average during truces: <strong>${format(truce.average, 'en-US')}</strong> ${unit.en} (${truce.days} days) · outside truces: <strong>${format(outside.average, 'en-US')}</strong> (${outside.days} days)</span>
+            <span class="ar" style="display: ${isArabic ? 'inline' : 'none'};">المتوسط اليومي خلال الهدن: <strong>${format(truce.average, 'ar-EG')}</strong> ${unit.ar} (${truce.days.toLocaleString('ar-EG')} يوماً) · خارج الهدن: <strong>${format(outside.average, 'ar-EG')}</strong> (${outside.days.toLocaleString('ar-EG')} يوماً)</span>
+        `;
+        element.hidden = false;
+    }
+
     /**
      * Update page title based on language
      */
@@ -193,6 +784,14 @@ class TimelineApp {
                 this.rail.refresh();
             }
             
+            // Update heat map
+            if (this.heatmap) {
+                this.heatmap.updateData();
+            }
+            
+            // Update chart
+            this.updateChart();
+            
             // Update KPIs
             this.updateKPIs();
             
@@ -245,6 +844,11 @@ class TimelineApp {
     destroy() {
         if (this.peaks) this.peaks.destroy();
         if (this.rail) this.rail.destroy();
+        if (this.heatmap) this.heatmap.destroy();
+        if (this.chart) this.chart.destroy();
+        if (this.chartTable) this.chartTable.destroy();
+        if (this.heatmapTable) this.heatmapTable.destroy();
+        if (this.sonification) this.sonification.destroy();
         
         this.isInitialized = false;
         console.log('🗑️ Timeline App destroyed');
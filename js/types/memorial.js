@@ -0,0 +1,30 @@
+/**
+ * Memorial Person Type Definitions
+ * Defines the normalized structure for records on the memorial wall
+ */
+
+/**
+ * @typedef {Object} MemorialPerson
+ * @property {string|number} id - Record identifier from the source dataset
+ * @property {string} name - Arabic name
+ * @property {string} en_name - English transliteration of the name
+ * @property {number|null} age - Age in years (fractional for infants)
+ * @property {string|null} dob - Date of birth (ISO format if available)
+ * @property {string|null} dod - Date of death (ISO format if available); birthday
+ *   and life-duration contexts are only computed when this is present
+ * @property {string|null} sex - 'm' or 'f'
+ */
+
+/**
+ * @typedef {Object} PersonLifeContext
+ * @property {string} name - Name in the requested language
+ * @property {number|null} age - Age in years
+ * @property {string|null} gender - 'm' or 'f'
+ * @property {string|null} date_of_death - Date of death, if known
+ * @property {string} language - 'en' or 'ar'
+ * @property {Object} [school_context] - School year context (under 18)
+ * @property {Object} [life_stage] - Life stage context (18 and over)
+ * @property {Object} [seasonal] - Season of birth context (needs dob)
+ * @property {Object} [birthday] - Age at death and next birthday (needs dob and dod)
+ * @property {Object} [life_duration] - Days lived, as { days } (needs dob and dod)
+ */
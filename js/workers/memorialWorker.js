@@ -0,0 +1,358 @@
+/**
+ * Memorial Data Worker
+ * Loads, normalizes, filters and sorts the memorial dataset off the main thread
+ *
+ * Requests (main thread -> worker):
+ *   { type: 'load', url }
+ *   { type: 'query', id, filter, search, sort, language, page, pageSize }
+ *   { type: 'locate', id, filter, search, sort, language, letter }
+ *   { type: 'locate', id, filter, search, sort, language, personId }
+ *   { type: 'families', id, filter, search, sort, language, page, pageSize }
+ *
+ * `filter` combines facets; omitted or null fields are unrestricted:
+ *   { sex: 'm'|'f', ageMin, ageMax, birthYearMin, birthYearMax, initial: 'en:A'|'ar:م' }
+ *
+ * Responses (worker -> main thread):
+ *   { type: 'loaded', grandTotal, bounds }
+ *   { type: 'result', id, items, page, pageSize, total, grandTotal, counts }
+ *   { type: 'located', id, index }  (index is -1 when nothing matches)
+ *   { type: 'families', id, items, page, pageSize, total, grandTotal, counts }
+ *   { type: 'error', id, message }
+ */
+
+importScripts('../logic/nameSearch.js', '../logic/familyGroups.js');
+
+let records = [];
+let searchIndex = [];
+let initials = [];
+let birthYears = [];
+let bounds = null;
+
+// The last filtered + sorted index list and its facet counts, reused while paging
+let cachedKey = null;
+let cachedIndices = [];
+let cachedCounts = null;
+
+// Family groups are built on first use, then filtered per query
+let familyGroups = null;
+let cachedFamilyKey = null;
+let cachedFamilies = [];
+
+const FACETS = ['sex', 'age', 'birthYear', 'initial'];
+
+const collators = {
+    ar: new Intl.Collator('ar'),
+    en: new Intl.Collator('en', { sensitivity: 'base' })
+};
+
+/**
+ * Normalize a raw record into a MemorialPerson (js/types/memorial.js)
+ */
+function normalizeRecord(raw) {
+    const age = Number(raw.age);
+    const dod = raw.dod && !isNaN(new Date(raw.dod).getTime()) ? raw.dod : null;
+
+    return {
+        id: raw.id,
+        name: raw.name || '',
+        en_name: raw.en_name || '',
+        age: isNaN(age) ? null : age,
+        dob: raw.dob || null,
+        dod,
+        sex: raw.sex || null
+    };
+}
+
+/**
+ * Fetch and index the dataset
+ */
+async function loadRecords(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const raw = await response.json();
+    records = raw.map(normalizeRecord);
+    searchIndex = records.map(person => createSearchEntry(person));
+    initials = records.map(person => ({ en: initialOf(person, 'en'), ar: initialOf(person, 'ar') }));
+    birthYears = records.map(person => birthYearOf(person));
+    bounds = computeBounds();
+    cachedKey = null;
+    familyGroups = null;
+    cachedFamilyKey = null;
+
+    return records.length;
+}
+
+/**
+ * Birth year from `dob`, or null when missing or unparseable
+ */
+function birthYearOf(person) {
+    const year = person.dob ? parseInt(String(person.dob).slice(0, 4), 10) : NaN;
+    return isNaN(year) ? null : year;
+}
+
+/**
+ * Age and birth-year extremes, used as the slider limits
+ */
+function computeBounds() {
+    const ages = records.map(person => person.age).filter(age => age !== null);
+    const years = birthYears.filter(year => year !== null);
+    const range = (values) => values.length
+        ? { min: Math.floor(values.reduce((a, b) => Math.min(a, b))), max: Math.ceil(values.reduce((a, b) => Math.max(a, b))) }
+        : { min: 0, max: 0 };
+
+    return { age: range(ages), birthYear: range(years) };
+}
+
+/**
+ * Age band used by the preset buttons
+ */
+function ageBand(age) {
+    if (age === null) return null;
+    if (age < 18) return 'children';
+    if (age < 60) return 'adults';
+    return 'elders';
+}
+
+/**
+ * Whether a value lies in an optional inclusive range. Unknown values only
+ * pass when the range is unrestricted.
+ */
+function inRange(value, min, max) {
+    if (min == null && max == null) return true;
+    if (value === null) return false;
+    return (min == null || value >= min) && (max == null || value <= max);
+}
+
+/**
+ * Test one facet of the filter against a record
+ */
+function matchesFacet(facet, index, filter) {
+    const person = records[index];
+
+    switch (facet) {
+        case 'sex':
+            return !filter.sex || person.sex === filter.sex;
+        case 'age':
+            // Ages are compared in whole years, so 17.5 is still "17"
+            return inRange(person.age === null ? null : Math.floor(person.age), filter.ageMin, filter.ageMax);
+        case 'birthYear':
+            return inRange(birthYears[index], filter.birthYearMin, filter.birthYearMax);
+        case 'initial': {
+            if (!filter.initial) return true;
+            const [script, letter] = filter.initial.split(':');
+            return initials[index][script] === letter;
+        }
+        default:
+            return true;
+    }
+}
+
+/**
+ * First letter of a person's name in the given language (alef/hamza forms unified)
+ */
+function initialOf(person, language) {
+    if (language === 'ar') {
+        return normalizeArabic(person.name).charAt(0);
+    }
+
+    return person.en_name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .charAt(0)
+        .toUpperCase();
+}
+
+/**
+ * Sort record indices in place
+ */
+function sortIndices(indices, sort, language) {
+    switch (sort) {
+        case 'name': {
+            const field = language === 'ar' ? 'name' : 'en_name';
+            const collator = collators[language] || collators.en;
+            indices.sort((a, b) => collator.compare(records[a][field], records[b][field]) || a - b);
+            break;
+        }
+        case 'age-asc':
+            indices.sort((a, b) => (records[a].age ?? Infinity) - (records[b].age ?? Infinity) || a - b);
+            break;
+        case 'age-desc':
+            indices.sort((a, b) => (records[b].age ?? -Infinity) - (records[a].age ?? -Infinity) || a - b);
+            break;
+        default:
+            // Dataset order, or relevance order when searching
+            break;
+    }
+}
+
+/**
+ * Resolve the full ordered index list for a query, reusing the cache
+ */
+function resolveIndices({ filter = {}, search = '', sort = 'default', language = 'en' }) {
+    const key = JSON.stringify([filter, search, sort, language]);
+    if (key === cachedKey) return cachedIndices;
+
+    const ranked = search ? searchNames(searchIndex, search) : null;
+    const candidates = ranked || records.map((_, index) => index);
+    const indices = [];
+    const counts = {
+        sex: { all: 0, m: 0, f: 0 },
+        ageBands: { all: 0, children: 0, adults: 0, elders: 0 },
+        birthYears: { all: 0, byYear: {} },
+        initials: { en: {}, ar: {} }
+    };
+
+    // One pass: a record counts towards a facet when it matches every *other* facet,
+    // so each option shows how many results picking it would give
+    candidates.forEach(index => {
+        const failed = FACETS.filter(facet => !matchesFacet(facet, index, filter));
+        if (failed.length > 1) return;
+
+        const passesOthers = (facet) => !failed.length || failed[0] === facet;
+        const person = records[index];
+
+        if (!failed.length) indices.push(index);
+
+        if (passesOthers('sex')) {
+            counts.sex.all++;
+            if (person.sex in counts.sex) counts.sex[person.sex]++;
+        }
+        if (passesOthers('age')) {
+            const band = ageBand(person.age);
+            counts.ageBands.all++;
+            if (band) counts.ageBands[band]++;
+        }
+        if (passesOthers('birthYear')) {
+            const year = birthYears[index];
+            counts.birthYears.all++;
+            if (year !== null) counts.birthYears.byYear[year] = (counts.birthYears.byYear[year] || 0) + 1;
+        }
+        if (passesOthers('initial')) {
+            const { en, ar } = initials[index];
+            if (en) counts.initials.en[en] = (counts.initials.en[en] || 0) + 1;
+            if (ar) counts.initials.ar[ar] = (counts.initials.ar[ar] || 0) + 1;
+        }
+    });
+
+    sortIndices(indices, sort, language);
+
+    cachedKey = key;
+    cachedIndices = indices;
+    cachedCounts = counts;
+    return indices;
+}
+
+/**
+ * Answer a query with one page of records plus totals
+ */
+function runQuery(message) {
+    const pageSize = message.pageSize || 500;
+    const indices = resolveIndices(message);
+    const pageCount = Math.max(1, Math.ceil(indices.length / pageSize));
+    const page = Math.min(Math.max(0, message.page || 0), pageCount - 1);
+    const start = page * pageSize;
+
+    return {
+        type: 'result',
+        id: message.id,
+        items: indices.slice(start, start + pageSize).map(index => records[index]),
+        page,
+        pageSize,
+        total: indices.length,
+        grandTotal: records.length,
+        counts: cachedCounts
+    };
+}
+
+/**
+ * Answer a query with one page of family groups. A group is shown when any
+ * member matches the current filters and search; all its members are sent.
+ */
+function runFamilyQuery(message) {
+    if (!familyGroups) {
+        familyGroups = buildFamilyGroups(records);
+        console.log(`👪 Built ${familyGroups.length} family groups`);
+    }
+
+    const indices = resolveIndices(message);
+    if (cachedFamilyKey !== cachedKey) {
+        const matched = new Set(indices);
+        cachedFamilies = indices.length === records.length
+            ? familyGroups
+            : familyGroups.filter(group => group.members.some(index => matched.has(index)));
+        cachedFamilyKey = cachedKey;
+    }
+
+    const pageSize = message.pageSize || 50;
+    const pageCount = Math.max(1, Math.ceil(cachedFamilies.length / pageSize));
+    const page = Math.min(Math.max(0, message.page || 0), pageCount - 1);
+    const start = page * pageSize;
+
+    return {
+        type: 'families',
+        id: message.id,
+        items: cachedFamilies.slice(start, start + pageSize).map(group => ({
+            id: group.id,
+            surname: group.surname,
+            enSurname: group.enSurname,
+            confidence: group.confidence,
+            members: group.members.map(index => records[index])
+        })),
+        page,
+        pageSize,
+        total: cachedFamilies.length,
+        grandTotal: records.length,
+        counts: cachedCounts
+    };
+}
+
+/**
+ * Find the position of a person, or of the first name starting with a letter
+ */
+function locate(message) {
+    const indices = resolveIndices(message);
+    let index;
+
+    if (message.personId != null) {
+        const personId = String(message.personId);
+        index = indices.findIndex(i => String(records[i].id) === personId);
+    } else {
+        const language = message.language || 'en';
+        const letter = language === 'ar' ? normalizeArabic(message.letter) : message.letter.toUpperCase();
+        index = indices.findIndex(i => initials[i][language === 'ar' ? 'ar' : 'en'] === letter);
+    }
+
+    return { type: 'located', id: message.id, index };
+}
+
+self.addEventListener('message', async (event) => {
+    const message = event.data || {};
+
+    try {
+        switch (message.type) {
+            case 'load': {
+                const grandTotal = await loadRecords(message.url);
+                self.postMessage({ type: 'loaded', id: message.id, grandTotal, bounds });
+                break;
+            }
+            case 'query':
+                self.postMessage(runQuery(message));
+                break;
+            case 'families':
+                self.postMessage(runFamilyQuery(message));
+                break;
+            case 'locate':
+                self.postMessage(locate(message));
+                break;
+            default:
+                throw new Error(`Unknown message type: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+});
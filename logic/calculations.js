@@ -117,29 +117,6 @@ class Calculations {
         });
     }
 
-    /**
-     * Find peaks in data (days with significantly higher casualties)
-     */
-    findPeaks(data, threshold = 2) {
-        if (!data || data.length < 3) return [];
-
-        const peaks = [];
-        const average = data.reduce((sum, day) => sum + (day.killed || 0), 0) / data.length;
-
-        data.forEach((day, index) => {
-            if (day.killed > average * threshold) {
-                peaks.push({
-                    date: day.report_date,
-                    killed: day.killed,
-                    average: Math.round(average),
-                    multiplier: Math.round((day.killed / average) * 10) / 10
-                });
-            }
-        });
-
-        return peaks.sort((a, b) => b.killed - a.killed);
-    }
-
     /**
      * Calculate rate of change between two periods
      */
@@ -157,15 +134,16 @@ class Calculations {
         const grouped = {};
         
         data.forEach(day => {
+            // report_date parses as UTC midnight, so group in UTC too
             const date = new Date(day.report_date);
             let key;
             
             if (period === 'weekly') {
                 const weekStart = new Date(date);
-                weekStart.setDate(date.getDate() - date.getDay());
+                weekStart.setUTCDate(date.getUTCDate() - date.getUTCDay());
                 key = weekStart.toISOString().split('T')[0];
             } else if (period === 'monthly') {
-                key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+                key = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
             }
 
             if (!grouped[key]) {
@@ -14,8 +14,7 @@ class RelatabilityEngine {
      */
     async loadBenchmarks() {
         try {
-            const response = await fetch('./data/benchmarks.json');
-            this.benchmarks = await response.json();
+            this.benchmarks = await window.dataStore.load('benchmarks');
             console.log(`Loaded ${this.benchmarks.length} benchmarks`);
         } catch (error) {
             console.error('Failed to load benchmarks:', error);
@@ -0,0 +1,233 @@
+/**
+ * Service Worker
+ * Precaches the pages, styles, scripts and datasets so the memorial and the
+ * timeline keep working offline after the first visit.
+ *
+ * The URLs come from js/logic/precacheManifest.js and the datasets declared
+ * in dataStore.js. Caches are versioned by a hash of that URL list and by
+ * summary.json's gaza.last_update (changes whenever the daily data is
+ * refreshed). A new version is fully downloaded before the previous one is
+ * deleted. Everything is served stale-while-revalidate, so edits to code and
+ * to hand-maintained datasets such as annotations.json reach returning
+ * visitors on their next load without a new version.
+ */
+
+importScripts('./js/logic/dataStore.js', './js/logic/precacheManifest.js');
+
+const CACHE_PREFIX = 'gaza-memorial-';
+const PRECACHE_URLS = precacheUrls(DATASET_SCHEMAS);
+const CACHE_REVISION = manifestRevision(PRECACHE_URLS);
+
+// Written last, so a cache without it was interrupted mid-download
+const COMPLETE_MARKER = './__precache-complete__';
+
+const SUMMARY_URL = new URL('./data/summary.json', self.registration.scope).href;
+
+// Don't re-check summary.json more than once per this many ms
+const UPDATE_CHECK_INTERVAL = 10 * 60 * 1000;
+let lastUpdateCheck = 0;
+
+/**
+ * Cache name for a data version
+ */
+function cacheNameFor(lastUpdate) {
+    return `${CACHE_PREFIX}r${CACHE_REVISION}-${lastUpdate || 'unknown'}`;
+}
+
+/**
+ * Fetch summary.json from the network and return its data version
+ */
+async function fetchDataVersion() {
+    const response = await fetch(SUMMARY_URL, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const summary = await response.json();
+    return summary.gaza && summary.gaza.last_update;
+}
+
+/**
+ * Download every precached URL into a cache. Individual failures are logged
+ * rather than aborting the install, so one missing file can't disable offline use.
+ */
+async function precache(cacheName) {
+    const cache = await caches.open(cacheName);
+
+    const results = await Promise.allSettled(PRECACHE_URLS.map(async (url) => {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`${url}: HTTP ${response.status}`);
+        }
+        await cache.put(url, response);
+    }));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    failed.forEach(result => console.warn('⚠️ Not cached:', result.reason.message));
+    await cache.put(COMPLETE_MARKER, new Response(new Date().toISOString()));
+    console.log(`✅ Cached ${results.length - failed.length}/${results.length} files in ${cacheName}`);
+}
+
+/**
+ * Delete our caches other than the given one
+ */
+async function deleteOtherCaches(keepName) {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== keepName)
+        .map(name => caches.delete(name)));
+}
+
+/**
+ * Name of the newest complete cache for this revision, if any
+ */
+async function currentCacheName() {
+    const names = await caches.keys();
+    const ours = names.filter(name => name.startsWith(`${CACHE_PREFIX}r${CACHE_REVISION}-`)).reverse();
+
+    for (const name of ours) {
+        const cache = await caches.open(name);
+        if (await cache.match(COMPLETE_MARKER)) return name;
+    }
+    return null;
+}
+
+/**
+ * Re-download everything when summary.json reports a new data version
+ */
+async function checkForDataUpdate() {
+    const now = Date.now();
+    if (now - lastUpdateCheck < UPDATE_CHECK_INTERVAL) return;
+    lastUpdateCheck = now;
+
+    try {
+        const cacheName = cacheNameFor(await fetchDataVersion());
+        if (cacheName === await currentCacheName()) return;
+
+        console.log(`🔄 New data version, refreshing offline cache: ${cacheName}`);
+        await precache(cacheName);
+        await deleteOtherCaches(cacheName);
+    } catch (error) {
+        // Offline or summary unavailable: keep serving the existing cache
+        console.warn('⚠️ Could not check for a data update:', error.message);
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        let version = null;
+        try {
+            version = await fetchDataVersion();
+        } catch (error) {
+            console.warn('⚠️ Could not read data version:', error.message);
+        }
+
+        await precache(cacheNameFor(version));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        const keep = await currentCacheName();
+
+        // Drop caches from older revisions of this worker
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== keep)
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Cache key for a request. Pages are stored without their query string
+ * (memorial.html?person=...), so every permalink shares one cached page.
+ */
+function cacheKeyFor(request) {
+    if (request.mode !== 'navigate') return request;
+
+    const url = new URL(request.url);
+    url.search = '';
+    return url.href;
+}
+
+/**
+ * Fetch from the network and store a successful response in the current cache
+ */
+async function fetchAndCache(request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cacheName = await currentCacheName();
+        if (cacheName) {
+            const cache = await caches.open(cacheName);
+            await cache.put(cacheKeyFor(request), response.clone());
+        }
+    }
+    return response;
+}
+
+/**
+ * The cached copy of a request; pages fall back to the home page offline
+ */
+async function matchCached(request, { withFallback = false } = {}) {
+    const isPage = request.mode === 'navigate';
+    const cached = await caches.match(cacheKeyFor(request), { ignoreSearch: isPage });
+    if (cached || !isPage || !withFallback) return cached;
+
+    return caches.match('./index.html');
+}
+
+/**
+ * Network first, cache fallback (summary.json, so headline numbers stay fresh)
+ */
+async function networkFirst(request) {
+    try {
+        return await fetchAndCache(request);
+    } catch (error) {
+        const cached = await matchCached(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve the cached copy straight away and refresh it from the network for the
+ * next load
+ */
+async function staleWhileRevalidate(event, request) {
+    const refresh = fetchAndCache(request);
+
+    // Keep the worker alive for the refresh; offline, the cached copy is all there is
+    event.waitUntil(refresh.catch(() => {}));
+
+    const cached = await matchCached(request);
+    if (cached) return cached;
+
+    try {
+        return await refresh;
+    } catch (error) {
+        const fallback = await matchCached(request, { withFallback: true });
+        if (fallback) return fallback;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only same-origin GETs; map tiles and CDN scripts go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.href.split('?')[0] === SUMMARY_URL) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.waitUntil(checkForDataUpdate());
+    }
+
+    event.respondWith(staleWhileRevalidate(event, request));
+});
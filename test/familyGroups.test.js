@@ -0,0 +1,88 @@
+/**
+ * Family grouping tests
+ * Run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseNameChain, findFamilyLinks, buildFamilyGroups } = require('../js/logic/familyGroups.js');
+const fixtures = require('./fixtures/family_records.json');
+
+const ids = (records, group) => group.members.map(index => records[index].id);
+
+test('parseNameChain splits the lineage and drops the article from the family name', () => {
+    const chain = parseNameChain(fixtures.full_chains[0]);
+
+    assert.equal(chain.father, 'احمد');
+    assert.equal(chain.grandfather, 'علي');
+    assert.equal(chain.surname, 'كحلوت');
+    assert.equal(chain.enSurname, 'kahlout');
+
+    assert.equal(parseNameChain(fixtures.three_part_names[0]).grandfather, null);
+    assert.equal(parseNameChain({ name: 'سارة الكحلوت', en_name: 'Sara Al-Kahlout' }), null);
+});
+
+test('full name chains with ages make a likely family, oldest first', () => {
+    const records = fixtures.full_chains;
+    const groups = buildFamilyGroups(records);
+
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].confidence, 'likely');
+    assert.deepEqual(ids(records, groups[0]), ['p1', 'p2', 'p3']);
+    assert.equal(groups[0].id, 'family-p1');
+
+    const types = findFamilyLinks(records).map(link => link.type).sort();
+    assert.deepEqual(types, ['parent', 'parent', 'sibling']);
+});
+
+test('siblings without a grandfather are only possible', () => {
+    const [group] = buildFamilyGroups(fixtures.three_part_names);
+
+    assert.equal(group.confidence, 'possible');
+    assert.deepEqual(ids(fixtures.three_part_names, group), ['t1', 't2']);
+});
+
+test('disagreeing English family names lower the group to possible', () => {
+    const [group] = buildFamilyGroups(fixtures.english_surnames_disagree);
+
+    assert.equal(group.confidence, 'possible');
+});
+
+test('no parent link when the age gap is too small', () => {
+    assert.deepEqual(findFamilyLinks(fixtures.parent_too_young), []);
+    assert.deepEqual(buildFamilyGroups(fixtures.parent_too_young), []);
+});
+
+test('a child matching several possible parents joins them all as possible', () => {
+    const records = fixtures.two_possible_parents;
+    const [group] = buildFamilyGroups(records);
+
+    assert.equal(group.confidence, 'possible');
+    assert.deepEqual(ids(records, group), ['a1', 'a2', 'a3']);
+    assert.ok(findFamilyLinks(records)
+        .filter(link => link.type === 'parent')
+        .every(link => !link.strong));
+});
+
+test('a name key shared by too many people makes no group', () => {
+    const records = Array.from({ length: 16 }, (_, i) => ({
+        id: `c${i}`,
+        name: 'محمد أحمد محمود حسن',
+        en_name: 'Mohammed Ahmed Mahmoud Hassan',
+        age: 20 + i
+    }));
+
+    assert.deepEqual(buildFamilyGroups(records), []);
+});
+
+test('groups do not depend on record order', () => {
+    const records = [...fixtures.full_chains, ...fixtures.two_possible_parents];
+    const reversed = [...records].reverse();
+
+    const describe = (list) => buildFamilyGroups(list)
+        .map(group => ({ confidence: group.confidence, members: ids(list, group).sort() }))
+        .sort((a, b) => a.members[0].localeCompare(b.members[0]));
+
+    assert.deepEqual(describe(records), describe(reversed));
+});
@@ -0,0 +1,48 @@
+/**
+ * Precache manifest tests
+ * Run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { PRECACHE_MANIFEST, precacheUrls, manifestRevision } = require('../js/logic/precacheManifest.js');
+const { DATASET_SCHEMAS } = require('../js/logic/dataStore.js');
+
+const ROOT = path.join(__dirname, '..');
+const urls = precacheUrls(DATASET_SCHEMAS);
+
+test('every precached file is in the repository', () => {
+    const missing = urls
+        .filter(url => url !== './')
+        .filter(url => !fs.existsSync(path.join(ROOT, url)));
+
+    assert.deepEqual(missing, []);
+});
+
+test('every local script and stylesheet a page loads is precached', () => {
+    const listed = new Set(urls.map(url => path.normalize(url)));
+    const missing = [];
+
+    PRECACHE_MANIFEST.pages.filter(page => page !== './').forEach(page => {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        const refs = [...html.matchAll(/<script[^>]+src="([^"]+)"|<link[^>]+href="([^"]+\.css)"/g)]
+            .map(match => match[1] || match[2])
+            .filter(ref => !/^[a-z]+:/i.test(ref))
+            // A tag pointing at a missing file 404s online too; nothing to cache
+            .filter(ref => fs.existsSync(path.join(ROOT, ref)));
+
+        refs.forEach(ref => {
+            if (!listed.has(path.normalize(ref))) missing.push(`${page}: ${ref}`);
+        });
+    });
+
+    assert.deepEqual(missing, []);
+});
+
+test('the revision changes with the URL list', () => {
+    assert.equal(manifestRevision(urls), manifestRevision([...urls]));
+    assert.notEqual(manifestRevision(urls), manifestRevision([...urls, './data/extra.json']));
+});
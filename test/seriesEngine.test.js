@@ -0,0 +1,110 @@
+/**
+ * Series engine tests
+ * Run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildSeries, splitEvenly, isUnchangedTotal } = require('../js/logic/seriesEngine.js');
+const fixtures = require('./fixtures/series_records.json');
+
+const KILLED = { field: 'killed_cum', cumulative: true };
+const INJURED = { field: 'injured_cum', cumulative: true, daily: 'injured' };
+const KILLED_DAILY = { field: 'killed_cum', cumulative: true, daily: 'killed' };
+
+const values = points => Object.fromEntries(points.map(point => [point.date, point.value]));
+const total = points => points.reduce((sum, point) => sum + point.value, 0);
+
+test('splitEvenly gives the remainder to the earlier days', () => {
+    assert.deepEqual(splitEvenly(10, 3), [4, 3, 3]);
+    assert.deepEqual(splitEvenly(2, 4), [1, 1, 0, 0]);
+});
+
+test('cumulative records are diffed, spread over gaps and kept when they go down', () => {
+    const points = buildSeries(fixtures.cumulative_only, KILLED, { periodField: 'report_period' });
+
+    assert.deepEqual(values(points), {
+        '2023-10-07': 100,
+        '2023-10-08': 50,
+        '2023-10-09': 20,
+        '2023-10-10': 20,
+        '2023-10-11': 20,
+        '2023-10-12': -5
+    });
+    assert.equal(points.find(point => point.date === '2023-10-12').correction, true);
+    assert.equal(total(points), 205);
+});
+
+test('flag mode keeps a multi-day report on its report date', () => {
+    const points = buildSeries(fixtures.cumulative_only, KILLED, { periodField: 'report_period', multiDay: 'flag' });
+
+    assert.equal(values(points)['2023-10-09'], undefined);
+    assert.equal(values(points)['2023-10-11'], 60);
+    assert.equal(points.find(point => point.date === '2023-10-11').spanDays, 3);
+    assert.equal(total(points), 205);
+});
+
+test('a daily-only record is neither overwritten nor counted again by the next running total', () => {
+    const points = buildSeries(fixtures.mixed_daily_and_cumulative, INJURED, { periodField: 'report_period' });
+    const byDate = values(points);
+
+    assert.equal(byDate['2023-10-17'], 575);
+    assert.equal(byDate['2023-10-18'], 2777 - 1562 - 575);
+    assert.equal(points.find(point => point.date === '2023-10-17').derived, false);
+});
+
+test('spread and flag modes add up to the same total on mixed records', () => {
+    const options = { periodField: 'report_period' };
+    const spread = buildSeries(fixtures.mixed_daily_and_cumulative, INJURED, { ...options, multiDay: 'spread' });
+    const flag = buildSeries(fixtures.mixed_daily_and_cumulative, INJURED, { ...options, multiDay: 'flag' });
+
+    assert.equal(total(spread), 3677);
+    assert.equal(total(flag), 3677);
+});
+
+test('spreading a daily-only report does not reach back over reported days', () => {
+    const points = buildSeries(fixtures.mixed_daily_and_cumulative, INJURED, { periodField: 'report_period' });
+    const byDate = values(points);
+
+    assert.equal(byDate['2023-10-18'], 640);
+    assert.equal(byDate['2023-10-19'], 150);
+    assert.equal(byDate['2023-10-20'], 150);
+    assert.equal(byDate['2023-10-21'] + byDate['2023-10-22'] + byDate['2023-10-23'], 3677 - 2777 - 300);
+});
+
+test('a daily count that disagrees with the running total gives way to it', () => {
+    const points = buildSeries(fixtures.daily_disagrees_with_total, KILLED_DAILY, { startsAtZero: false });
+    const byDate = values(points);
+
+    // The first record has no baseline, so its daily count stands
+    assert.equal(byDate['2023-12-04'], 349);
+    assert.equal(points.find(point => point.date === '2023-12-04').derived, false);
+
+    // 725 reported, but the total only rose by 349
+    assert.equal(byDate['2023-12-05'], 349);
+    assert.equal(points.find(point => point.date === '2023-12-05').derived, true);
+
+    // Agreeing daily counts are kept as reported
+    assert.equal(byDate['2023-12-06'], 350);
+    assert.equal(points.find(point => point.date === '2023-12-06').derived, false);
+
+    // A daily count with no total that day still stands
+    assert.equal(byDate['2023-12-07'], 200);
+    assert.equal(byDate['2023-12-08'], 17100 - 16598 - 200);
+});
+
+test('the series adds up to the last running total', () => {
+    const points = buildSeries(fixtures.daily_disagrees_with_total, KILLED_DAILY, { startsAtZero: false });
+
+    assert.equal(total(points), 349 + 17100 - 15899);
+});
+
+test('isUnchangedTotal marks only derived, unspread zero days', () => {
+    const unchanged = { date: '2023-10-08', value: 0, derived: true, spread: false };
+
+    assert.equal(isUnchangedTotal(unchanged), true);
+    assert.equal(isUnchangedTotal({ ...unchanged, derived: false }), false);
+    assert.equal(isUnchangedTotal({ ...unchanged, spread: true }), false);
+    assert.equal(isUnchangedTotal({ ...unchanged, value: 5 }), false);
+});
@@ -0,0 +1,42 @@
+/**
+ * Sonification score tests
+ * Run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildSonificationScore, SONIFICATION_DEFAULTS } = require('../js/logic/sonification.js');
+
+const DAYS = [
+    { date: '2023-10-30', killed: 40 },
+    { date: '2023-10-31', killed: 10 },
+    { date: '2023-12-02', killed: 0 }
+];
+
+test('events are placed by calendar day, with silent days for gaps', () => {
+    const { events, duration } = buildSonificationScore(DAYS);
+
+    assert.equal(events.length, 34);
+    assert.equal(duration, 34 * SONIFICATION_DEFAULTS.dayDuration);
+
+    const gap = events.find(event => event.date === '2023-11-15');
+    assert.equal(gap.value, null);
+    assert.equal(gap.frequency, null);
+    assert.equal(gap.clicks, 0);
+    assert.equal(gap.time, 16 * SONIFICATION_DEFAULTS.dayDuration);
+});
+
+test('every month in the range is announced, even one without reports', () => {
+    const { events } = buildSonificationScore(DAYS);
+
+    assert.deepEqual(events.filter(event => event.announce).map(event => event.date), [
+        '2023-10-30',
+        '2023-11-01',
+        '2023-12-01'
+    ]);
+});
+
+test('an empty series gives an empty score', () => {
+    assert.deepEqual(buildSonificationScore([]), { events: [], duration: 0 });
+});